@@ -1,11 +1,17 @@
+import path from "path";
 import express from 'express';
 import cors from 'cors';
 import helmet from "helmet";
 import morgan from "morgan";
 import cookieParser from 'cookie-parser';
+import swaggerUi from "swagger-ui-express";
 import routes from "./routes/index.js";
+import { getOpenApiDocument } from "./docs/openapi.js";
+import { IMAGES_PREFIX } from "./services/image.service.js";
+import { requireSignedUrl } from "./middlewares/signedUrl.middleware.js";
+import { errorHandler, notFoundHandler } from "./middlewares/errorHandler.middleware.js";
 
-import { config, connectDB } from './config/index.js';
+import { config, connectDB, passport } from './config/index.js';
 
 const app = express();
 
@@ -19,9 +25,38 @@ app.use(helmet());
 app.use(morgan("dev"));
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
-app.use("/uploads/documents", express.static("uploads/documents"));
+app.use(passport.initialize());
+// Archivos del driver de almacenamiento local: imágenes públicas y documentos
+// privados, accesibles solo con una URL firmada (`createSignedUrl`)
+app.use(
+  "/uploads/documents",
+  requireSignedUrl("documents"),
+  express.static(path.resolve(config.storage.localDir, "documents"), { index: false })
+);
+// Los nombres de las imágenes son únicos (UUID): nunca cambia su contenido
+app.use(
+  `/uploads/${IMAGES_PREFIX}`,
+  express.static(path.resolve(config.storage.localDir, IMAGES_PREFIX), {
+    index: false,
+    immutable: true,
+    maxAge: "365d",
+    setHeaders: (res) => res.set("Cross-Origin-Resource-Policy", "cross-origin"),
+  })
+);
+
+// Documentación de la API
+app.get("/api/openapi.json", (req, res) => res.json(getOpenApiDocument()));
+app.use(
+  "/api/docs",
+  swaggerUi.serve,
+  swaggerUi.setup(null, { swaggerOptions: { url: "/api/openapi.json" } })
+);
 
 // Routes
 app.use("/api", routes);
 
+// Manejo de errores
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 export default app;
\ No newline at end of file
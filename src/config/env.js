@@ -3,11 +3,63 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 export const config = {
+    appName: process.env.APP_NAME || 'Meme Coins Filter Dev',
     port: process.env.PORT || 3000,
     mongoURI: process.env.MONGO_URI || 'mongodb://127.0.0.1:27017/meme-coins-devs',
     nodeEnv: process.env.NODE_ENV || 'development',
     corsOrigin: process.env.CORS_ORIGIN?.split(',') || '*',
     jwtSecretKey: process.env.JWT_SECRET,
     jwtRefreshKey: process.env.JWT_REFRESH_SECRET,
-    serverUrl: process.env.SERVER_URL
+    serverUrl: process.env.SERVER_URL,
+    loginMaxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+    loginLockBaseMinutes: Number(process.env.LOGIN_LOCK_BASE_MINUTES) || 15,
+    loginLockMaxMinutes: Number(process.env.LOGIN_LOCK_MAX_MINUTES) || 24 * 60,
+    otpSecret: process.env.OTP_SECRET || process.env.JWT_SECRET,
+    messageTransport: process.env.MESSAGE_TRANSPORT || 'console',
+    messageLogFile: process.env.MESSAGE_LOG_FILE || 'logs/messages.log',
+    google: {
+        clientId: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        callbackUrl: process.env.GOOGLE_CALLBACK_URL || '/api/auth/google/callback',
+        // Permiten apuntar a un servidor OAuth simulado en local
+        authorizationUrl: process.env.GOOGLE_AUTHORIZATION_URL,
+        tokenUrl: process.env.GOOGLE_TOKEN_URL,
+        userProfileUrl: process.env.GOOGLE_USER_PROFILE_URL,
+    },
+    mfaIssuer: process.env.MFA_ISSUER || 'Meme Coins Filter Dev',
+    mfaRequiredRoles: process.env.MFA_REQUIRED_ROLES?.split(',').map((role) => role.trim().toUpperCase()) || [],
+    // Verificación requerida: none | email | phone | any | all
+    verificationPolicy: {
+        login: process.env.VERIFICATION_REQUIRED_FOR_LOGIN || 'none',
+        developer: process.env.VERIFICATION_REQUIRED_FOR_DEVELOPER || 'any',
+    },
+    // Días que se conservan los eventos de auditoría
+    auditRetentionDays: Number(process.env.AUDIT_RETENTION_DAYS) || 365,
+    // Días de espera antes de ejecutar una solicitud de borrado de datos (cancelable)
+    erasureCooldownDays: Number(process.env.ERASURE_COOLDOWN_DAYS) || 30,
+    erasureJobIntervalMinutes: Number(process.env.ERASURE_JOB_INTERVAL_MINUTES) || 60,
+    // Recalcula todas las puntuaciones de confianza (los factores de antigüedad cambian sin escrituras)
+    trustScoreJobIntervalMinutes: Number(process.env.TRUST_SCORE_JOB_INTERVAL_MINUTES) || 24 * 60,
+    // Límites de las imágenes subidas
+    imageMaxBytes: Number(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024,
+    imageMaxDimension: Number(process.env.IMAGE_MAX_DIMENSION) || 4096,
+    documentMaxBytes: Number(process.env.DOCUMENT_MAX_BYTES) || 10 * 1024 * 1024,
+    // Almacenamiento de archivos subidos: local | s3
+    storage: {
+        driver: process.env.STORAGE_DRIVER || 'local',
+        localDir: process.env.STORAGE_LOCAL_DIR || 'uploads',
+        // URL base de los archivos públicos (p. ej. un CDN). Por defecto, `/uploads` o el bucket
+        publicUrl: process.env.STORAGE_PUBLIC_URL,
+        signedUrlTtlSeconds: Number(process.env.STORAGE_SIGNED_URL_TTL_SECONDS) || 15 * 60,
+        signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+        // Compatible con MinIO y otros servicios S3 mediante `endpoint` y `forcePathStyle`
+        s3: {
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        },
+    },
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { config } from './env.js';
 import connectDB from './db.js';
+import passport from './passport.js';
 
-export { config, connectDB };
\ No newline at end of file
+export { config, connectDB, passport };
\ No newline at end of file
@@ -0,0 +1,48 @@
+import passport from "passport";
+import { Strategy as GoogleStrategy } from "passport-google-oauth20";
+import { config } from "./env.js";
+import { findOrCreateGoogleUser, linkGoogleAccount } from "../services/oauth.service.js";
+import { getLinkNonce, verifyLinkToken } from "../services/token.service.js";
+
+/**
+ * Whether Google sign-in has credentials configured
+ * @returns {boolean}
+ */
+export const isGoogleEnabled = () =>
+  Boolean(config.google.clientId && config.google.clientSecret);
+
+// Estrategia de Google: solo se registra si hay credenciales configuradas
+if (isGoogleEnabled()) {
+  passport.use(
+    new GoogleStrategy(
+      {
+        clientID: config.google.clientId,
+        clientSecret: config.google.clientSecret,
+        callbackURL: config.google.callbackUrl,
+        authorizationURL: config.google.authorizationUrl,
+        tokenURL: config.google.tokenUrl,
+        userProfileURL: config.google.userProfileUrl,
+        passReqToCallback: true,
+      },
+      async (req, accessToken, refreshToken, profile, done) => {
+        try {
+          // Si `state` trae un token de vinculación, se enlaza a la cuenta actual
+          // siempre que el flujo se iniciara en este navegador (cookie `linkNonce`)
+          const linkToken = req.oauthState?.linkToken;
+          if (linkToken) {
+            const { id } = verifyLinkToken(linkToken, "google", getLinkNonce(req));
+            const user = await linkGoogleAccount(id, profile);
+            return done(null, user, { linked: true });
+          }
+
+          const user = await findOrCreateGoogleUser(profile);
+          return done(null, user, { linked: false });
+        } catch (error) {
+          return done(error);
+        }
+      }
+    )
+  );
+}
+
+export default passport;
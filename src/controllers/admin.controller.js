@@ -0,0 +1,125 @@
+import asyncHandler from "express-async-handler";
+import { sendResponse } from "../utils/apiResponse.js";
+import { getAuditEvents } from "../services/audit.service.js";
+import { changeUserRole, searchUsers } from "../services/user.service.js";
+import { setAccountStatus } from "../services/accountStatus.service.js";
+import { forceLogout } from "../services/session.service.js";
+import {
+  restoreDeveloper,
+  restoreProject,
+  restoreUser,
+} from "../services/deletion.service.js";
+import {
+  getVerificationRequest,
+  listVerificationRequests,
+  reviewVerificationRequest,
+} from "../services/developerVerification.service.js";
+import { VERIFICATION_STATUS } from "../models/verificationRequestModel.js";
+import { getAuditContext } from "../utils/securityLogger.js";
+
+// GET /admin/audit
+export const getAuditLog = asyncHandler(async (req, res) => {
+  const { user, type, from, to, page, limit } = req.query;
+  const auditData = await getAuditEvents({
+    userId: user,
+    eventType: type,
+    from,
+    to,
+    page,
+    limit,
+  });
+
+  sendResponse(res, 200, "Audit events retrieved successfully", auditData);
+});
+
+// GET /admin/users
+export const getUsers = asyncHandler(async (req, res) => {
+  const { search, role, status, page, limit } = req.query;
+  const usersData = await searchUsers({ search, role, status, page, limit });
+
+  sendResponse(res, 200, "Users retrieved successfully", usersData);
+});
+
+// PATCH /admin/users/:id/role
+export const editUserRole = asyncHandler(async (req, res) => {
+  const user = await changeUserRole(req.params.id, req.body.role, getAuditContext(req));
+
+  sendResponse(res, 200, "User role updated successfully", user);
+});
+
+// PATCH /admin/users/:id/status
+export const editUserStatus = asyncHandler(async (req, res) => {
+  const { status, reason, until } = req.body;
+  const user = await setAccountStatus(
+    req.params.id,
+    { status, reason, until },
+    getAuditContext(req)
+  );
+
+  sendResponse(res, 200, "User status updated successfully", user);
+});
+
+// POST /admin/users/:id/logout
+export const logoutUser = asyncHandler(async (req, res) => {
+  const result = await forceLogout(req.params.id, getAuditContext(req));
+
+  sendResponse(res, 200, "User logged out from all sessions", result);
+});
+
+// POST /admin/users/:id/restore
+export const restoreDeletedUser = asyncHandler(async (req, res) => {
+  const user = await restoreUser(req.params.id, getAuditContext(req));
+
+  sendResponse(res, 200, "User restored successfully", user);
+});
+
+// POST /admin/developers/:id/restore
+export const restoreDeletedDeveloper = asyncHandler(async (req, res) => {
+  const developer = await restoreDeveloper(req.params.id, getAuditContext(req));
+
+  sendResponse(res, 200, "Developer restored successfully", developer);
+});
+
+// POST /admin/projects/:id/restore
+export const restoreDeletedProject = asyncHandler(async (req, res) => {
+  const project = await restoreProject(req.params.id, getAuditContext(req));
+
+  sendResponse(res, 200, "Project restored successfully", project);
+});
+
+// GET /admin/verification-requests
+export const getVerificationRequests = asyncHandler(async (req, res) => {
+  const { status, page, limit } = req.query;
+  const requestsData = await listVerificationRequests({ status, page, limit });
+
+  sendResponse(res, 200, "Verification requests retrieved successfully", requestsData);
+});
+
+// GET /admin/verification-requests/:id
+export const showVerificationRequest = asyncHandler(async (req, res) => {
+  const request = await getVerificationRequest(req.params.id);
+
+  sendResponse(res, 200, "Verification request retrieved successfully", request);
+});
+
+// POST /admin/verification-requests/:id/approve
+export const approveVerificationRequest = asyncHandler(async (req, res) => {
+  const request = await reviewVerificationRequest(
+    req.params.id,
+    { status: VERIFICATION_STATUS.APPROVED, notes: req.body.notes },
+    getAuditContext(req)
+  );
+
+  sendResponse(res, 200, "Verification request approved", request);
+});
+
+// POST /admin/verification-requests/:id/reject
+export const rejectVerificationRequest = asyncHandler(async (req, res) => {
+  const request = await reviewVerificationRequest(
+    req.params.id,
+    { status: VERIFICATION_STATUS.REJECTED, notes: req.body.notes },
+    getAuditContext(req)
+  );
+
+  sendResponse(res, 200, "Verification request rejected", request);
+});
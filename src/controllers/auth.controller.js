@@ -1,12 +1,55 @@
 import asyncHandler from 'express-async-handler';
-import { loginUser, registerUser, logoutUser } from '../services/auth.service.js';
-import { refreshAccessToken } from '../services/token.service.js'
+import {
+  loginUser,
+  registerUser,
+  logoutUser,
+  requestPasswordReset,
+  resetPassword,
+  completeMfaLogin,
+  startMfaEnrollment,
+  completeMfaEnrollment,
+  loginWithExternalIdentity,
+  loginWithPhone,
+  regenerateAccessCode,
+} from '../services/auth.service.js';
+import {
+  refreshAccessToken,
+  setRefreshTokenCookie,
+  clearRefreshTokenCookie,
+  generateLinkToken,
+  setLinkNonceCookie,
+  clearLinkNonceCookie,
+  createOAuthState,
+  verifyOAuthState,
+} from '../services/token.service.js'
+import { getUserSessions, revokeAllSessions, revokeSession } from '../services/session.service.js';
+import { resendVerificationCode, verifyChannel } from '../services/verification.service.js';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from '../services/twoFactor.service.js';
+import { unlinkGoogleAccount } from '../services/oauth.service.js';
+import { createWalletChallenge, verifyWalletChallenge } from '../services/wallet.service.js';
+import { createApiKey, listApiKeys, revokeApiKey } from '../services/apiKey.service.js';
+import { passport } from '../config/index.js';
+import { isGoogleEnabled } from '../config/passport.js';
+import { AppError } from '../errors/appError.js';
+import { AuthenticationError } from '../errors/index.js';
 import { sendResponse } from '../utils/apiResponse.js';
+import { getAuditContext } from '../utils/securityLogger.js';
+
+const getLoginContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get("user-agent"),
+  device: req.body.device,
+});
 
 export const register = asyncHandler(async (req, res) => {
-    const { name, email, phone, password, passwordConfirmed, role } = req.body;
+    const { name, email, phone, password, passwordConfirmed } = req.body;
   
-    const userData = await registerUser(name, email, phone, password, passwordConfirmed, role);
+    const userData = await registerUser(name, email, phone, password, passwordConfirmed);
   
    sendResponse(res, 200, "User registered successfully", userData);
   });
@@ -14,15 +57,42 @@ export const register = asyncHandler(async (req, res) => {
   export const login = asyncHandler(async (req, res) => {
     const {email, password} = req.body;
     // const accessToken = await loginUser(email, password, res);
-    const user = await loginUser(email, password, res);
+    const result = await loginUser(email, password, res, getLoginContext(req));
+
+    if (result.mfaRequired || result.mfaSetupRequired) {
+      return res.status(200).json({ message: 'Two-factor authentication required', ...result });
+    }
+
+    res.status(200).json({message: 'Logged in', ...result});
+  });
+
+  // POST /auth/login/phone
+  export const loginPhone = asyncHandler(async (req, res) => {
+    const { phone, access_code, password } = req.body;
+    const result = await loginWithPhone(
+      { phone, accessCode: access_code, password },
+      res,
+      getLoginContext(req)
+    );
+
+    if (result.mfaRequired || result.mfaSetupRequired) {
+      return res.status(200).json({ message: 'Two-factor authentication required', ...result });
+    }
+
+    res.status(200).json({message: 'Logged in', ...result});
+  });
 
-    res.status(200).json({message: 'Logged in', user});
+  // POST /auth/access-code
+  export const renewAccessCode = asyncHandler(async (req, res) => {
+    const accessCode = await regenerateAccessCode(req.user._id);
+    sendResponse(res, 200, "Access code regenerated successfully", { access_code: accessCode });
   });
 
   export const refreshToken = asyncHandler(async (req, res) => {
     const refreshToken = req.cookies.refreshToken;
-    const newAccessToken = await refreshAccessToken(refreshToken);
-    res.json({ accessToken: newAccessToken });
+    const tokens = await refreshAccessToken(refreshToken, { ip: req.ip });
+    setRefreshTokenCookie(res, tokens.refreshToken);
+    res.json({ accessToken: tokens.accessToken });
   });
 
   export const logout = asyncHandler(async (req, res) => {
@@ -30,6 +100,226 @@ export const register = asyncHandler(async (req, res) => {
       console.log("No authenticated user found.");
       return res.status(401).json({ message: "No user authenticated." });
     }
-    await logoutUser(res, req.user);
+    await logoutUser(res, req.cookies.refreshToken, getAuditContext(req));
     res.json({ message: "Logged out" });
-  });
\ No newline at end of file
+  });
+
+  // GET /auth/sessions
+  export const listSessions = asyncHandler(async (req, res) => {
+    const sessions = await getUserSessions(req.user._id, req.cookies.refreshToken);
+    sendResponse(res, 200, "Sessions retrieved successfully", sessions);
+  });
+
+  // DELETE /auth/sessions/:id
+  export const destroySession = asyncHandler(async (req, res) => {
+    const result = await revokeSession(req.user._id, req.params.id);
+    sendResponse(res, 200, "Session revoked successfully", result);
+  });
+
+  // DELETE /auth/sessions
+  export const destroyAllSessions = asyncHandler(async (req, res) => {
+    const result = await revokeAllSessions(req.user._id);
+    clearRefreshTokenCookie(res);
+    sendResponse(res, 200, "Logged out from all devices", result);
+  });
+
+  // GET /auth/api-keys
+  export const listKeys = asyncHandler(async (req, res) => {
+    const keys = await listApiKeys(req.user._id);
+    sendResponse(res, 200, "API keys retrieved successfully", keys);
+  });
+
+  // POST /auth/api-keys
+  export const createKey = asyncHandler(async (req, res) => {
+    const { name, scopes, expires_in_days, rate_limit } = req.body;
+    const result = await createApiKey(req.user._id, {
+      name,
+      scopes,
+      expiresInDays: expires_in_days,
+      rateLimit: rate_limit,
+    });
+    sendResponse(res, 201, "API key created. Store it now, it will not be shown again", result);
+  });
+
+  // DELETE /auth/api-keys/:id
+  export const destroyKey = asyncHandler(async (req, res) => {
+    const result = await revokeApiKey(req.user._id, req.params.id);
+    sendResponse(res, 200, "API key revoked successfully", result);
+  });
+
+  // POST /auth/password/forgot
+  export const forgotPassword = asyncHandler(async (req, res) => {
+    const { email, phone } = req.body;
+    await requestPasswordReset({ email, phone });
+    sendResponse(res, 200, "If the account exists, a reset code has been sent");
+  });
+
+  // POST /auth/password/reset
+  export const confirmPasswordReset = asyncHandler(async (req, res) => {
+    const { email, phone, code, password, passwordConfirmed } = req.body;
+    await resetPassword({ email, phone, code, password, passwordConfirmed });
+    clearRefreshTokenCookie(res);
+    sendResponse(res, 200, "Password reset successfully");
+  });
+
+  // POST /auth/verify/email
+  export const verifyEmail = asyncHandler(async (req, res) => {
+    const { email, code } = req.body;
+    const status = await verifyChannel("email", email, code);
+    sendResponse(res, 200, "Email verified successfully", status);
+  });
+
+  // POST /auth/verify/phone
+  export const verifyPhone = asyncHandler(async (req, res) => {
+    const { phone, code } = req.body;
+    const status = await verifyChannel("phone", phone, code);
+    sendResponse(res, 200, "Phone verified successfully", status);
+  });
+
+  // POST /auth/verify/email/resend
+  export const resendEmailVerification = asyncHandler(async (req, res) => {
+    await resendVerificationCode("email", req.body.email);
+    sendResponse(res, 200, "If the account exists, a verification code has been sent");
+  });
+
+  // POST /auth/verify/phone/resend
+  export const resendPhoneVerification = asyncHandler(async (req, res) => {
+    await resendVerificationCode("phone", req.body.phone);
+    sendResponse(res, 200, "If the account exists, a verification code has been sent");
+  });
+
+  // POST /auth/2fa/login
+  export const loginWithSecondFactor = asyncHandler(async (req, res) => {
+    const { mfaToken, code, recoveryCode } = req.body;
+    const result = await completeMfaLogin(mfaToken, { code, recoveryCode }, res, getLoginContext(req));
+    res.status(200).json({ message: 'Logged in', ...result });
+  });
+
+  // POST /auth/2fa/enroll/setup
+  export const startEnrollment = asyncHandler(async (req, res) => {
+    const setup = await startMfaEnrollment(req.body.mfaToken);
+    sendResponse(res, 200, "Scan the secret with your authenticator app", setup);
+  });
+
+  // POST /auth/2fa/enroll/enable
+  export const finishEnrollment = asyncHandler(async (req, res) => {
+    const { mfaToken, code } = req.body;
+    const result = await completeMfaEnrollment(mfaToken, code, res, getLoginContext(req));
+    res.status(200).json({ message: 'Logged in', ...result });
+  });
+
+  // POST /auth/2fa/setup
+  export const setupMfa = asyncHandler(async (req, res) => {
+    const setup = await setupTwoFactor(req.user._id);
+    sendResponse(res, 200, "Scan the secret with your authenticator app", setup);
+  });
+
+  // POST /auth/2fa/enable
+  export const enableMfa = asyncHandler(async (req, res) => {
+    const result = await enableTwoFactor(req.user._id, req.body.code);
+    sendResponse(res, 200, "Two-factor authentication enabled", result);
+  });
+
+  // POST /auth/2fa/disable
+  export const disableMfa = asyncHandler(async (req, res) => {
+    const { code, recoveryCode } = req.body;
+    const result = await disableTwoFactor(req.user._id, { code, recoveryCode });
+    sendResponse(res, 200, "Two-factor authentication disabled", result);
+  });
+
+  // POST /auth/2fa/recovery-codes
+  export const renewRecoveryCodes = asyncHandler(async (req, res) => {
+    const result = await regenerateRecoveryCodes(req.user._id, req.body.code);
+    sendResponse(res, 200, "Recovery codes regenerated", result);
+  });
+
+  const assertGoogleEnabled = () => {
+    if (!isGoogleEnabled()) {
+      throw new AppError("Google sign-in is not configured", 503, "GOOGLE_SIGN_IN_DISABLED");
+    }
+  };
+
+  // GET /auth/google
+  export const googleAuth = (req, res, next) => {
+    try {
+      assertGoogleEnabled();
+    } catch (error) {
+      return next(error);
+    }
+
+    passport.authenticate("google", {
+      scope: ["profile", "email"],
+      session: false,
+      state: createOAuthState(res, req.query.linkToken),
+    })(req, res, next);
+  };
+
+  // GET /auth/google/callback
+  export const googleCallback = (req, res, next) => {
+    try {
+      assertGoogleEnabled();
+      // Antes de canjear el código: el flujo debe haberse iniciado en este navegador
+      req.oauthState = verifyOAuthState(req, res);
+    } catch (error) {
+      return next(error);
+    }
+
+    passport.authenticate("google", { session: false }, async (err, user, info) => {
+      try {
+        // El nonce de vinculación es de un solo uso
+        if (req.oauthState.linkToken) clearLinkNonceCookie(res);
+        if (err) throw err;
+        if (!user) throw new AuthenticationError("Google authentication failed");
+
+        if (info?.linked) {
+          return sendResponse(res, 200, "Google account linked successfully", {
+            googleLinked: true,
+          });
+        }
+
+        const result = await loginWithExternalIdentity(user, res, getLoginContext(req));
+        if (result.mfaRequired || result.mfaSetupRequired) {
+          return res.status(200).json({ message: 'Two-factor authentication required', ...result });
+        }
+
+        res.status(200).json({ message: 'Logged in', ...result });
+      } catch (error) {
+        next(error);
+      }
+    })(req, res, next);
+  };
+
+  // POST /auth/google/link
+  export const requestGoogleLink = asyncHandler(async (req, res) => {
+    assertGoogleEnabled();
+    const nonce = setLinkNonceCookie(res);
+    const linkToken = generateLinkToken(req.user, "google", nonce);
+    sendResponse(res, 200, "Open the URL to link your Google account", {
+      url: `${req.baseUrl}/google?linkToken=${encodeURIComponent(linkToken)}`,
+    });
+  });
+
+  // DELETE /auth/google/link
+  export const unlinkGoogle = asyncHandler(async (req, res) => {
+    const result = await unlinkGoogleAccount(req.user._id);
+    sendResponse(res, 200, "Google account unlinked successfully", result);
+  });
+
+  // POST /auth/wallet/nonce
+  export const requestWalletNonce = asyncHandler(async (req, res) => {
+    const challenge = await createWalletChallenge(req.body.wallet_address);
+    sendResponse(res, 200, "Sign the message with your wallet", challenge);
+  });
+
+  // POST /auth/wallet/verify
+  export const loginWithWallet = asyncHandler(async (req, res) => {
+    const { wallet_address, nonce, signature } = req.body;
+    const user = await verifyWalletChallenge({ walletAddress: wallet_address, nonce, signature });
+
+    const result = await loginWithExternalIdentity(user, res, getLoginContext(req));
+    if (result.mfaRequired || result.mfaSetupRequired) {
+      return res.status(200).json({ message: 'Two-factor authentication required', ...result });
+    }
+
+    res.status(200).json({ message: 'Logged in', ...result });
+  });
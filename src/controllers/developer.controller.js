@@ -1,12 +1,20 @@
 import asyncHandler from "express-async-handler";
 import { sendResponse } from "../utils/apiResponse.js";
+import { getAuditContext, logSecurityEvent } from "../utils/securityLogger.js";
 import {
     deleteDeveloper,
   getAllDevelopers,
   getDeveloperById,
+  getDeveloperProfile,
+  searchDevelopers,
   storeDeveloper,
   updateDeveloper,
 } from "../services/developer.service.js";
+import { getTrustScore } from "../services/trustScore.service.js";
+import {
+  getDeveloperVerificationRequests,
+  submitVerificationRequest,
+} from "../services/developerVerification.service.js";
 
 export const getDevelopers = asyncHandler(async (req, res) => {
   const {
@@ -17,7 +25,7 @@ export const getDevelopers = asyncHandler(async (req, res) => {
     verified,
   } = req.query;
 
-  const result =  getAllDevelopeawaitrs(
+  const result = await getAllDevelopers(
     Number(page),
     Number(limit),
     sortBy,
@@ -28,11 +36,29 @@ export const getDevelopers = asyncHandler(async (req, res) => {
   sendResponse(res, 200, "Developers retrieved successfully", result);
 });
 
+// GET /developers/search
+export const findDevelopers = asyncHandler(async (req, res) => {
+  const result = await searchDevelopers(req.query);
+  sendResponse(res, 200, "Developers retrieved successfully", result);
+});
+
 export const showDeveloper = asyncHandler(async (req, res) => {
   const developer = await getDeveloperById(req.params.id);
   sendResponse(res, 200, "User retrieved successfuly", developer);
 });
 
+// GET /developers/:id/profile
+export const showDeveloperProfile = asyncHandler(async (req, res) => {
+  const profile = await getDeveloperProfile(req.params.id, req.query.include);
+  sendResponse(res, 200, "Developer profile retrieved successfully", profile);
+});
+
+// GET /developers/:id/trust-score
+export const showTrustScore = asyncHandler(async (req, res) => {
+  const trustScore = await getTrustScore(req.params.id);
+  sendResponse(res, 200, "Trust score retrieved successfully", trustScore);
+});
+
 export const createDeveloper = asyncHandler(async (req, res) => {
   const newDeveloper = req.body;
   const developerData = await storeDeveloper(newDeveloper);
@@ -47,7 +73,31 @@ export const editDeveloper = asyncHandler(async (req, res) => {
 
 export const destroyDeveloper = asyncHandler(async (req, res) => {
   const developer = req.params.id;
-  await deleteDeveloper(developer);
+  const context = getAuditContext(req);
+  await deleteDeveloper(developer, context);
+  logSecurityEvent("developer_deleted", {
+    ...context,
+    targetId: developer,
+    targetType: "developer",
+  });
 
   sendResponse(res, 200, "Developer deleted successfully");
 });
+
+// POST /developers/:id/verification-requests
+export const requestVerification = asyncHandler(async (req, res) => {
+  const request = await submitVerificationRequest(
+    req.params.id,
+    { message: req.body.message, files: req.files },
+    getAuditContext(req)
+  );
+
+  sendResponse(res, 201, "Verification request submitted successfully", request);
+});
+
+// GET /developers/:id/verification-requests
+export const getVerificationRequests = asyncHandler(async (req, res) => {
+  const requests = await getDeveloperVerificationRequests(req.params.id);
+
+  sendResponse(res, 200, "Verification requests retrieved successfully", requests);
+});
@@ -17,9 +17,9 @@ export const showUserNotifications = asyncHandler(async (req, res) => {
   const { unreadOnly = false, limit = 20, page = 1 } = req.query;
 
   const notifications = await getUserNotifications(userId, {
-    unreadOnly: unreadOnly === "true",
-    limit: parseInt(limit),
-    page: parseInt(page),
+    unreadOnly,
+    limit,
+    page,
   });
 
   sendResponse(res, 200, "Notifications retrieved successfuly", notifications);
@@ -47,7 +47,7 @@ export const tickkAllAsRead = asyncHandler(async (req, res) => {
 export const destroyNotification = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  await deleteNotification(id);
+  const result = await deleteNotification(id);
 
   sendResponse(res, 200, "Notifications deleted successfuly", result);
 });
\ No newline at end of file
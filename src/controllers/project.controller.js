@@ -1,5 +1,6 @@
 import asyncHandler from "express-async-handler";
 import { sendResponse } from "../utils/apiResponse.js";
+import { getAuditContext, logSecurityEvent } from "../utils/securityLogger.js";
 import {
   deleteProject,
   getAllProjects,
@@ -47,7 +48,13 @@ export const editProject = asyncHandler(async (req, res) => {
 
 export const destroyProject = asyncHandler(async (req, res) => {
   const project = req.params.id;
-  await deleteProject(project);
+  const context = getAuditContext(req);
+  await deleteProject(project, context);
+  logSecurityEvent("project_deleted", {
+    ...context,
+    targetId: project,
+    targetType: "project",
+  });
 
   sendResponse(res, 200, "Project deleted successfully");
 });
@@ -1,5 +1,6 @@
 import asyncHandler from "express-async-handler";
 import { sendResponse } from "../utils/apiResponse.js";
+import { getAuditContext, logSecurityEvent } from "../utils/securityLogger.js";
 import { deleteRating, getAverageRating, storeRating, updateComment, updateRatingScore } from "../services/rating.service.js";
 
 // GET /ratings/:id/developer/average
@@ -11,7 +12,8 @@ export const showAverageRating = asyncHandler( async (req, res) => {
 
 // POST /ratings
 export const createRating = asyncHandler(async (req, res) => {
-    const created = await storeRating(req.body);
+    const userId = req.user.id;
+    const created = await storeRating({ ...req.body, userId });
     sendResponse(res, 201, "Rating created successfully", created);
   });
 
@@ -30,5 +32,10 @@ export const changeScore = asyncHandler(async (req, res) => {
   // DELETE /ratings/:id
   export const removeRating = asyncHandler(async (req, res) => {
     await deleteRating(req.params.id);
+    logSecurityEvent("rating_deleted", {
+      ...getAuditContext(req),
+      targetId: req.params.id,
+      targetType: "rating",
+    });
     sendResponse(res, 200, "Rating deleted successfully");
   });
\ No newline at end of file
@@ -1,47 +1,154 @@
 import asyncHandler from "express-async-handler";
 import { sendResponse } from "../utils/apiResponse.js";
+import { getAuditContext, logSecurityEvent } from "../utils/securityLogger.js";
 import {
   getAuthenticatedUser,
   updateUser,
   updateProfileImage,
   getAllUsers,
-  deleteUser
+  deleteUser,
+  getUserProfile,
 } from "../services/user.service.js";
+import { unlockAccount } from "../services/lockout.service.js";
+import { saveImage } from "../services/image.service.js";
+import { BadRequestError } from "../errors/index.js";
+import {
+  cancelErasure,
+  exportUserData,
+  requestErasure,
+  writeExportArchive,
+} from "../services/privacy.service.js";
+import {
+  changePassword,
+  closeAccount,
+  confirmEmailChange,
+  regenerateAccessCode,
+  requestEmailChange,
+} from "../services/auth.service.js";
 
-export const getUsers = async (req, res) => {
+export const getUsers = asyncHandler(async (req, res) => {
   const { page = 1, limit = 10 } = req.query;
   const usersData = await getAllUsers(page, limit);
 
   sendResponse(res, 200, "Users retrieved successfully", usersData);
-};
+});
 
 export const getUserAuth = asyncHandler(async (req, res) => {
   const user = await getAuthenticatedUser(req.params.id);
-  // const user = await getAuthenticatedUser(req.user.id);
   sendResponse(res, 200, "User retrieved successfully", user);
 });
 
 export const editUser = asyncHandler(async (req, res) => {
-  // const updatedUser = await updateUser(req.user.id, req.body);
   const updatedUser = await updateUser(req.params.id, req.body);
   sendResponse(res, 200, "User updated succesfully", updatedUser);
 });
 
 export const uploadProfileImage = asyncHandler(async (req, res) => {
   if (!req.file) {
-    sendResponse(res, 400, "Image file is required");
+    throw new BadRequestError("Image file is required");
   }
 
-  const userId = req.user.id;
-  const imagePath = `/uploads/images/${req.file.filename}`;
-  const updatedUser = await updateProfileImage(userId, imagePath);
+  const image = await saveImage(req.file.buffer);
+  const updatedUser = await updateProfileImage(req.params.id, image);
 
   sendResponse(res, 200, "Profile image updated successfully", updatedUser);
 });
 
 export const destroyUser = asyncHandler(async (req, res) => {
   const userId = req.params.id;
-  await deleteUser(userId);
+  const context = getAuditContext(req);
+  await deleteUser(userId, context);
+  logSecurityEvent("user_deleted", { ...context, targetId: userId });
 
   sendResponse(res, 200, "User deleted successfully");
 });
+
+// PATCH /users/:id/unlock
+export const unlockUser = asyncHandler(async (req, res) => {
+  const result = await unlockAccount(req.params.id, req.user._id);
+  sendResponse(res, 200, "Account unlocked successfully", result);
+});
+
+// POST /users/:id/access-code
+export const resetUserAccessCode = asyncHandler(async (req, res) => {
+  await regenerateAccessCode(req.params.id, {
+    requestedBy: req.user._id,
+    notify: true,
+  });
+  sendResponse(res, 200, "Access code regenerated and sent to the user's phone");
+});
+
+// GET /users/me
+export const getMe = asyncHandler(async (req, res) => {
+  const user = await getAuthenticatedUser(req.user._id);
+  sendResponse(res, 200, "User retrieved successfully", user);
+});
+
+// PATCH /users/me
+export const editMe = asyncHandler(async (req, res) => {
+  const updatedUser = await updateUser(req.user._id, { name: req.body.name });
+  sendResponse(res, 200, "User updated successfully", updatedUser);
+});
+
+// DELETE /users/me
+export const destroyMe = asyncHandler(async (req, res) => {
+  await closeAccount(req.user._id, req.body.password, res, getAuditContext(req));
+  sendResponse(res, 200, "Account deleted successfully");
+});
+
+// GET /users/me/profile
+export const getMyProfile = asyncHandler(async (req, res) => {
+  const profile = await getUserProfile(req.user._id);
+  sendResponse(res, 200, "Profile retrieved successfully", profile);
+});
+
+// PATCH /users/me/password
+export const editMyPassword = asyncHandler(async (req, res) => {
+  const { currentPassword, password, passwordConfirmed } = req.body;
+  const result = await changePassword(
+    req.user._id,
+    { currentPassword, password, passwordConfirmed },
+    res,
+    { ...getAuditContext(req), device: req.body.device }
+  );
+  sendResponse(res, 200, "Password changed, other sessions were closed", result);
+});
+
+// POST /users/me/email
+export const requestMyEmailChange = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+  const result = await requestEmailChange(req.user._id, { email, password }, getAuditContext(req));
+  sendResponse(res, 200, "A confirmation code was sent to the new email", result);
+});
+
+// POST /users/me/email/verify
+export const confirmMyEmailChange = asyncHandler(async (req, res) => {
+  const user = await confirmEmailChange(req.user._id, req.body.code, getAuditContext(req));
+  sendResponse(res, 200, "Email changed successfully", user);
+});
+
+// GET /users/me/export
+export const exportMyData = asyncHandler(async (req, res) => {
+  const data = await exportUserData(req.user._id);
+  const filename = `data-export-${data.exportedAt.toISOString().slice(0, 10)}`;
+
+  if (req.query.format === "zip") {
+    res.attachment(`${filename}.zip`);
+    return writeExportArchive(data, res);
+  }
+
+  res.attachment(`${filename}.json`);
+  res.json(data);
+});
+
+// POST /users/me/erasure
+export const requestMyErasure = asyncHandler(async (req, res) => {
+  const result = await requestErasure(req.user._id, req.body.password, getAuditContext(req));
+  sendResponse(res, 202, "Erasure scheduled, it can be cancelled until the scheduled date", result);
+});
+
+// DELETE /users/me/erasure
+export const cancelMyErasure = asyncHandler(async (req, res) => {
+  await cancelErasure(req.user._id, getAuditContext(req));
+  sendResponse(res, 200, "Erasure request cancelled");
+});
@@ -11,6 +11,8 @@ export const getVisistForDeveloper = asyncHandler( async (req, res) => {
 
 // Post /visits
 export const createVisit = asyncHandler( async (req, res) => {
-   const created = await storeVisit(req.body);
+   // El usuario sale siempre del token, nunca del body
+   const { developerId, ipAddress } = req.body;
+   const created = await storeVisit({ developerId, ipAddress, userId: req.user?._id ?? null });
    sendResponse(res, 201, "Visit created successfully", created);
 });
\ No newline at end of file
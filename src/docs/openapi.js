@@ -0,0 +1,412 @@
+import fs from "fs";
+import { config } from "../config/env.js";
+import { AppError } from "../errors/appError.js";
+import * as errors from "../errors/index.js";
+import { DEFAULT_CODES, MAPPED_ERROR_CODES } from "../middlewares/errorHandler.middleware.js";
+import authMiddleware, { optionalAuthMiddleware } from "../middlewares/auth.middleware.js";
+import loginLimiter from "../middlewares/loginLimiter.middleware.js";
+import codeRequestLimiter from "../middlewares/codeRequestLimiter.middleware.js";
+import { routeMounts } from "../routes/index.js";
+import { API_KEY_SCOPES } from "../models/apiKeyModel.js";
+import { buildModelSchemas } from "./schemas.js";
+import { operations } from "./operations.js";
+import "../models/followModel.js";
+import "../models/visitModel.js";
+import "../models/ratingModel.js";
+import "../models/notificationModel.js";
+import "../models/sessionModel.js";
+import "../models/verificationRequestModel.js";
+
+const API_PREFIX = "/api";
+
+// Modelos documentados → rutas que su `toJSON` oculta
+const DOCUMENTED_MODELS = {
+  User: [],
+  Developer: ["_id"],
+  Project: ["_id"],
+  Rating: [],
+  Follow: [],
+  Visit: [],
+  Notification: [],
+  Session: ["_id", "family"],
+  ApiKey: ["_id"],
+  AuditEvent: ["_id", "expires_at"],
+  VerificationRequest: ["_id"],
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const { version } = JSON.parse(
+  fs.readFileSync(new URL("../../package.json", import.meta.url), "utf8")
+);
+
+/**
+ * Lists the code, status and class of every AppError subclass in `errors/index.js`.
+ * @returns {Array<{code: string, statusCode: number, name: string}>}
+ */
+const collectErrorClasses = () =>
+  Object.values(errors)
+    .filter((value) => typeof value === "function" && value.prototype instanceof AppError)
+    .map((ErrorClass) => {
+      const error = new ErrorClass();
+      return { code: error.code, statusCode: error.statusCode, name: ErrorClass.name };
+    });
+
+/**
+ * Markdown table of the error codes returned in `data.code`.
+ * @returns {string}
+ */
+const describeErrorCodes = () => {
+  const rows = collectErrorClasses().map(
+    ({ code, statusCode, name }) => `| \`${code}\` | ${statusCode} | ${name} |`
+  );
+  const mapped = Object.entries(MAPPED_ERROR_CODES).map(
+    ([code, description]) => `| \`${code}\` | | ${description} |`
+  );
+  const defaults = Object.entries(DEFAULT_CODES).map(
+    ([status, code]) => `| \`${code}\` | ${status} | Default for errors of this status without a specific code |`
+  );
+
+  return [
+    "| Code | Status | Source |",
+    "| --- | --- | --- |",
+    ...rows,
+    ...mapped,
+    ...defaults,
+  ].join("\n");
+};
+
+/**
+ * Maps an express-validator field schema to an OpenAPI schema.
+ * @param {Object} entry - Field schema (see `validators/`)
+ * @returns {Object}
+ */
+const validatorToSchema = (entry) => {
+  if (entry.isMongoId) return ref("ObjectId");
+
+  const schema = { type: "string" };
+  const options = (validator) => entry[validator]?.options ?? {};
+
+  if (entry.isInt) {
+    schema.type = "integer";
+    if (options("isInt").min != null) schema.minimum = options("isInt").min;
+    if (options("isInt").max != null) schema.maximum = options("isInt").max;
+  }
+  if (entry.isFloat) {
+    schema.type = "number";
+    if (options("isFloat").min != null) schema.minimum = options("isFloat").min;
+  }
+  if (entry.isBoolean) schema.type = "boolean";
+  if (entry.isObject) schema.type = "object";
+  if (entry.isArray) {
+    schema.type = "array";
+    schema.items = {};
+    if (options("isArray").min != null) schema.minItems = options("isArray").min;
+  }
+  if (entry.isEmail) schema.format = "email";
+  if (entry.isISO8601) schema.format = "date-time";
+  if (entry.isURL) schema.format = "uri";
+  if (entry.isIP) schema.format = "ip";
+  if (entry.isIn) schema.enum = [...entry.isIn.options[0]];
+  if (entry.matches) schema.pattern = entry.matches.options.source;
+  if (entry.isLength) {
+    if (options("isLength").min != null) schema.minLength = options("isLength").min;
+    if (options("isLength").max != null) schema.maxLength = options("isLength").max;
+  }
+
+  return schema;
+};
+
+/**
+ * Builds the parameters and request body of an operation from its validation schema.
+ * @param {Object} validationSchema - Schema given to `validate()`
+ * @returns {{parameters: Array<Object>, requestBody: Object|undefined}}
+ */
+const describeRequest = (validationSchema = {}) => {
+  const parameters = [];
+  const body = { type: "object", properties: {}, required: [] };
+  const rules = [];
+
+  for (const [field, entry] of Object.entries(validationSchema)) {
+    const location = entry.in?.[0] ?? "body";
+    const isRequired = !entry.optional;
+
+    // Reglas sobre varios campos (ver `oneOf` en common.validator.js)
+    if (entry.custom?.options?.oneOf) {
+      rules.push(`One of ${entry.custom.options.oneOf.map((name) => `\`${name}\``).join(", ")} is required.`);
+      continue;
+    }
+
+    if (location !== "body") {
+      parameters.push({
+        name: field,
+        in: location === "params" ? "path" : location,
+        required: location === "params" || isRequired,
+        schema: validatorToSchema(entry),
+      });
+      continue;
+    }
+
+    const segments = field.split(".");
+    let target = body;
+    for (const segment of segments.slice(0, -1)) {
+      target.properties[segment] ??= { type: "object", properties: {} };
+      target = target.properties[segment];
+    }
+
+    const name = segments.at(-1);
+    if (name === "*") {
+      // `campo.*` describe los elementos de un array o los valores de un objeto
+      if (target.type === "array") target.items = validatorToSchema(entry);
+      else target.additionalProperties = validatorToSchema(entry);
+      continue;
+    }
+
+    target.properties ??= {};
+    target.properties[name] = { ...validatorToSchema(entry), ...target.properties[name] };
+    if (isRequired && segments.length === 1) body.required.push(name);
+  }
+
+  if (!body.required.length) delete body.required;
+  if (rules.length) body.description = rules.join(" ");
+
+  const requestBody = Object.keys(body.properties).length
+    ? { required: true, content: { "application/json": { schema: body } } }
+    : undefined;
+
+  return { parameters, requestBody };
+};
+
+/**
+ * Builds the OpenAPI operation of a route from its middlewares.
+ * @param {string} method - HTTP method
+ * @param {string} path - OpenAPI path
+ * @param {Array<Function>} handlers - Route middlewares, in order
+ * @param {string} tag - Tag of the router
+ * @returns {Object} OpenAPI operation object
+ */
+const describeOperation = (method, path, handlers, tag) => {
+  const operation = operations[`${method.toUpperCase()} ${path}`] ?? {};
+  const isAuthenticated = handlers.includes(authMiddleware);
+  const isOptionallyAuthenticated = handlers.includes(optionalAuthMiddleware);
+  const isRateLimited = handlers.some((handler) => [loginLimiter, codeRequestLimiter].includes(handler));
+  const validationSchema = handlers.find((handler) => handler.validationSchema)?.validationSchema;
+  const roles = handlers.find((handler) => handler.allowedRoles)?.allowedRoles;
+  const ownedResource = handlers.find((handler) => handler.ownedResource)?.ownedResource;
+
+  const notes = [operation.description];
+  if (roles?.length) notes.push(`Allowed roles: ${roles.join(", ")}.`);
+  if (ownedResource) notes.push(`Only the owner of the ${ownedResource} or an ADMIN.`);
+
+  const { parameters, requestBody } = describeRequest(validationSchema);
+
+  // Parámetros de ruta que no declara el esquema de validación
+  for (const [, name] of path.matchAll(/\{(\w+)\}/g)) {
+    if (!parameters.some((parameter) => parameter.in === "path" && parameter.name === name)) {
+      parameters.push({ name, in: "path", required: true, schema: { type: "string" } });
+    }
+  }
+
+  const successStatus = operation.status ?? 200;
+  const data = Array.isArray(operation.data)
+    ? { type: "array", items: ref(operation.data[0]) }
+    : operation.data
+      ? ref(operation.data)
+      : {};
+
+  const responses = {
+    [successStatus]: {
+      description: operation.summary ?? "Success",
+      content: {
+        "application/json": {
+          schema: { allOf: [ref("ApiResponse"), { type: "object", properties: { data } }] },
+        },
+      },
+    },
+  };
+  if (validationSchema) responses[422] = { $ref: "#/components/responses/ValidationError" };
+  if (isAuthenticated) responses[401] = { $ref: "#/components/responses/Unauthorized" };
+  if (roles || ownedResource) responses[403] = { $ref: "#/components/responses/Forbidden" };
+  if (path.includes("{")) responses[404] = { $ref: "#/components/responses/NotFound" };
+  if (isRateLimited) responses[429] = { $ref: "#/components/responses/TooManyRequests" };
+  responses[500] = { $ref: "#/components/responses/InternalError" };
+
+  const result = {
+    tags: [tag],
+    summary: operation.summary ?? `${method.toUpperCase()} ${path}`,
+    description: notes.filter(Boolean).join("\n\n") || undefined,
+    parameters: parameters.length ? parameters : undefined,
+    requestBody,
+    responses,
+  };
+
+  // `upload`: un campo con un archivo, o una lista de campos con varios archivos
+  if (operation.upload) {
+    const binary = { type: "string", format: "binary" };
+    const files = Array.isArray(operation.upload)
+      ? Object.fromEntries(operation.upload.map((field) => [field, { type: "array", items: binary }]))
+      : { [operation.upload]: binary };
+    // Los demás campos del body viajan en el mismo formulario
+    const fields = requestBody?.content["application/json"].schema;
+
+    result.requestBody = {
+      required: true,
+      content: {
+        "multipart/form-data": {
+          schema: {
+            type: "object",
+            required: Array.isArray(operation.upload) ? fields?.required : [operation.upload],
+            properties: { ...fields?.properties, ...files },
+          },
+        },
+      },
+    };
+  }
+
+  if (isAuthenticated) {
+    result.security = [{ bearerAuth: [] }, { apiKey: [] }];
+  } else if (isOptionallyAuthenticated) {
+    // `{}`: también se admiten peticiones anónimas
+    result.security = [{}, { bearerAuth: [] }, { apiKey: [] }];
+  } else if (operation.security) {
+    result.security = [{ [operation.security]: [] }];
+  }
+
+  return result;
+};
+
+/**
+ * Lists the routes of every mounted router with their OpenAPI operation.
+ * @returns {Object} OpenAPI paths object
+ */
+const buildPaths = () => {
+  const paths = {};
+
+  for (const [mountPath, router] of routeMounts) {
+    const tag = mountPath.slice(1).replace(/^\w/, (char) => char.toUpperCase());
+
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+
+      const routePath = layer.route.path === "/" ? "" : layer.route.path;
+      const path = `${API_PREFIX}${mountPath}${routePath}`.replace(/:(\w+)/g, "{$1}");
+      const handlers = layer.route.stack.map((routeLayer) => routeLayer.handle);
+
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[path] ??= {};
+        paths[path][method] = describeOperation(method, path, handlers, tag);
+      }
+    }
+  }
+
+  return paths;
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: ref("ErrorResponse") } },
+});
+
+/**
+ * Builds the OpenAPI 3 document of the REST API from the mounted routers,
+ * their validation schemas and the Mongoose models.
+ * @returns {Object} OpenAPI document
+ */
+export const buildOpenApiDocument = () => ({
+  openapi: "3.0.3",
+  info: {
+    title: `${config.appName} API`,
+    version,
+    description: [
+      "Every response uses the same envelope: `status`, `statusCode`, `message`, `data` and `meta`.",
+      "Errors carry a stable code in `data.code` and optional `data.details`:",
+      "",
+      describeErrorCodes(),
+    ].join("\n"),
+  },
+  servers: [{ url: "/" }],
+  tags: routeMounts.map(([mountPath]) => ({
+    name: mountPath.slice(1).replace(/^\w/, (char) => char.toUpperCase()),
+  })),
+  paths: buildPaths(),
+  components: {
+    securitySchemes: {
+      bearerAuth: {
+        type: "http",
+        scheme: "bearer",
+        bearerFormat: "JWT",
+        description: "Access token returned by the login endpoints.",
+      },
+      apiKey: {
+        type: "apiKey",
+        in: "header",
+        name: "X-API-Key",
+        description: `Personal API key (also accepted as \`Authorization: ApiKey <key>\`). Each route needs the \`<resource>:<read|write>\` scope; available scopes: ${API_KEY_SCOPES.join(", ")}.`,
+      },
+      refreshCookie: {
+        type: "apiKey",
+        in: "cookie",
+        name: "refreshToken",
+        description: "HTTP-only refresh token cookie set on login.",
+      },
+    },
+    schemas: {
+      ObjectId: { type: "string", pattern: "^[0-9a-fA-F]{24}$", example: "65a1b2c3d4e5f6a7b8c9d0e1" },
+      ApiResponse: {
+        type: "object",
+        properties: {
+          status: { type: "string", enum: ["success", "error"] },
+          statusCode: { type: "integer" },
+          message: { type: "string" },
+          data: { nullable: true },
+          meta: { type: "object", nullable: true },
+        },
+      },
+      ErrorResponse: {
+        allOf: [
+          ref("ApiResponse"),
+          {
+            type: "object",
+            properties: {
+              status: { type: "string", enum: ["error"] },
+              data: {
+                type: "object",
+                properties: {
+                  code: { type: "string", description: "Stable error code, see the table in the API description" },
+                  details: { type: "object", nullable: true },
+                },
+              },
+            },
+          },
+        ],
+      },
+      ...buildModelSchemas(DOCUMENTED_MODELS),
+    },
+    responses: {
+      ValidationError: errorResponse("Request validation failed; `data.details.fields` maps each field to its error"),
+      Unauthorized: errorResponse("Missing, invalid or expired credentials"),
+      Forbidden: errorResponse("The authenticated user cannot perform this action"),
+      NotFound: errorResponse("Resource not found"),
+      TooManyRequests: {
+        description: "Rate limit exceeded",
+        content: {
+          "application/json": {
+            schema: { type: "object", properties: { error: { type: "string" } } },
+          },
+        },
+      },
+      InternalError: errorResponse("Unexpected server error"),
+    },
+  },
+});
+
+let cachedDocument = null;
+
+/**
+ * Returns the OpenAPI document, built once on first use.
+ * @returns {Object}
+ */
+export const getOpenApiDocument = () => {
+  cachedDocument ??= buildOpenApiDocument();
+  return cachedDocument;
+};
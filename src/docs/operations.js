@@ -0,0 +1,227 @@
+/**
+ * Human readable description of each route, keyed by `METHOD /api/path`.
+ * Routes, parameters, bodies and security are read from the routers
+ * themselves; a route missing here is still documented with a generic summary.
+ *   - summary: short description of the operation
+ *   - data: component schema of the `data` field (`["Name"]` for a list)
+ *   - status: success status code (defaults to 200)
+ *   - upload: multipart file field, or a list of fields accepting several files
+ */
+export const operations = {
+  // Auth
+  "POST /api/auth/register": { summary: "Register a new user", data: "User" },
+  "POST /api/auth/login": {
+    summary: "Log in with email and password",
+    description: "Returns an access token and sets the refresh token cookie, or an MFA challenge (`mfaRequired`/`mfaSetupRequired` + `mfaToken`).",
+  },
+  "POST /api/auth/login/phone": { summary: "Log in with phone and access code or password" },
+  "POST /api/auth/access-code": {
+    summary: "Regenerate the authenticated user's access code",
+    description: "The only response that includes `access_code`: it is a login credential and no other endpoint returns it.",
+  },
+  "POST /api/auth/refresh": {
+    summary: "Rotate the refresh token cookie and issue a new access token",
+    security: "refreshCookie",
+  },
+  "POST /api/auth/logout": { summary: "Log out from the current session" },
+  "POST /api/auth/password/forgot": { summary: "Send a password reset code by email or SMS" },
+  "POST /api/auth/password/reset": { summary: "Reset the password with a one-time code" },
+  "POST /api/auth/verify/email": { summary: "Verify the email address with a one-time code" },
+  "POST /api/auth/verify/phone": { summary: "Verify the phone number with a one-time code" },
+  "POST /api/auth/verify/email/resend": { summary: "Resend the email verification code" },
+  "POST /api/auth/verify/phone/resend": { summary: "Resend the phone verification code" },
+  "POST /api/auth/2fa/login": { summary: "Complete a login with a TOTP or recovery code" },
+  "POST /api/auth/2fa/enroll/setup": { summary: "Start mandatory two-factor enrollment during login" },
+  "POST /api/auth/2fa/enroll/enable": { summary: "Finish mandatory two-factor enrollment and log in" },
+  "POST /api/auth/2fa/setup": { summary: "Generate a new TOTP secret" },
+  "POST /api/auth/2fa/enable": { summary: "Enable two-factor authentication" },
+  "POST /api/auth/2fa/disable": { summary: "Disable two-factor authentication" },
+  "POST /api/auth/2fa/recovery-codes": { summary: "Regenerate two-factor recovery codes" },
+  "GET /api/auth/google": {
+    summary: "Redirect to Google sign-in",
+    description: "Sets an httpOnly `oauthState` cookie whose nonce is sent as the OAuth `state`.",
+    status: 302,
+  },
+  "GET /api/auth/google/callback": {
+    summary: "Google sign-in callback",
+    description: "Rejects the request (401) unless `state` matches the `oauthState` cookie of the browser that started the sign-in.",
+  },
+  "POST /api/auth/google/link": {
+    summary: "Get the URL to link a Google account",
+    description: "Also sets an httpOnly `linkNonce` cookie: the URL must be opened in the same browser, which has 10 minutes to complete the link.",
+  },
+  "DELETE /api/auth/google/link": { summary: "Unlink the Google account" },
+  "POST /api/auth/wallet/nonce": { summary: "Request a message to sign with a Solana wallet" },
+  "POST /api/auth/wallet/verify": { summary: "Log in with a signed wallet message" },
+  "GET /api/auth/sessions": { summary: "List active sessions", data: ["Session"] },
+  "DELETE /api/auth/sessions": { summary: "Log out from all devices" },
+  "DELETE /api/auth/sessions/{id}": { summary: "Revoke one session" },
+  "GET /api/auth/api-keys": { summary: "List personal API keys", data: ["ApiKey"] },
+  "POST /api/auth/api-keys": {
+    summary: "Create a personal API key",
+    description: "The full key is only returned in this response.",
+    status: 201,
+  },
+  "DELETE /api/auth/api-keys/{id}": { summary: "Revoke a personal API key" },
+
+  // Users
+  "GET /api/users": { summary: "List users" },
+  "GET /api/users/me": { summary: "Get the authenticated user", data: "User" },
+  "PATCH /api/users/me": { summary: "Update the authenticated user", data: "User" },
+  "DELETE /api/users/me": {
+    summary: "Delete the authenticated user's account",
+    description: "Requires the current password when the account has one.",
+  },
+  "GET /api/users/me/profile": {
+    summary: "Get the authenticated user's profile",
+    description: "Includes followed developers, ratings given and the number of unread notifications.",
+  },
+  "PATCH /api/users/me/password": {
+    summary: "Change the password",
+    description: "Closes every session and returns a new access token for the current device.",
+  },
+  "POST /api/users/me/email": {
+    summary: "Request an email change",
+    description: "Sends a code to the new address. The email only changes once the code is confirmed.",
+  },
+  "POST /api/users/me/email/verify": { summary: "Confirm an email change with its code", data: "User" },
+  "GET /api/users/me/export": {
+    summary: "Download a copy of the authenticated user's data",
+    description: "Returns a file attachment: a JSON document or, with `format=zip`, a ZIP archive with one JSON file per section and the profile image.",
+  },
+  "POST /api/users/me/erasure": {
+    summary: "Request the erasure of the authenticated user's data",
+    description: "The data is erased after a cooldown (`ERASURE_COOLDOWN_DAYS`, 30 by default). Ratings are anonymized and keep their score; visits, notifications, follows, verification documents and the profile image are deleted.",
+    status: 202,
+  },
+  "DELETE /api/users/me/erasure": { summary: "Cancel a scheduled erasure" },
+  "GET /api/users/{id}": { summary: "Get a user", data: "User" },
+  "PUT /api/users/{id}": {
+    summary: "Update a user",
+    description: "The email only changes through `POST /api/users/me/email` and its confirmation code.",
+    data: "User",
+  },
+  "POST /api/users/{id}/profile-image": {
+    summary: "Upload a profile image",
+    description: "JPEG, PNG, GIF or WebP, detected from the file contents (415 otherwise). Limited to `IMAGE_MAX_BYTES` (5 MB, 413) and `IMAGE_MAX_DIMENSION` pixels per side (4096). The image is re-encoded as WebP without metadata and 64, 128 and 256 px thumbnails are stored in `profileImageThumbnails`; old uploads are deleted by their stored `profileImageKey`.",
+    data: "User",
+    upload: "image",
+  },
+  "PATCH /api/users/{id}/unlock": { summary: "Unlock a locked account" },
+  "POST /api/users/{id}/access-code": { summary: "Regenerate a user's access code and send it by SMS" },
+  "DELETE /api/users/{id}": {
+    summary: "Delete a user",
+    description: "Soft delete: also deletes the developer profile and projects, removes follows and notifications and anonymizes visits.",
+  },
+
+  // Developers
+  "GET /api/developers": { summary: "List developers" },
+  "GET /api/developers/search": {
+    summary: "Search developers with filters and facet counts",
+    description: "`q` matches the user's name, the bio and social link handles, and is a prefix of the wallet address. Each developer has its `stats` (`rating`, `ratingCount`, `followers`, `activeProjects`, `scamReportedProjects`). `facets` count the matching developers by `verified`, `rating`, `followers`, `hasScamReports` and `activeProjects` ranges.",
+  },
+  "GET /api/developers/{id}": { summary: "Get a developer", data: "Developer" },
+  "GET /api/developers/{id}/profile": {
+    summary: "Get a developer with everything its page shows",
+    description: "`include` is a comma-separated list of sections: `user`, `projects` (`total`, `byStatus`, `items`), `followers` (`total`), `ratings` (`average`, `count`, `distribution` by score), `visits` (`total`, `last30Days`) and `scamReports` (`projects` with status `scam_reported`). All by default; `developer` is always returned.",
+  },
+  "GET /api/developers/{id}/trust-score": {
+    summary: "Get a developer's trust score with its breakdown",
+    description: "Score from 0 to 100 weighing verification (15), Bayesian-smoothed rating average (30), projects reported as scam (25, any report caps the score at 40), average project age (10), new followers in the last 30 days (10) and account age (10). Each factor has its `weight`, normalized `value`, `points` and an `explanation`. Recalculated when ratings, projects, follows or the verification change, and every `TRUST_SCORE_JOB_INTERVAL_MINUTES` (daily by default).",
+  },
+  "POST /api/developers": { summary: "Create a developer profile", data: "Developer" },
+  "PUT /api/developers/{id}": { summary: "Update a developer profile", data: "Developer" },
+  "DELETE /api/developers/{id}": {
+    summary: "Delete a developer profile",
+    description: "Soft delete: also deletes its projects and removes its follows and notifications.",
+  },
+  "GET /api/developers/{id}/verification-requests": {
+    summary: "List a developer's verification requests",
+    description: "Document `url`s are signed and expire after `STORAGE_SIGNED_URL_TTL_SECONDS` (15 minutes by default).",
+    data: ["VerificationRequest"],
+  },
+  "POST /api/developers/{id}/verification-requests": {
+    summary: "Apply for developer verification",
+    description: "Upload identity and/or project documents (PDF, JPEG, PNG or WebP, up to 5 per field and `DOCUMENT_MAX_BYTES` each, 10 MB by default). Only one pending request per developer (409).",
+    data: "VerificationRequest",
+    status: 201,
+    upload: ["identity", "project"],
+  },
+
+  // Projects
+  "GET /api/projects": { summary: "List projects" },
+  "GET /api/projects/{id}": { summary: "Get a project", data: "Project" },
+  "POST /api/projects": { summary: "Create a project", data: "Project" },
+  "PUT /api/projects/{id}": { summary: "Update a project", data: "Project" },
+  "DELETE /api/projects/{id}": { summary: "Delete a project", description: "Soft delete, an ADMIN can restore it." },
+
+  // Ratings
+  "GET /api/ratings/{id}/developer/average": { summary: "Average rating of a developer" },
+  "POST /api/ratings": { summary: "Rate a developer", data: "Rating", status: 201 },
+  "PATCH /api/ratings/{id}/score": { summary: "Change a rating's score", data: "Rating" },
+  "PATCH /api/ratings/{id}/comment": { summary: "Change a rating's comment", data: "Rating" },
+  "DELETE /api/ratings/{id}": { summary: "Delete a rating" },
+
+  // Visits
+  "GET /api/visits/{id}/developer": { summary: "Count visits to a developer" },
+  "POST /api/visits": {
+    summary: "Record a visit to a developer",
+    description: "Authentication is optional: anonymous visits are recorded without a user.",
+    data: "Visit",
+    status: 201,
+  },
+
+  // Follows
+  "GET /api/follows/{id}/developer": { summary: "List followers of a developer", data: ["Follow"] },
+  "GET /api/follows/{id}/developer/count": { summary: "Count followers of a developer" },
+  "POST /api/follows": { summary: "Follow a developer", data: "Follow", status: 201 },
+  "DELETE /api/follows/{id}": { summary: "Unfollow a developer" },
+
+  // Notifications
+  "GET /api/notifications/{id}/user": { summary: "List a user's notifications" },
+  "POST /api/notifications": { summary: "Notify a developer's followers", data: ["Notification"], status: 201 },
+  "PATCH /api/notifications/{id}/read": { summary: "Mark a notification as read", data: "Notification" },
+  "PATCH /api/notifications/{id}/user/all-read": { summary: "Mark all of a user's notifications as read" },
+  "DELETE /api/notifications/{id}": { summary: "Delete a notification" },
+
+  // Admin
+  "GET /api/admin/audit": { summary: "Search the security audit log" },
+  "GET /api/admin/users": { summary: "Search users by name, email, phone, role or status" },
+  "PATCH /api/admin/users/{id}/role": { summary: "Change a user's role", data: "User" },
+  "PATCH /api/admin/users/{id}/status": {
+    summary: "Activate, deactivate or ban a user",
+    description: "Deactivating or banning revokes every session. Without `until` the suspension is permanent.",
+    data: "User",
+  },
+  "POST /api/admin/users/{id}/logout": { summary: "Log a user out of every session" },
+  "POST /api/admin/users/{id}/restore": {
+    summary: "Restore a deleted user",
+    description: "Also restores the developer profile and projects deleted with the user. Removed follows and notifications are not recovered.",
+    data: "User",
+  },
+  "POST /api/admin/developers/{id}/restore": {
+    summary: "Restore a deleted developer",
+    description: "Also restores the projects deleted with it. The user must not be deleted.",
+    data: "Developer",
+  },
+  "POST /api/admin/projects/{id}/restore": {
+    summary: "Restore a deleted project",
+    description: "The developer must not be deleted.",
+    data: "Project",
+  },
+  "GET /api/admin/verification-requests": { summary: "List developer verification requests, oldest first" },
+  "GET /api/admin/verification-requests/{id}": {
+    summary: "Get a verification request with signed document URLs",
+    data: "VerificationRequest",
+  },
+  "POST /api/admin/verification-requests/{id}/approve": {
+    summary: "Approve a verification request",
+    description: "Marks the developer as verified and notifies the applicant.",
+    data: "VerificationRequest",
+  },
+  "POST /api/admin/verification-requests/{id}/reject": {
+    summary: "Reject a verification request",
+    description: "`notes` are required and sent to the applicant.",
+    data: "VerificationRequest",
+  },
+};
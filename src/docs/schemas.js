@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+/**
+ * Converts one Mongoose schema type into an OpenAPI schema.
+ * @param {mongoose.SchemaType} schemaType
+ * @returns {Object} OpenAPI schema object
+ */
+const convertSchemaType = (schemaType) => {
+  const { options = {} } = schemaType;
+
+  switch (schemaType.instance) {
+    case "String": {
+      const schema = { type: "string" };
+      if (schemaType.enumValues?.length) schema.enum = schemaType.enumValues;
+      if (options.minlength) schema.minLength = [].concat(options.minlength)[0];
+      if (options.maxlength) schema.maxLength = [].concat(options.maxlength)[0];
+      return schema;
+    }
+    case "Number": {
+      const schema = { type: "number" };
+      if (options.min != null) schema.minimum = [].concat(options.min)[0];
+      if (options.max != null) schema.maximum = [].concat(options.max)[0];
+      return schema;
+    }
+    case "Boolean":
+      return { type: "boolean" };
+    case "Date":
+      return { type: "string", format: "date-time" };
+    case "ObjectId":
+    case "ObjectID":
+      return { $ref: "#/components/schemas/ObjectId" };
+    case "Array":
+      return {
+        type: "array",
+        items: schemaType.caster ? convertSchemaType(schemaType.caster) : {},
+      };
+    case "Map":
+      return { type: "object", additionalProperties: { type: "string" } };
+    case "Embedded":
+      return modelSchemaToOpenApi(schemaType.schema);
+    default:
+      return {};
+  }
+};
+
+/**
+ * Converts a Mongoose schema into an OpenAPI object schema, as the model is
+ * serialized by the API. Fields with `select: false` are left out.
+ * @param {mongoose.Schema} schema - Mongoose schema
+ * @param {Array<string>} [hidden] - Extra paths removed by the model's `toJSON`
+ * @returns {Object} OpenAPI schema object
+ */
+export const modelSchemaToOpenApi = (schema, hidden = []) => {
+  const result = { type: "object", properties: {} };
+
+  schema.eachPath((path, schemaType) => {
+    if (schemaType.options?.select === false || hidden.includes(path)) return;
+    // Rutas internas de los Map (`social_links.$*`)
+    if (path.includes("$*")) return;
+
+    // Rutas anidadas (`twoFactor.enabled`) se convierten en objetos
+    const segments = path.split(".");
+    let target = result;
+    for (const segment of segments.slice(0, -1)) {
+      target.properties[segment] ??= { type: "object", properties: {} };
+      target = target.properties[segment];
+    }
+
+    target.properties[segments.at(-1)] = convertSchemaType(schemaType);
+  });
+
+  // Los modelos que ocultan `_id` lo exponen como `id` en su `toJSON`
+  const idKey = hidden.includes("_id") ? "id" : "_id";
+  const { [idKey]: _, ...properties } = result.properties;
+  result.properties = {
+    [idKey]: { $ref: "#/components/schemas/ObjectId" },
+    ...properties,
+  };
+
+  return result;
+};
+
+/**
+ * Builds OpenAPI component schemas from registered Mongoose models.
+ * @param {Object<string, Array<string>>} models - Model name → paths hidden by its `toJSON`
+ * @returns {Object<string, Object>} Component schemas keyed by model name
+ */
+export const buildModelSchemas = (models) =>
+  Object.fromEntries(
+    Object.entries(models).map(([name, hidden]) => [
+      name,
+      modelSchemaToOpenApi(mongoose.model(name).schema, hidden),
+    ])
+  );
@@ -18,6 +18,12 @@ export class AccountLockedError extends AppError {
   }
 }
 
+export class AccountSuspendedError extends AppError {
+  constructor(message = 'Account is suspended', details = null) {
+    super(message, 403, 'ACCOUNT_SUSPENDED', details);
+  }
+}
+
 export class TokenVerificationError extends AppError {
   constructor(message = 'Token verification failed') {
     super(message, 401, 'VERIFICATION_FAILED');
@@ -47,3 +53,64 @@ export class NotFoundError extends AppError {
     super(message, 404, "RESOURCE_NOT_FOUND");
   }
 }
+
+export class ForbiddenError extends AppError {
+  constructor(message = "You do not have permission to perform this action", details = null) {
+    super(message, 403, "FORBIDDEN", details);
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = "Bad request", details = null) {
+    super(message, 400, "BAD_REQUEST", details);
+  }
+}
+
+export class InvalidCodeError extends AppError {
+  constructor(message = "Invalid or expired code") {
+    super(message, 400, "INVALID_CODE");
+  }
+}
+
+export class AccountNotVerifiedError extends AppError {
+  constructor(message = "Account verification is required", missing = []) {
+    super(message, 403, "ACCOUNT_NOT_VERIFIED", { missing });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Resource already exists", details = null) {
+    super(message, 409, "CONFLICT", details);
+  }
+}
+
+export class UnsupportedMediaTypeError extends AppError {
+  constructor(message = "Unsupported media type", details = null) {
+    super(message, 415, "UNSUPPORTED_MEDIA_TYPE", details);
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests. Please try again later", details = null) {
+    super(message, 429, "TOO_MANY_REQUESTS", details);
+  }
+}
+
+export class RequestValidationError extends AppError {
+  constructor(message = "Validation failed", fields = {}) {
+    super(message, 422, "VALIDATION_ERROR", { fields });
+  }
+}
+
+/**
+ * Whether an error describes a client mistake that the error handler can
+ * report as is: any `AppError`, Mongoose validation and cast errors, and
+ * duplicate key errors. Services rethrow these instead of wrapping them.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isOperationalError = (error) =>
+  error instanceof AppError ||
+  error?.name === "ValidationError" ||
+  error?.name === "CastError" ||
+  error?.code === 11000;
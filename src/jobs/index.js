@@ -0,0 +1,41 @@
+import { config } from "../config/env.js";
+import { processDueErasures } from "../services/privacy.service.js";
+import { recalculateTrustScores } from "../services/trustScore.service.js";
+
+/**
+ * Runs a task now and then every `intervalMinutes`. Errors are logged and the
+ * timer does not keep the process alive.
+ * @param {string} name - Name used in the logs
+ * @param {Function} task - Async task
+ * @param {number} intervalMinutes - Minutes between runs
+ */
+const schedule = (name, task, intervalMinutes) => {
+  const run = () =>
+    task().catch((error) => console.error(`❌ Job ${name} failed:`, error));
+
+  run();
+  setInterval(run, intervalMinutes * 60 * 1000).unref();
+};
+
+/**
+ * Starts the periodic background jobs. Call once the database is connected.
+ */
+export const startJobs = () => {
+  schedule(
+    "erasures",
+    async () => {
+      const erased = await processDueErasures();
+      if (erased) console.log(`🗑️ Erased personal data of ${erased} user(s)`);
+    },
+    config.erasureJobIntervalMinutes
+  );
+
+  schedule(
+    "trust-scores",
+    async () => {
+      const updated = await recalculateTrustScores();
+      console.log(`🛡️ Recalculated the trust score of ${updated} developer(s)`);
+    },
+    config.trustScoreJobIntervalMinutes
+  );
+};
@@ -0,0 +1,39 @@
+import { config } from "../config/env.js";
+import consoleTransport from "./transports/console.transport.js";
+import fileTransport from "./transports/file.transport.js";
+
+const transports = new Map([
+  ["console", consoleTransport],
+  ["file", fileTransport],
+]);
+
+/**
+ * Registers a delivery transport (e.g. an SMTP or SMS provider).
+ * A transport is an async function receiving `{ channel, to, subject, text }`.
+ * @param {string} name - Name used in `MESSAGE_TRANSPORT`
+ * @param {Function} transport - Transport implementation
+ */
+export const registerTransport = (name, transport) => {
+  if (typeof transport !== "function") {
+    throw new Error(`Transport "${name}" must be a function`);
+  }
+  transports.set(name, transport);
+};
+
+/**
+ * Delivers a message through the transport selected by `config.messageTransport`.
+ * @param {Object} message - Message to deliver
+ * @param {"email"|"sms"} message.channel - Delivery channel
+ * @param {string} message.to - Email address or phone number
+ * @param {string} [message.subject] - Subject (email only)
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<void>}
+ * @throws {Error} If the configured transport is not registered
+ */
+export const sendMessage = async (message) => {
+  const transport = transports.get(config.messageTransport);
+  if (!transport) {
+    throw new Error(`Unknown message transport "${config.messageTransport}"`);
+  }
+  await transport(message);
+};
@@ -0,0 +1,16 @@
+/**
+ * Transporte de desarrollo: imprime el mensaje en consola.
+ * @param {Object} message - Message to deliver
+ * @param {"email"|"sms"} message.channel - Delivery channel
+ * @param {string} message.to - Email address or phone number
+ * @param {string} [message.subject] - Subject (email only)
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<void>}
+ */
+export default async function consoleTransport({ channel, to, subject, text }) {
+  console.log(`[MESSAGE] ${channel} -> ${to}`, {
+    timestamp: new Date(),
+    ...(subject && { subject }),
+    text,
+  });
+}
@@ -0,0 +1,22 @@
+import fs from "fs/promises";
+import path from "path";
+import { config } from "../../config/env.js";
+
+/**
+ * Transporte de desarrollo: añade cada mensaje como una línea JSON
+ * al fichero `config.messageLogFile`.
+ * @param {Object} message - Message to deliver
+ * @param {"email"|"sms"} message.channel - Delivery channel
+ * @param {string} message.to - Email address or phone number
+ * @param {string} [message.subject] - Subject (email only)
+ * @param {string} message.text - Plain text body
+ * @returns {Promise<void>}
+ */
+export default async function fileTransport(message) {
+  const filePath = path.resolve(config.messageLogFile);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.appendFile(
+    filePath,
+    JSON.stringify({ timestamp: new Date(), ...message }) + "\n"
+  );
+}
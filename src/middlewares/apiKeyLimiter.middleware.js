@@ -0,0 +1,14 @@
+import rateLimit from 'express-rate-limit';
+import { TooManyRequestsError } from '../errors/index.js';
+
+// Límite por clave de API: cada clave tiene su propio cupo (`rate_limit` por minuto)
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto (ventana de tiempo)
+  max: (req) => req.apiKey.rate_limit,
+  keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+  handler: (req, res, next) => next(new TooManyRequestsError("API key rate limit exceeded. Please try again later")),
+  standardHeaders: true, // Headers `RateLimit-*` compatibles
+  legacyHeaders: false,  // Desactiva `X-RateLimit-*`
+});
+
+export default apiKeyLimiter;
@@ -1,31 +1,103 @@
 import jwt from "jsonwebtoken";
-import User from "../models/userModel.js";
+import User, { isAccountSuspended } from "../models/userModel.js";
+import { AccountSuspendedError, AuthenticationError, ForbiddenError } from "../errors/index.js";
+import { verifyAccessToken } from "../services/token.service.js";
+import { authenticateApiKey, isApiKey } from "../services/apiKey.service.js";
+import apiKeyLimiter from "./apiKeyLimiter.middleware.js";
+
+/**
+ * Scope required for the current request: `<recurso>:<read|write>`,
+ * where the resource is the router mount point (e.g. `/api/projects`).
+ */
+const getRequiredScope = (req) => {
+  const resource = req.baseUrl.split("/").filter(Boolean).pop();
+  const action = ["GET", "HEAD"].includes(req.method) ? "read" : "write";
+  return `${resource}:${action}`;
+};
+
+/**
+ * Authenticates the request with a personal API key instead of a JWT.
+ */
+const authenticateWithApiKey = async (key, req, res, next) => {
+  const result = await authenticateApiKey(key, req.ip);
+
+  if (!result) {
+    throw new AuthenticationError("Unauthorized, invalid API key");
+  }
+
+  const requiredScope = getRequiredScope(req);
+  if (!result.apiKey.hasScope(requiredScope)) {
+    throw new ForbiddenError(`API key lacks the '${requiredScope}' scope`, { requiredScope });
+  }
+
+  req.user = result.user;
+  req.apiKey = result.apiKey;
+
+  apiKeyLimiter(req, res, next);
+};
 
 const authMiddleware = async (req, res, next) => {
   try {
-    const token = req.headers.authorization?.split(" ")[1]; // Obtener el token
+    const [scheme, credential] = req.headers.authorization?.split(" ") ?? [];
+    const apiKey = req.headers["x-api-key"] ?? (scheme === "ApiKey" || isApiKey(credential) ? credential : null);
+
+    if (apiKey) {
+      return await authenticateWithApiKey(apiKey, req, res, next);
+    }
+
+    const token = credential; // Obtener el token
 
     if (!token) {
-      return res.status(401).json({ message: "Unauthorized, no token provided" });
+      throw new AuthenticationError("Unauthorized, no token provided");
     }
 
     // Verificar el token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
+    let decoded;
+    try {
+      decoded = verifyAccessToken(token);
+    } catch (error) {
+      if (error instanceof jwt.JsonWebTokenError) {
+        throw new AuthenticationError(
+          error instanceof jwt.TokenExpiredError ? "Unauthorized, token expired" : "Unauthorized, invalid token"
+        );
+      }
+      throw error;
+    }
+
     // Buscar el usuario por el id del token decodificado
-    const user = await User.findById(decoded.id).select("_id name email role");
-    
+    const user = await User.findById(decoded.id).select("_id name email role tokenVersion status statusUntil");
+
     if (!user) {
-      return res.status(401).json({ message: "User not found" });
+      throw new AuthenticationError("User not found");
+    }
+
+    // Tokens emitidos antes de un cierre de sesión global ya no son válidos
+    if ((decoded.version ?? 0) !== user.tokenVersion) {
+      throw new AuthenticationError("Unauthorized, session revoked");
+    }
+
+    if (isAccountSuspended(user)) {
+      throw new AccountSuspendedError();
     }
 
     req.user = user; // Asignar el usuario a `req.user`
 
     next(); // Continuar con el siguiente middleware o ruta
   } catch (error) {
-    console.error(error); // Para depuración
-    res.status(401).json({ message: "Unauthorized, invalid token" });
+    // Los errores de base de datos llegan al manejador global como 500, no como 401
+    next(error);
+  }
+};
+
+/**
+ * Authenticates the request only when it carries credentials: anonymous
+ * requests go on without `req.user`, invalid credentials are still rejected.
+ */
+export const optionalAuthMiddleware = (req, res, next) => {
+  if (!req.headers.authorization && !req.headers["x-api-key"]) {
+    return next();
   }
+  return authMiddleware(req, res, next);
 };
 
-export default authMiddleware;
\ No newline at end of file
+export default authMiddleware;
@@ -0,0 +1,117 @@
+import asyncHandler from "express-async-handler";
+import mongoose from "mongoose";
+import Developer from "../models/developerModel.js";
+import Project from "../models/projectModel.js";
+import Rating from "../models/ratingModel.js";
+import Notification from "../models/notificationModel.js";
+import { ROLES } from "../models/userModel.js";
+import { AuthenticationError, ForbiddenError, NotFoundError } from "../errors/index.js";
+
+/**
+ * Resolvers que devuelven el id del usuario dueño de cada recurso.
+ * Devuelven `null` si el recurso no existe.
+ */
+const ownerResolvers = {
+  user: async (userId) => userId,
+  developer: async (developerId) => {
+    const developer = await Developer.findById(developerId).select("user_id").lean();
+    return developer?.user_id ?? null;
+  },
+  project: async (projectId) => {
+    const project = await Project.findById(projectId).select("developer_id").lean();
+    if (!project) return null;
+    return ownerResolvers.developer(project.developer_id);
+  },
+  rating: async (ratingId) => {
+    const rating = await Rating.findById(ratingId).select("user_id").lean();
+    return rating?.user_id ?? null;
+  },
+  notification: async (notificationId) => {
+    const notification = await Notification.findById(notificationId).select("user_id").lean();
+    return notification?.user_id ?? null;
+  },
+};
+
+/**
+ * Restricts a route to users whose role is one of the given roles.
+ * Must be mounted after `authMiddleware`.
+ * @param {...string} roles - Allowed roles (see `ROLES` in userModel)
+ * @returns {Function} Express middleware
+ * @throws {AuthenticationError} If there is no authenticated user
+ * @throws {ForbiddenError} If the user's role is not allowed
+ * @example
+ * router.get("/", authMiddleware, authorize(ROLES.ADMIN), getUsers);
+ */
+export const authorize = (...roles) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return next(new AuthenticationError("No user authenticated"));
+    }
+
+    if (roles.length && !roles.includes(req.user.role)) {
+      return next(
+        new ForbiddenError("Your role is not allowed to perform this action", {
+          requiredRoles: roles,
+        })
+      );
+    }
+
+    next();
+  };
+
+  // Usado por la documentación OpenAPI
+  middleware.allowedRoles = roles;
+  return middleware;
+};
+
+/**
+ * Restricts a route to the owner of a resource. ADMIN users always pass.
+ * Must be mounted after `authMiddleware`.
+ * @param {"user"|"developer"|"project"|"rating"|"notification"} resource - Resource type to check
+ * @param {Function} [getResourceId] - Extracts the resource id from the request (defaults to `req.params.id`)
+ * @returns {Function} Express middleware
+ * @throws {AuthenticationError} If there is no authenticated user
+ * @throws {NotFoundError} If the resource id is invalid or the resource does not exist
+ * @throws {ForbiddenError} If the authenticated user does not own the resource
+ * @example
+ * router.put("/:id", authMiddleware, authorizeOwner("project"), editProject);
+ * router.post("/", authMiddleware, authorizeOwner("developer", (req) => req.body.developer_id), createProject);
+ */
+export const authorizeOwner = (resource, getResourceId = (req) => req.params.id) => {
+  const resolveOwner = ownerResolvers[resource];
+  if (!resolveOwner) {
+    throw new Error(`No ownership resolver registered for "${resource}"`);
+  }
+
+  const middleware = asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      throw new AuthenticationError("No user authenticated");
+    }
+
+    if (req.user.role === ROLES.ADMIN) {
+      return next();
+    }
+
+    const resourceId = getResourceId(req);
+    if (!resourceId || !mongoose.Types.ObjectId.isValid(resourceId)) {
+      throw new NotFoundError(`${capitalize(resource)} not found`);
+    }
+
+    const ownerId = await resolveOwner(resourceId);
+    if (!ownerId) {
+      throw new NotFoundError(`${capitalize(resource)} not found`);
+    }
+
+    if (ownerId.toString() !== req.user._id.toString()) {
+      throw new ForbiddenError(`You can only manage your own ${resource} resources`);
+    }
+
+    next();
+  });
+
+  // Usado por la documentación OpenAPI
+  middleware.ownedResource = resource;
+  return middleware;
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
@@ -0,0 +1,12 @@
+import rateLimit from 'express-rate-limit';
+import { TooManyRequestsError } from '../errors/index.js';
+
+const codeRequestLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos (ventana de tiempo)
+  max: 3,                   // Límite de 3 códigos por IP
+  handler: (req, res, next) => next(new TooManyRequestsError("Too many code requests. Please try again later")),
+  standardHeaders: true, // Headers `RateLimit-*` compatibles
+  legacyHeaders: false,  // Desactiva `X-RateLimit-*`
+});
+
+export default codeRequestLimiter;
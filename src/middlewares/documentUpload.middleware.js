@@ -0,0 +1,19 @@
+import multer from "multer";
+import { config } from "../config/env.js";
+import { VERIFICATION_DOCUMENT_TYPES } from "../models/verificationRequestModel.js";
+
+// Máximo de archivos por tipo de documento
+const MAX_FILES_PER_TYPE = 5;
+
+// En memoria: `developerVerification.service` comprueba el contenido antes de
+// guardarlo en el almacenamiento privado
+const storage = multer.memoryStorage();
+
+// Middleware de `multer` para los documentos de una solicitud de verificación
+export const verificationDocumentsUpload = multer({
+  storage,
+  limits: {
+    fileSize: config.documentMaxBytes,
+    files: MAX_FILES_PER_TYPE * VERIFICATION_DOCUMENT_TYPES.length,
+  },
+}).fields(VERIFICATION_DOCUMENT_TYPES.map((name) => ({ name, maxCount: MAX_FILES_PER_TYPE })));
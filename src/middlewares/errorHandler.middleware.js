@@ -0,0 +1,123 @@
+import multer from "multer";
+import { AppError } from "../errors/appError.js";
+import { NotFoundError } from "../errors/index.js";
+import { config } from "../config/env.js";
+import { sendResponse } from "../utils/apiResponse.js";
+
+// Código por defecto para los AppError creados sin `code`
+export const DEFAULT_CODES = {
+  400: "BAD_REQUEST",
+  401: "AUTHENTICATION_ERROR",
+  403: "FORBIDDEN",
+  404: "RESOURCE_NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  422: "VALIDATION_ERROR",
+  429: "TOO_MANY_REQUESTS",
+  500: "INTERNAL_SERVER_ERROR",
+  503: "SERVICE_UNAVAILABLE",
+};
+
+// Códigos que asigna el manejador a errores que no son AppError
+export const MAPPED_ERROR_CODES = {
+  VALIDATION_ERROR: "Mongoose validation failed (`details.fields`) or request validation failed (422)",
+  INVALID_ID: "A value could not be cast to its type, usually a malformed ObjectId",
+  DUPLICATE_KEY: "A unique field is already in use (`details.fields`)",
+  INVALID_JSON: "The request body is not valid JSON",
+  PAYLOAD_TOO_LARGE: "The request body or uploaded file is too large",
+  "UPLOAD_*": "File upload rejected by multer, e.g. `UPLOAD_LIMIT_UNEXPECTED_FILE`",
+};
+
+/**
+ * Converts any thrown error into an AppError with a status and a stable code.
+ * @param {Error} err - Error passed to `next`
+ * @returns {AppError}
+ */
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+
+  // Errores de validación de Mongoose: un mensaje por campo
+  if (err.name === "ValidationError" && err.errors) {
+    const fields = Object.fromEntries(
+      Object.entries(err.errors).map(([field, error]) => [field, error.message])
+    );
+    return new AppError("Validation failed", 400, "VALIDATION_ERROR", { fields });
+  }
+
+  if (err.name === "CastError") {
+    return new AppError(`Invalid value for '${err.path}'`, 400, "INVALID_ID", {
+      field: err.path,
+    });
+  }
+
+  // Índice único duplicado
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new AppError(
+      `${fields.join(", ") || "Value"} already in use`,
+      409,
+      "DUPLICATE_KEY",
+      { fields }
+    );
+  }
+
+  if (err instanceof multer.MulterError) {
+    const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+    return new AppError(err.message, statusCode, `UPLOAD_${err.code}`, {
+      field: err.field ?? null,
+    });
+  }
+
+  // JSON mal formado en el body (express.json)
+  if (err.type === "entity.parse.failed") {
+    return new AppError("Malformed JSON body", 400, "INVALID_JSON");
+  }
+
+  if (err.type === "entity.too.large") {
+    return new AppError("Request body is too large", 413, "PAYLOAD_TOO_LARGE");
+  }
+
+  return new AppError("Internal server error", 500, "INTERNAL_SERVER_ERROR");
+};
+
+/**
+ * Responds 404 for any route that no router handled.
+ */
+export const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`));
+};
+
+/**
+ * Global error handler: renders every error with the `sendResponse` envelope.
+ * `data` carries the stable error `code` and optional `details`. In
+ * production, server errors hide their message and details.
+ */
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = normalizeError(err);
+  const statusCode = error.statusCode || 500;
+  const isProduction = config.nodeEnv === "production";
+  const isServerError = statusCode >= 500;
+
+  if (isServerError) {
+    console.error(`[ERROR] ${req.method} ${req.originalUrl}`, err);
+  }
+
+  // `details` puede contener el error original; nunca se serializa tal cual
+  const details = error.details instanceof Error ? null : error.details;
+
+  sendResponse(
+    res,
+    statusCode,
+    isProduction && isServerError ? "Internal server error" : error.message,
+    {
+      code: error.code || DEFAULT_CODES[statusCode] || DEFAULT_CODES[500],
+      details: isProduction && isServerError ? null : details ?? null,
+    },
+    !isProduction && isServerError ? { stack: err.stack } : null
+  );
+};
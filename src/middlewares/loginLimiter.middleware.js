@@ -1,9 +1,10 @@
 import rateLimit from 'express-rate-limit';
+import { TooManyRequestsError } from '../errors/index.js';
 
 const loginLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minuto (ventana de tiempo)
   max: 5,              // Límite de 5 peticiones por IP
-  message: { error: "Too many login attempts. Please try again later" },
+  handler: (req, res, next) => next(new TooManyRequestsError("Too many login attempts. Please try again later")),
   standardHeaders: true, // Headers `RateLimit-*` compatibles
   legacyHeaders: false,  // Desactiva `X-RateLimit-*`
 });
@@ -0,0 +1,23 @@
+import { ForbiddenError } from "../errors/index.js";
+import { verifyKeySignature } from "../storage/signing.js";
+
+/**
+ * Only lets through requests with a valid `expires`/`signature` pair, as
+ * created by `createSignedUrl` with the local storage driver.
+ * @param {string} prefix - Storage prefix served by the route (e.g. `documents`)
+ * @returns {Function} Express middleware
+ */
+export const requireSignedUrl = (prefix) => (req, res, next) => {
+  let key;
+  try {
+    key = `${prefix}${decodeURIComponent(req.path)}`;
+  } catch {
+    return next(new ForbiddenError("Invalid or expired link"));
+  }
+
+  const { expires, signature } = req.query;
+  if (!verifyKeySignature(key, expires, signature)) {
+    return next(new ForbiddenError("Invalid or expired link"));
+  }
+  next();
+};
@@ -1,5 +1,5 @@
-import jwt from "jsonwebtoken";
-import User from "../models/userModel.js";
+import User, { isAccountSuspended } from "../models/userModel.js";
+import { verifyAccessToken } from "../services/token.service.js";
 
 /**
  * Middleware para autenticar conexiones de Socket.IO.
@@ -21,16 +21,29 @@ export default async function socketAuth(socket, next) {
     }
 
     // 2️⃣ Verificar y decodificar el JWT
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
 
     // 3️⃣ Buscar el usuario en BD
-    const user = await User.findById(decoded.id).select("_id name email role");
+    const user = await User.findById(decoded.id).select("_id name email role tokenVersion status statusUntil");
     if (!user) {
       const err = new Error("Unauthorized: user not found");
       err.data = { code: 401 };
       throw err;
     }
 
+    // Mismas comprobaciones que authMiddleware: sesiones revocadas y cuentas suspendidas
+    if ((decoded.version ?? 0) !== user.tokenVersion) {
+      const err = new Error("Unauthorized: session revoked");
+      err.data = { code: 401 };
+      throw err;
+    }
+
+    if (isAccountSuspended(user)) {
+      const err = new Error("Account suspended");
+      err.data = { code: 403 };
+      throw err;
+    }
+
     // 4️⃣ Adjuntar usuario al socket y unirlo a su room privada
     socket.user = user;
     socket.join(`user_${user._id}`);
@@ -0,0 +1,30 @@
+import { checkSchema, validationResult } from "express-validator";
+import { RequestValidationError } from "../errors/index.js";
+
+/**
+ * Fails the request with a 422 listing the first error of each invalid field.
+ */
+const handleValidationResult = (req, res, next) => {
+  const result = validationResult(req);
+  if (result.isEmpty()) return next();
+
+  const fields = Object.fromEntries(
+    Object.entries(result.mapped()).map(([field, error]) => [field, error.msg])
+  );
+  next(new RequestValidationError("Validation failed", fields));
+};
+
+/**
+ * Validates and sanitizes the request against an express-validator schema.
+ * Sanitizers (`toInt`, `toBoolean`, `trim`...) update `req.body`, `req.query`
+ * and `req.params` in place, so controllers receive coerced values.
+ * The schema is kept on the last middleware (`validationSchema`) so the
+ * OpenAPI document can describe the request from it.
+ * @param {Object} schema - express-validator schema (see `validators/`)
+ * @returns {Array<Function>} Express middlewares
+ */
+export const validate = (schema) => {
+  const checkResult = (req, res, next) => handleValidationResult(req, res, next);
+  checkResult.validationSchema = schema;
+  return [checkSchema(schema), checkResult];
+};
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+
+// Permisos disponibles: `<recurso>:<read|write>`
+export const API_KEY_SCOPES = Object.freeze([
+  "users:read",
+  "users:write",
+  "developers:read",
+  "developers:write",
+  "projects:read",
+  "projects:write",
+  "ratings:read",
+  "ratings:write",
+  "visits:read",
+  "visits:write",
+  "follows:read",
+  "follows:write",
+  "notifications:read",
+  "notifications:write",
+]);
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    name: {
+      type: String,
+      required: [true, "API key name is required"],
+      trim: true,
+      minlength: [3, "API key name must be at least 3 characters long"],
+      maxlength: [100, "API key name cannot exceed 100 characters"],
+    },
+    // Parte pública de la clave, permite identificarla y buscarla
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Solo se guarda el hash SHA-256 de la clave completa
+    key_hash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "At least one scope is required",
+      },
+    },
+    rate_limit: {
+      type: Number,
+      min: [1, "Rate limit must be at least 1 request per minute"],
+      max: [1000, "Rate limit cannot exceed 1000 requests per minute"],
+      default: 60,
+    },
+    expires_at: { type: Date, default: null },
+    last_used_at: { type: Date, default: null },
+    last_used_ip: { type: String, default: null },
+    revoked_at: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (_, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.key_hash;
+        return ret;
+      },
+    },
+  }
+);
+
+// 🔹 Índices
+apiKeySchema.index({ user_id: 1, revoked_at: 1 });
+
+/** 🔹 Métodos de instancia */
+apiKeySchema.methods = {
+  isUsable() {
+    return !this.revoked_at && (!this.expires_at || this.expires_at > new Date());
+  },
+  hasScope(scope) {
+    return this.scopes.includes(scope);
+  },
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+export default ApiKey;
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+const auditEventSchema = new mongoose.Schema(
+  {
+    event_type: {
+      type: String,
+      required: [true, "Event type is required"],
+      trim: true,
+    },
+    // Usuario que realizó la acción (null para peticiones anónimas)
+    actor_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Usuario o recurso afectado por la acción
+    target_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    target_type: { type: String, trim: true, default: null },
+    ip_address: { type: String, default: null },
+    user_agent: { type: String, trim: true, maxlength: 512, default: null },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Política de retención: MongoDB elimina el evento al llegar a esta fecha
+    expires_at: { type: Date, required: true },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (_, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.expires_at;
+        return ret;
+      },
+    },
+  }
+);
+
+// 🔹 Índices
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ event_type: 1, createdAt: -1 });
+auditEventSchema.index({ actor_id: 1, createdAt: -1 });
+auditEventSchema.index({ target_id: 1, createdAt: -1 });
+auditEventSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
+export default AuditEvent;
@@ -1,9 +1,22 @@
 import mongoose from "mongoose";
 import validator from "validator";
+import softDeletePlugin from "./plugins/softDelete.plugin.js";
 
 const isValidUser = async (userId) =>
   mongoose.model("User").exists({ _id: userId });
 
+const trustFactorSchema = new mongoose.Schema(
+  {
+    factor: { type: String, required: true },
+    weight: { type: Number, required: true },
+    value: { type: Number, min: 0, max: 1, required: true },
+    points: { type: Number, required: true },
+    explanation: { type: String },
+    details: { type: mongoose.Schema.Types.Mixed },
+  },
+  { _id: false }
+);
+
 const developerSchema = new mongoose.Schema(
   {
     user_id: {
@@ -21,6 +34,8 @@ const developerSchema = new mongoose.Schema(
       //   message: "Invalid Solana wallet address",
       // },
     },
+    // Fecha en la que el desarrollador demostró ser dueño de la wallet firmando un nonce
+    wallet_verified_at: { type: Date, default: null },
     bio: {
       type: String,
       trim: true,
@@ -43,6 +58,12 @@ const developerSchema = new mongoose.Schema(
     },
     // projects: [{ type: mongoose.Schema.Types.ObjectId, ref: "Project" }],
     verified: { type: Boolean, default: false, index: true },
+    // Puntuación de confianza (0-100) con el desglose de cada factor; ver `trustScore.service.js`
+    trust_score: {
+      score: { type: Number, min: 0, max: 100, default: null, index: true },
+      factors: { type: [trustFactorSchema], default: undefined },
+      calculated_at: { type: Date, default: null },
+    },
   },
   {
     versionKey: false,
@@ -109,5 +130,7 @@ developerSchema.statics = {
   },
 };
 
+developerSchema.plugin(softDeletePlugin);
+
 const Developer = mongoose.model("Developer", developerSchema);
 export default Developer;
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+export const CODE_PURPOSES = Object.freeze({
+  PASSWORD_RESET: "password_reset",
+  EMAIL_VERIFICATION: "email_verification",
+  PHONE_VERIFICATION: "phone_verification",
+  EMAIL_CHANGE: "email_change",
+});
+
+const oneTimeCodeSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    purpose: {
+      type: String,
+      enum: Object.values(CODE_PURPOSES),
+      required: [true, "Code purpose is required"],
+    },
+    channel: {
+      type: String,
+      enum: ["email", "sms"],
+      required: [true, "Delivery channel is required"],
+    },
+    // Solo se guarda el hash del código
+    code_hash: { type: String, required: true },
+    attempts: { type: Number, default: 0 },
+    expires_at: { type: Date, required: true },
+    used_at: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// 🔹 Índices
+oneTimeCodeSchema.index({ user_id: 1, purpose: 1, used_at: 1 });
+oneTimeCodeSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const OneTimeCode = mongoose.model("OneTimeCode", oneTimeCodeSchema);
+export default OneTimeCode;
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+
+// Consultas sobre las que se ocultan los documentos eliminados
+const FILTERED_QUERIES = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "countDocuments",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+];
+
+// Etapas de agregación que deben ir primero en el pipeline
+const LEADING_STAGES = ["$geoNear", "$search", "$vectorSearch"];
+
+/**
+ * Soft delete for Mongoose schemas. Adds `deletedAt`/`deletedBy`, hides
+ * deleted documents from queries and aggregations, and adds `softDelete` and
+ * `restore` methods.
+ *
+ * A query sees deleted documents when its filter mentions `deletedAt`
+ * (e.g. `{ deletedAt: { $ne: null } }`) or with the `withDeleted` option:
+ * `Model.find(filter).setOptions({ withDeleted: true })`.
+ * Must be applied after `schema.methods`/`schema.statics` are assigned.
+ * @param {mongoose.Schema} schema
+ */
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  });
+
+  schema.pre(FILTERED_QUERIES, function () {
+    if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) return;
+
+    const pipeline = this.pipeline();
+    const position = LEADING_STAGES.some((stage) => stage in (pipeline[0] ?? {})) ? 1 : 0;
+    pipeline.splice(position, 0, { $match: { deletedAt: null } });
+  });
+
+  /**
+   * Marks the document as deleted.
+   * @param {Object} [options]
+   * @param {Date} [options.at=new Date()] - Deletion date (shared by a cascade so it can be restored together)
+   * @param {string|ObjectId} [options.by] - User performing the deletion
+   * @param {mongoose.ClientSession} [options.session] - Transaction session
+   * @returns {Promise<mongoose.Document>}
+   */
+  schema.methods.softDelete = function ({ at = new Date(), by = null, session = null } = {}) {
+    this.deletedAt = at;
+    this.deletedBy = by;
+    return this.save({ session, validateModifiedOnly: true });
+  };
+
+  /**
+   * Clears the deletion marks of the document.
+   * @param {Object} [options]
+   * @param {mongoose.ClientSession} [options.session] - Transaction session
+   * @returns {Promise<mongoose.Document>}
+   */
+  schema.methods.restore = function ({ session = null } = {}) {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save({ session, validateModifiedOnly: true });
+  };
+
+  /**
+   * Finds a deleted document by ID.
+   * @param {string|ObjectId} id
+   * @returns {mongoose.Query}
+   */
+  schema.statics.findDeletedById = function (id) {
+    return this.findOne({ _id: id, deletedAt: { $ne: null } });
+  };
+};
+
+export default softDeletePlugin;
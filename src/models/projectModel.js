@@ -1,7 +1,8 @@
 import mongoose from "mongoose";
 import validator from "validator";
+import softDeletePlugin from "./plugins/softDelete.plugin.js";
 
-const statusEnum = ["active", "inactive", "scam_reported"];
+export const statusEnum = ["active", "inactive", "scam_reported"];
 
 const performanceSchema = new mongoose.Schema(
   {
@@ -120,5 +121,7 @@ projectSchema.methods = {
     }
   };
 
+  projectSchema.plugin(softDeletePlugin);
+
   const Project = mongoose.model("Project", projectSchema);
   export default Project;
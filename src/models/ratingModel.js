@@ -2,10 +2,11 @@ import mongoose from "mongoose";
 
 const ratingSchema = new mongoose.Schema(
   {
+    // Obligatorio al crear el rating; queda en `null` si se anonimiza al borrar los datos del usuario
     user_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: [true, "User reference is required"],
+      required: [function () { return this.isNew; }, "User reference is required"],
       validate: {
         validator: async function (userId) {
           return await mongoose.model("User").exists({ _id: userId });
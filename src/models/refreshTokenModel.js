@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    // Todos los tokens emitidos a partir del mismo login comparten familia
+    family: {
+      type: String,
+      required: [true, "Token family is required"],
+    },
+    // Solo se guarda el hash SHA-256, nunca el token en claro
+    token_hash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      unique: true,
+    },
+    expires_at: { type: Date, required: true },
+    used_at: { type: Date, default: null },
+    revoked_at: { type: Date, default: null },
+    revoked_reason: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// 🔹 Índices
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user_id: 1, revoked_at: 1 });
+// Mongo elimina automáticamente los tokens caducados
+refreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+/** 🔹 Métodos estáticos */
+refreshTokenSchema.statics = {
+  revokeFamily(family, reason) {
+    return this.updateMany(
+      { family, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+  },
+  revokeAllForUser(userId, reason) {
+    return this.updateMany(
+      { user_id: userId, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: reason } }
+    );
+  },
+};
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+export default RefreshToken;
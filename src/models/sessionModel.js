@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+    },
+    // Familia de refresh tokens asociada a este login
+    family: {
+      type: String,
+      required: [true, "Token family is required"],
+      unique: true,
+    },
+    device: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Device name cannot exceed 100 characters"],
+      default: "Unknown device",
+    },
+    user_agent: { type: String, trim: true, maxlength: 512, default: null },
+    ip_address: { type: String, default: null },
+    last_used_at: { type: Date, default: Date.now },
+    expires_at: { type: Date, required: true },
+    revoked_at: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (_, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        delete ret.family;
+        return ret;
+      },
+    },
+  }
+);
+
+// 🔹 Índices
+sessionSchema.index({ user_id: 1, revoked_at: 1, last_used_at: -1 });
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+/** 🔹 Métodos estáticos */
+sessionSchema.statics = {
+  findActiveByUser(userId) {
+    return this.find({
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { $gt: new Date() },
+    }).sort({ last_used_at: -1 });
+  },
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+export default Session;
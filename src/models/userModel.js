@@ -1,6 +1,19 @@
 import mongoose from "mongoose";
 import validator from "validator";
 import bcrypt from "bcrypt";
+import softDeletePlugin from "./plugins/softDelete.plugin.js";
+
+export const ROLES = Object.freeze({
+  ADMIN: "ADMIN",
+  USER: "USER",
+  DEVELOPER: "DEVELOPER",
+});
+
+export const ACCOUNT_STATUS = Object.freeze({
+  ACTIVE: "ACTIVE",
+  DEACTIVATED: "DEACTIVATED",
+  BANNED: "BANNED",
+});
 
 const userSchema = new mongoose.Schema(
   {
@@ -13,15 +26,17 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["ADMIN", "USER", "DEVELOPER"],
-      default: "USER",
+      enum: Object.values(ROLES),
+      default: ROLES.USER,
       uppercase: true,
     },
      phone: {
     type: String,
-    required: [true, "El número de teléfono es obligatorio"],
+    // Las cuentas creadas con Google pueden no tener teléfono
+    required: [function () { return !this.googleId; }, "El número de teléfono es obligatorio"],
     trim: true,
     unique: true,
+    sparse: true,
     minlength: [8, "El teléfono debe tener exactamente 8 dígitos"],
     maxlength: [8, "El teléfono debe tener exactamente 8 dígitos"],
     validate: {
@@ -44,25 +59,63 @@ const userSchema = new mongoose.Schema(
         message: "Please provide a valid email",
       },
     },
+    // Nuevo email pendiente de confirmar con el código enviado a esa dirección
+    pendingEmail: { type: String, default: null, trim: true, lowercase: true, select: false },
+    // Credencial de acceso por teléfono: solo se devuelve al regenerarla
     access_code: {
       type: String,
       required: [true, "Access code is required"],
       unique: true,
+      select: false,
       match: [/^\w{8}$/, "The access_code must be exactly 8 characters long"],
     },
     is_active: { type: Boolean, default: true },
+    // 🚫 Suspensión administrativa (desactivación o baneo)
+    status: {
+      type: String,
+      enum: Object.values(ACCOUNT_STATUS),
+      default: ACCOUNT_STATUS.ACTIVE,
+    },
+    statusReason: { type: String, default: null, trim: true, maxlength: 500 },
+    statusUntil: { type: Date, default: null },
+    statusChangedAt: { type: Date, default: null },
+    statusChangedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    emailVerifiedAt: { type: Date, default: null },
+    phoneVerifiedAt: { type: Date, default: null },
     password: {
       type: String,
-      required: [true, "Password is required"],
+      required: [function () { return !this.googleId; }, "Password is required"],
       minlength: [8, "Password must be at least 8 characters long"],
       select: false,
     },
-    refreshToken: { type: String, select: false },
+    googleId: { type: String, unique: true, sparse: true, default: undefined },
     tokenVersion: {
       type: Number,
       default: 0,
     },
+    // 🔒 Bloqueo por intentos fallidos de login
+    loginAttempts: { type: Number, default: 0, select: false },
+    lockCount: { type: Number, default: 0, select: false },
+    isLocked: { type: Boolean, default: false, select: false },
+    lockUntil: { type: Date, default: null, select: false },
+    lastLogin: { type: Date, default: null },
+    // 🔐 Autenticación en dos pasos (TOTP)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date, default: null },
+      secret: { type: String, default: null, select: false },
+      pendingSecret: { type: String, default: null, select: false },
+      recoveryCodes: { type: [String], default: [], select: false },
+      lastUsedStep: { type: Number, default: null, select: false },
+    },
     profileImage: { type: String, default: null },
+    // Clave en el almacenamiento de la imagen subida (las de Google no tienen)
+    profileImageKey: { type: String, default: null },
+    // URL de cada miniatura de la imagen de perfil, por tamaño en píxeles
+    profileImageThumbnails: { type: Map, of: String, default: undefined },
+    // 🗑️ Solicitud de borrado de datos personales, cancelable hasta la fecha programada
+    erasureRequestedAt: { type: Date, default: null },
+    erasureScheduledFor: { type: Date, default: null, index: true },
   },
   {
     timestamps: true,
@@ -70,7 +123,7 @@ const userSchema = new mongoose.Schema(
     toJSON: {
       transform: (_, ret) => {
         delete ret.password;
-        delete ret.refreshToken;
+        delete ret.access_code;
         return ret;
       },
     },
@@ -84,13 +137,30 @@ userSchema.methods = {
   },
   async deactivateAccount() {
     this.is_active = false;
+    this.status = ACCOUNT_STATUS.DEACTIVATED;
+    this.statusChangedAt = new Date();
     return this.save();
   },
-  async updateProfileImage(imageUrl) {
-    this.profileImage = imageUrl;
+  async updateProfileImage({ key, url, thumbnails }) {
+    this.profileImage = url;
+    this.profileImageKey = key;
+    this.profileImageThumbnails = thumbnails;
     return this.save();
   },
 };
 
+/**
+ * Whether a user is currently deactivated or banned. Suspensions whose
+ * `statusUntil` has passed no longer count. Works with documents and lean objects.
+ * @param {Object} user - User including `status` and `statusUntil`
+ * @returns {boolean}
+ */
+export const isAccountSuspended = (user) => {
+  if (!user?.status || user.status === ACCOUNT_STATUS.ACTIVE) return false;
+  return !user.statusUntil || new Date(user.statusUntil).getTime() > Date.now();
+};
+
+userSchema.plugin(softDeletePlugin);
+
 const User = mongoose.model("User", userSchema);
 export default User;
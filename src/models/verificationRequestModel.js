@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+
+export const VERIFICATION_STATUS = Object.freeze({
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+});
+
+// Tipos de documento: el campo del formulario en el que se suben
+export const VERIFICATION_DOCUMENT_TYPES = Object.freeze(["identity", "project"]);
+
+const documentSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: VERIFICATION_DOCUMENT_TYPES, required: true },
+    // Clave en el almacenamiento privado; solo se expone mediante URLs firmadas
+    key: { type: String, required: true },
+    name: { type: String, required: true, trim: true, maxlength: 255 },
+    content_type: { type: String, required: true },
+    size: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const historySchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: Object.values(VERIFICATION_STATUS), required: true },
+    notes: { type: String, default: null },
+    changed_by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    changed_at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const verificationRequestSchema = new mongoose.Schema(
+  {
+    developer_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Developer",
+      required: [true, "Developer reference is required"],
+    },
+    // Usuario que presenta la solicitud (dueño del perfil de desarrollador)
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User reference is required"],
+      index: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Message cannot exceed 1000 characters"],
+    },
+    documents: {
+      type: [documentSchema],
+      validate: {
+        validator: (documents) => documents.length > 0,
+        message: "At least one document is required",
+      },
+    },
+    status: {
+      type: String,
+      enum: Object.values(VERIFICATION_STATUS),
+      default: VERIFICATION_STATUS.PENDING,
+    },
+    review_notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Review notes cannot exceed 1000 characters"],
+      default: null,
+    },
+    reviewed_by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    reviewed_at: { type: Date, default: null },
+    // Cada cambio de estado, empezando por la presentación
+    history: { type: [historySchema], default: [] },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+    toJSON: {
+      virtuals: true,
+      transform: (_, ret) => {
+        ret.id = ret._id;
+        delete ret._id;
+        ret.documents?.forEach((document) => delete document.key);
+        return ret;
+      },
+    },
+  }
+);
+
+// 🔹 Índices
+verificationRequestSchema.index({ status: 1, createdAt: 1 });
+verificationRequestSchema.index({ developer_id: 1, createdAt: -1 });
+// Un desarrollador solo puede tener una solicitud pendiente
+verificationRequestSchema.index(
+  { developer_id: 1 },
+  { unique: true, partialFilterExpression: { status: VERIFICATION_STATUS.PENDING } }
+);
+
+const VerificationRequest = mongoose.model("VerificationRequest", verificationRequestSchema);
+export default VerificationRequest;
@@ -14,12 +14,14 @@ const visitSchema = new mongoose.Schema(
         message: "Referenced developer does not exist",
       },
     },
+    // `null` en visitas anónimas y en las anonimizadas al eliminar al usuario
     user_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: [true, "User reference is required"],
+      default: null,
       validate: {
         validator: async function (userId) {
+          if (userId == null) return true;
           return await mongoose.model("User").exists({ _id: userId });
         },
         message: "Referenced user does not exist",
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+const walletChallengeSchema = new mongoose.Schema(
+  {
+    wallet_address: {
+      type: String,
+      required: [true, "Wallet address is required"],
+    },
+    nonce: {
+      type: String,
+      required: [true, "Nonce is required"],
+      unique: true,
+    },
+    // Mensaje exacto que la wallet debe firmar
+    message: { type: String, required: true },
+    expires_at: { type: Date, required: true },
+    used_at: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    versionKey: false,
+  }
+);
+
+// 🔹 Índices
+walletChallengeSchema.index({ wallet_address: 1, used_at: 1 });
+walletChallengeSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const WalletChallenge = mongoose.model("WalletChallenge", walletChallengeSchema);
+export default WalletChallenge;
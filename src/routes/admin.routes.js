@@ -0,0 +1,49 @@
+import express from "express";
+import {
+  approveVerificationRequest,
+  editUserRole,
+  editUserStatus,
+  getAuditLog,
+  getUsers,
+  getVerificationRequests,
+  logoutUser,
+  rejectVerificationRequest,
+  restoreDeletedDeveloper,
+  restoreDeletedProject,
+  restoreDeletedUser,
+  showVerificationRequest,
+} from "../controllers/admin.controller.js";
+import authMiddleware from "../middlewares/auth.middleware.js";
+import { authorize } from "../middlewares/authorize.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { ROLES } from "../models/userModel.js";
+import {
+  adminDeveloperIdSchema,
+  adminProjectIdSchema,
+  adminUserIdSchema,
+  approveVerificationSchema,
+  auditLogSchema,
+  changeRoleSchema,
+  changeStatusSchema,
+  listVerificationRequestsSchema,
+  rejectVerificationSchema,
+  searchUsersSchema,
+  verificationRequestIdSchema,
+} from "../validators/admin.validator.js";
+
+const router = express.Router();
+
+router.get("/audit", authMiddleware, authorize(ROLES.ADMIN), validate(auditLogSchema), getAuditLog);
+router.get("/users", authMiddleware, authorize(ROLES.ADMIN), validate(searchUsersSchema), getUsers);
+router.patch("/users/:id/role", authMiddleware, authorize(ROLES.ADMIN), validate(changeRoleSchema), editUserRole);
+router.patch("/users/:id/status", authMiddleware, authorize(ROLES.ADMIN), validate(changeStatusSchema), editUserStatus);
+router.post("/users/:id/logout", authMiddleware, authorize(ROLES.ADMIN), validate(adminUserIdSchema), logoutUser);
+router.post("/users/:id/restore", authMiddleware, authorize(ROLES.ADMIN), validate(adminUserIdSchema), restoreDeletedUser);
+router.post("/developers/:id/restore", authMiddleware, authorize(ROLES.ADMIN), validate(adminDeveloperIdSchema), restoreDeletedDeveloper);
+router.post("/projects/:id/restore", authMiddleware, authorize(ROLES.ADMIN), validate(adminProjectIdSchema), restoreDeletedProject);
+router.get("/verification-requests", authMiddleware, authorize(ROLES.ADMIN), validate(listVerificationRequestsSchema), getVerificationRequests);
+router.get("/verification-requests/:id", authMiddleware, authorize(ROLES.ADMIN), validate(verificationRequestIdSchema), showVerificationRequest);
+router.post("/verification-requests/:id/approve", authMiddleware, authorize(ROLES.ADMIN), validate(approveVerificationSchema), approveVerificationRequest);
+router.post("/verification-requests/:id/reject", authMiddleware, authorize(ROLES.ADMIN), validate(rejectVerificationSchema), rejectVerificationRequest);
+
+export default router;
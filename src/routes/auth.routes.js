@@ -1,13 +1,97 @@
 import express from "express";
-import { register, login, refreshToken, logout } from "../controllers/auth.controller.js";
+import {
+  register,
+  login,
+  refreshToken,
+  logout,
+  listSessions,
+  destroySession,
+  destroyAllSessions,
+  forgotPassword,
+  confirmPasswordReset,
+  verifyEmail,
+  verifyPhone,
+  resendEmailVerification,
+  resendPhoneVerification,
+  loginWithSecondFactor,
+  startEnrollment,
+  finishEnrollment,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  renewRecoveryCodes,
+  googleAuth,
+  googleCallback,
+  requestGoogleLink,
+  unlinkGoogle,
+  requestWalletNonce,
+  loginWithWallet,
+  loginPhone,
+  renewAccessCode,
+  listKeys,
+  createKey,
+  destroyKey,
+} from "../controllers/auth.controller.js";
 import loginLimiter from "../middlewares/loginLimiter.middleware.js";
+import codeRequestLimiter from "../middlewares/codeRequestLimiter.middleware.js";
 import authMiddleware from "../middlewares/auth.middleware.js";
+import { authorize } from "../middlewares/authorize.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { MFA_ROLES } from "../services/twoFactor.service.js";
+import {
+  registerSchema,
+  loginSchema,
+  phoneLoginSchema,
+  identifierSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  verifyPhoneSchema,
+  resendEmailSchema,
+  resendPhoneSchema,
+  mfaTokenSchema,
+  mfaLoginSchema,
+  mfaEnrollSchema,
+  totpCodeSchema,
+  secondFactorSchema,
+  walletNonceSchema,
+  walletVerifySchema,
+  sessionIdSchema,
+  createApiKeySchema,
+  apiKeyIdSchema,
+} from "../validators/auth.validator.js";
 
 const router = express.Router();
 
-router.post("/register", register);
-router.post("/login", loginLimiter, login);
-router.post("/refresh", authMiddleware, refreshToken);
+router.post("/register", validate(registerSchema), register);
+router.post("/login", loginLimiter, validate(loginSchema), login);
+router.post("/login/phone", loginLimiter, validate(phoneLoginSchema), loginPhone);
+router.post("/access-code", authMiddleware, renewAccessCode);
+router.post("/refresh", refreshToken);
 router.post("/logout", authMiddleware, logout);
+router.post("/password/forgot", codeRequestLimiter, validate(identifierSchema), forgotPassword);
+router.post("/password/reset", loginLimiter, validate(resetPasswordSchema), confirmPasswordReset);
+router.post("/verify/email", loginLimiter, validate(verifyEmailSchema), verifyEmail);
+router.post("/verify/phone", loginLimiter, validate(verifyPhoneSchema), verifyPhone);
+router.post("/verify/email/resend", codeRequestLimiter, validate(resendEmailSchema), resendEmailVerification);
+router.post("/verify/phone/resend", codeRequestLimiter, validate(resendPhoneSchema), resendPhoneVerification);
+router.post("/2fa/login", loginLimiter, validate(mfaLoginSchema), loginWithSecondFactor);
+router.post("/2fa/enroll/setup", loginLimiter, validate(mfaTokenSchema), startEnrollment);
+router.post("/2fa/enroll/enable", loginLimiter, validate(mfaEnrollSchema), finishEnrollment);
+router.post("/2fa/setup", authMiddleware, authorize(...MFA_ROLES), setupMfa);
+router.post("/2fa/enable", authMiddleware, authorize(...MFA_ROLES), validate(totpCodeSchema), enableMfa);
+router.post("/2fa/disable", authMiddleware, validate(secondFactorSchema), disableMfa);
+router.post("/2fa/recovery-codes", authMiddleware, validate(totpCodeSchema), renewRecoveryCodes);
+router.get("/google", googleAuth);
+router.get("/google/callback", googleCallback);
+router.post("/google/link", authMiddleware, requestGoogleLink);
+router.delete("/google/link", authMiddleware, unlinkGoogle);
+router.post("/wallet/nonce", loginLimiter, validate(walletNonceSchema), requestWalletNonce);
+router.post("/wallet/verify", loginLimiter, validate(walletVerifySchema), loginWithWallet);
+router.get("/sessions", authMiddleware, listSessions);
+router.delete("/sessions", authMiddleware, destroyAllSessions);
+router.delete("/sessions/:id", authMiddleware, validate(sessionIdSchema), destroySession);
+router.get("/api-keys", authMiddleware, listKeys);
+router.post("/api-keys", authMiddleware, validate(createApiKeySchema), createKey);
+router.delete("/api-keys/:id", authMiddleware, validate(apiKeyIdSchema), destroyKey);
 
 export default router;
\ No newline at end of file
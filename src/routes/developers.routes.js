@@ -1,13 +1,43 @@
 import express from "express";
 import authMiddleware from '../middlewares/auth.middleware.js';
-import { createDeveloper, destroyDeveloper, editDeveloper, getDevelopers, showDeveloper } from "../controllers/developer.controller.js";
+import { authorize, authorizeOwner } from "../middlewares/authorize.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { ROLES } from "../models/userModel.js";
+import { verificationDocumentsUpload } from "../middlewares/documentUpload.middleware.js";
+import {
+  createDeveloper,
+  destroyDeveloper,
+  editDeveloper,
+  findDevelopers,
+  getDevelopers,
+  getVerificationRequests,
+  requestVerification,
+  showDeveloper,
+  showDeveloperProfile,
+  showTrustScore,
+} from "../controllers/developer.controller.js";
+import {
+  createDeveloperSchema,
+  developerIdSchema,
+  developerProfileSchema,
+  listDevelopersSchema,
+  searchDevelopersSchema,
+  submitVerificationRequestSchema,
+  updateDeveloperSchema,
+} from "../validators/developer.validator.js";
 
 const router = express.Router();
 
-router.get("/",  getDevelopers);
-router.get("/:id",  showDeveloper);
-router.post("/",  createDeveloper);
-router.put("/:id", editDeveloper);
-router.delete("/:id", destroyDeveloper);
+router.get("/", validate(listDevelopersSchema), getDevelopers);
+router.get("/search", validate(searchDevelopersSchema), findDevelopers);
+router.get("/:id", validate(developerIdSchema), showDeveloper);
+router.get("/:id/profile", validate(developerProfileSchema), showDeveloperProfile);
+router.get("/:id/trust-score", validate(developerIdSchema), showTrustScore);
+router.post("/", authMiddleware, authorize(ROLES.DEVELOPER, ROLES.ADMIN), validate(createDeveloperSchema), authorizeOwner("user", (req) => req.body.user_id), createDeveloper);
+router.put("/:id", authMiddleware, authorize(ROLES.DEVELOPER, ROLES.ADMIN), validate(updateDeveloperSchema), authorizeOwner("developer"), editDeveloper);
+router.delete("/:id", authMiddleware, authorize(ROLES.DEVELOPER, ROLES.ADMIN), validate(developerIdSchema), authorizeOwner("developer"), destroyDeveloper);
+router.get("/:id/verification-requests", authMiddleware, authorize(ROLES.DEVELOPER, ROLES.ADMIN), validate(developerIdSchema), authorizeOwner("developer"), getVerificationRequests);
+// El body multipart solo se puede validar después de `multer`
+router.post("/:id/verification-requests", authMiddleware, authorize(ROLES.DEVELOPER, ROLES.ADMIN), authorizeOwner("developer"), verificationDocumentsUpload, validate(submitVerificationRequestSchema), requestVerification);
 
 export default router;
@@ -1,13 +1,15 @@
 import express from "express";
 import authMiddleware from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
 import { createFollowDeveloper, getCountFollowersForDeveloper, removeFollow, showFollowersForDeveloper } from "../controllers/follow.controller.js";
+import { createFollowSchema, developerFollowersSchema } from "../validators/follow.validator.js";
 
 
 const router = express.Router();
 
-router.get("/:id/developer", showFollowersForDeveloper);
-router.get("/:id/developer/count", getCountFollowersForDeveloper);
-router.post("/", authMiddleware, createFollowDeveloper);
-router.delete("/:id", authMiddleware, removeFollow);
+router.get("/:id/developer", validate(developerFollowersSchema), showFollowersForDeveloper);
+router.get("/:id/developer/count", validate(developerFollowersSchema), getCountFollowersForDeveloper);
+router.post("/", authMiddleware, validate(createFollowSchema), createFollowDeveloper);
+router.delete("/:id", authMiddleware, validate(developerFollowersSchema), removeFollow);
 
 export default router;
\ No newline at end of file
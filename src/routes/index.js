@@ -8,15 +8,22 @@ import ratingRoutes from './rating.routes.js';
 import visitRoutes from './visit.routes.js';
 import followRoutes from './follow.routes.js';
 import notificationRoutes from './notification.routes.js';
+import adminRoutes from './admin.routes.js';
+
+// Punto de montaje de cada router (también lo usa la documentación OpenAPI)
+export const routeMounts = [
+  ['/auth', authRoutes],
+  ['/users', userRoutes],
+  ['/developers', developerRoutes],
+  ['/projects', projectRoutes],
+  ['/ratings', ratingRoutes],
+  ['/visits', visitRoutes],
+  ['/follows', followRoutes],
+  ['/notifications', notificationRoutes],
+  ['/admin', adminRoutes],
+];
 
 const router = express.Router();
-router.use('/auth', authRoutes);
-router.use('/users', userRoutes);
-router.use('/developers', developerRoutes);
-router.use('/projects', projectRoutes);
-router.use('/ratings', ratingRoutes);
-router.use('/visits', visitRoutes);
-router.use('/follows', followRoutes);
-router.use('/notifications', notificationRoutes);
+routeMounts.forEach(([path, routes]) => router.use(path, routes));
 
 export default router;
\ No newline at end of file
@@ -1,14 +1,23 @@
 import express from "express";
 import authMiddleware from "../middlewares/auth.middleware.js";
+import { authorize, authorizeOwner } from "../middlewares/authorize.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { ROLES } from "../models/userModel.js";
 import { destroyNotification, notifyFollowers, showUserNotifications, tickkAllAsRead, tickNotificationAsRead } from "../controllers/notification.controller.js";
+import {
+  createNotificationSchema,
+  notificationIdSchema,
+  userIdSchema,
+  userNotificationsSchema,
+} from "../validators/notification.validator.js";
 
 
 const router = express.Router();
 
-router.get("/:id/user", authMiddleware, showUserNotifications);
-router.post("/", authMiddleware, notifyFollowers);
-router.patch("/:id/read", authMiddleware, tickNotificationAsRead);
-router.patch("/:id/user/all-read", authMiddleware, tickkAllAsRead);
-router.delete("/:id", authMiddleware, destroyNotification);
+router.get("/:id/user", authMiddleware, validate(userNotificationsSchema), authorizeOwner("user"), showUserNotifications);
+router.post("/", authMiddleware, authorize(ROLES.DEVELOPER, ROLES.ADMIN), validate(createNotificationSchema), authorizeOwner("developer", (req) => req.body.developerId), notifyFollowers);
+router.patch("/:id/read", authMiddleware, validate(notificationIdSchema), authorizeOwner("notification"), tickNotificationAsRead);
+router.patch("/:id/user/all-read", authMiddleware, validate(userIdSchema), authorizeOwner("user"), tickkAllAsRead);
+router.delete("/:id", authMiddleware, validate(notificationIdSchema), authorizeOwner("notification"), destroyNotification);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -1,5 +1,8 @@
 import express from "express";
 import authMiddleware from "../middlewares/auth.middleware.js";
+import { authorize, authorizeOwner } from "../middlewares/authorize.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { ROLES } from "../models/userModel.js";
 import {
   getProjects,
   showProject,
@@ -7,13 +10,19 @@ import {
   editProject,
   destroyProject,
 } from "../controllers/project.controller.js";
+import {
+  createProjectSchema,
+  listProjectsSchema,
+  projectIdSchema,
+  updateProjectSchema,
+} from "../validators/project.validator.js";
 
 const router = express.Router();
 
-router.get("/", getProjects);
-router.get("/:id", showProject);
-router.post("/", createProject);
-router.put("/:id", editProject);
-router.delete("/:id", destroyProject);
+router.get("/", validate(listProjectsSchema), getProjects);
+router.get("/:id", validate(projectIdSchema), showProject);
+router.post("/", authMiddleware, authorize(ROLES.DEVELOPER, ROLES.ADMIN), validate(createProjectSchema), authorizeOwner("developer", (req) => req.body.developer_id), createProject);
+router.put("/:id", authMiddleware, authorize(ROLES.DEVELOPER, ROLES.ADMIN), validate(updateProjectSchema), authorizeOwner("project"), editProject);
+router.delete("/:id", authMiddleware, authorize(ROLES.DEVELOPER, ROLES.ADMIN), validate(projectIdSchema), authorizeOwner("project"), destroyProject);
 
 export default router;
@@ -1,13 +1,22 @@
 import express from "express";
 import authMiddleware from "../middlewares/auth.middleware.js";
+import { authorizeOwner } from "../middlewares/authorize.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
 import { changeComment, changeScore, createRating, removeRating, showAverageRating } from "../controllers/rating.controller.js";
+import {
+  createRatingSchema,
+  developerRatingsSchema,
+  ratingIdSchema,
+  updateCommentSchema,
+  updateScoreSchema,
+} from "../validators/rating.validator.js";
 
 const router = express.Router();
 
-router.get("/:id/developer/average", showAverageRating);
-router.post("/", createRating);
-router.patch("/:id/score", changeScore);
-router.patch("/:id/comment", changeComment);
-router.delete("/:id", removeRating);
+router.get("/:id/developer/average", validate(developerRatingsSchema), showAverageRating);
+router.post("/", authMiddleware, validate(createRatingSchema), createRating);
+router.patch("/:id/score", authMiddleware, validate(updateScoreSchema), authorizeOwner("rating"), changeScore);
+router.patch("/:id/comment", authMiddleware, validate(updateCommentSchema), authorizeOwner("rating"), changeComment);
+router.delete("/:id", authMiddleware, validate(ratingIdSchema), authorizeOwner("rating"), removeRating);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -1,14 +1,62 @@
 import express from "express";
-import { editUser, getUserAuth, uploadProfileImage, getUsers, destroyUser } from "../controllers/user.controller.js";
+import {
+  editUser,
+  getUserAuth,
+  uploadProfileImage,
+  getUsers,
+  destroyUser,
+  unlockUser,
+  resetUserAccessCode,
+  getMe,
+  editMe,
+  destroyMe,
+  getMyProfile,
+  editMyPassword,
+  requestMyEmailChange,
+  confirmMyEmailChange,
+  exportMyData,
+  requestMyErasure,
+  cancelMyErasure,
+} from "../controllers/user.controller.js";
 import authMiddleware from '../middlewares/auth.middleware.js';
+import { authorize, authorizeOwner } from "../middlewares/authorize.middleware.js";
 import { imageUpload } from "../middlewares/imageUpload.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { ROLES } from "../models/userModel.js";
+import {
+  changeEmailSchema,
+  changePasswordSchema,
+  closeAccountSchema,
+  confirmEmailSchema,
+  exportDataSchema,
+  listUsersSchema,
+  requestErasureSchema,
+  updateMeSchema,
+  updateUserSchema,
+  userIdSchema,
+} from "../validators/user.validator.js";
 
 const router = express.Router();
 
-router.get("/", getUsers);
-router.get("/:id", getUserAuth);
-router.put("/:id", editUser);
-router.post("/:id/profile-image", imageUpload.single("image"), uploadProfileImage);
-router.delete("/:id", destroyUser);
+router.get("/", authMiddleware, authorize(ROLES.ADMIN), validate(listUsersSchema), getUsers);
 
-export default router;
\ No newline at end of file
+// Cuenta del usuario autenticado (antes de las rutas con `:id`)
+router.get("/me", authMiddleware, getMe);
+router.patch("/me", authMiddleware, validate(updateMeSchema), editMe);
+router.delete("/me", authMiddleware, validate(closeAccountSchema), destroyMe);
+router.get("/me/profile", authMiddleware, getMyProfile);
+router.patch("/me/password", authMiddleware, validate(changePasswordSchema), editMyPassword);
+router.post("/me/email", authMiddleware, validate(changeEmailSchema), requestMyEmailChange);
+router.post("/me/email/verify", authMiddleware, validate(confirmEmailSchema), confirmMyEmailChange);
+router.get("/me/export", authMiddleware, validate(exportDataSchema), exportMyData);
+router.post("/me/erasure", authMiddleware, validate(requestErasureSchema), requestMyErasure);
+router.delete("/me/erasure", authMiddleware, cancelMyErasure);
+
+router.get("/:id", authMiddleware, validate(userIdSchema), authorizeOwner("user"), getUserAuth);
+router.put("/:id", authMiddleware, validate(updateUserSchema), authorizeOwner("user"), editUser);
+router.post("/:id/profile-image", authMiddleware, validate(userIdSchema), authorizeOwner("user"), imageUpload.single("image"), uploadProfileImage);
+router.patch("/:id/unlock", authMiddleware, authorize(ROLES.ADMIN), validate(userIdSchema), unlockUser);
+router.post("/:id/access-code", authMiddleware, authorize(ROLES.ADMIN), validate(userIdSchema), resetUserAccessCode);
+router.delete("/:id", authMiddleware, validate(userIdSchema), authorizeOwner("user"), destroyUser);
+
+export default router;
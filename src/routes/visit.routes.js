@@ -1,10 +1,13 @@
 import express from "express";
-import authMiddleware from "../middlewares/auth.middleware.js";
+import { optionalAuthMiddleware } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
 import { createVisit, getVisistForDeveloper } from "../controllers/visit.controller.js";
+import { createVisitSchema, developerVisitsSchema } from "../validators/visit.validator.js";
 
 const router = express.Router();
 
-router.get("/:id/developer", getVisistForDeveloper);
-router.post("/", createVisit);
+router.get("/:id/developer", validate(developerVisitsSchema), getVisistForDeveloper);
+// Las visitas anónimas también cuentan; si hay token se asocia al usuario
+router.post("/", optionalAuthMiddleware, validate(createVisitSchema), createVisit);
 
-export default router;
\ No newline at end of file
+export default router;
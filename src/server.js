@@ -1,6 +1,7 @@
 import {config} from './config/env.js';
 import app from './app.js';
 import connectDB from './config/db.js';
+import { startJobs } from './jobs/index.js';
 // Web Socket
 // import http from 'http';
 // import { Server as IOServer } from 'socket.io';
@@ -11,6 +12,7 @@ const PORT = config.port;
 const startServer = async () => {
   try {
     await connectDB(); 
+    startJobs();
 
     app.listen(PORT, () => {
       console.log(`🚀 Server running at http://localhost:${PORT}`);
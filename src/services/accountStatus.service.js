@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+import User, { ACCOUNT_STATUS, isAccountSuspended } from "../models/userModel.js";
+import {
+  AccountSuspendedError,
+  BadRequestError,
+  NotFoundError,
+} from "../errors/index.js";
+import { revokeAllSessions } from "./session.service.js";
+import { logSecurityEvent } from "../utils/securityLogger.js";
+
+const { Types } = mongoose;
+
+// Campos que se limpian al reactivar una cuenta
+const CLEARED_STATUS = {
+  is_active: true,
+  status: ACCOUNT_STATUS.ACTIVE,
+  statusReason: null,
+  statusUntil: null,
+};
+
+/**
+ * Ensures the user is not deactivated or banned. Suspensions whose expiry has
+ * passed are cleared so the user can log in again.
+ * @param {Object} user - User including `status`, `statusReason` and `statusUntil`
+ * @returns {Promise<void>}
+ * @throws {AccountSuspendedError} If the suspension is still active (details include `status`, `reason` and `until`)
+ */
+export const assertAccountActive = async (user) => {
+  if (!user.status || user.status === ACCOUNT_STATUS.ACTIVE) return;
+
+  if (isAccountSuspended(user)) {
+    logSecurityEvent("login_blocked_account_suspended", {
+      userId: user._id,
+      status: user.status,
+    });
+    throw new AccountSuspendedError(
+      user.status === ACCOUNT_STATUS.BANNED ? "Account is banned" : "Account is deactivated",
+      { status: user.status, reason: user.statusReason ?? null, until: user.statusUntil ?? null }
+    );
+  }
+
+  await User.findByIdAndUpdate(user._id, { $set: { ...CLEARED_STATUS, statusChangedAt: new Date() } });
+  logSecurityEvent("account_suspension_expired", { userId: user._id, status: user.status });
+};
+
+/**
+ * Activates, deactivates or bans an account on behalf of an administrator.
+ * Suspending an account revokes all of its sessions.
+ * @param {string|ObjectId} userId - ID of the user to update
+ * @param {Object} change
+ * @param {string} change.status - One of `ACCOUNT_STATUS`
+ * @param {string} [change.reason] - Reason shown to the user (ignored when activating)
+ * @param {string|Date} [change.until] - When the suspension ends; permanent if omitted
+ * @param {Object} [context] - Audit context of the administrator (actorId, ip, userAgent)
+ * @returns {Promise<Object>} The updated user
+ * @throws {BadRequestError} If the change is invalid or targets the administrator's own account
+ * @throws {NotFoundError} If the user does not exist
+ */
+export const setAccountStatus = async (userId, { status, reason, until }, context = {}) => {
+  if (!Types.ObjectId.isValid(userId)) {
+    throw new BadRequestError("Invalid user ID");
+  }
+
+  if (!Object.values(ACCOUNT_STATUS).includes(status)) {
+    throw new BadRequestError(`Status must be one of: ${Object.values(ACCOUNT_STATUS).join(", ")}`);
+  }
+
+  if (context.actorId && String(context.actorId) === String(userId)) {
+    throw new BadRequestError("You cannot change the status of your own account");
+  }
+
+  const isActivation = status === ACCOUNT_STATUS.ACTIVE;
+  const statusUntil = !isActivation && until ? new Date(until) : null;
+  if (statusUntil && !(statusUntil.getTime() > Date.now())) {
+    throw new BadRequestError("The suspension expiry must be a future date");
+  }
+
+  const update = isActivation
+    ? { ...CLEARED_STATUS }
+    : { is_active: false, status, statusReason: reason || null, statusUntil };
+
+  const previous = await User.findByIdAndUpdate(userId, {
+    $set: { ...update, statusChangedAt: new Date(), statusChangedBy: context.actorId ?? null },
+  }).select("status");
+
+  if (!previous) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (!isActivation) {
+    await revokeAllSessions(userId, `account_${status.toLowerCase()}`);
+  }
+
+  logSecurityEvent(`account_${isActivation ? "activated" : status.toLowerCase()}`, {
+    ...context,
+    targetId: userId,
+    previousStatus: previous.status,
+    reason: update.statusReason ?? null,
+    until: statusUntil,
+  });
+
+  return User.findById(userId).lean();
+};
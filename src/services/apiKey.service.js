@@ -0,0 +1,154 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import ApiKey, { API_KEY_SCOPES } from "../models/apiKeyModel.js";
+import User, { isAccountSuspended } from "../models/userModel.js";
+import { AppError } from "../errors/appError.js";
+import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { logSecurityEvent } from "../utils/securityLogger.js";
+
+const { Types } = mongoose;
+
+export const API_KEY_PREFIX = "mcf_";
+const MAX_KEYS_PER_USER = 10;
+
+/**
+ * Hashes a full API key for storage and lookup
+ * @param {string} key - Full API key
+ * @returns {string} SHA-256 hex digest
+ */
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Whether a credential looks like one of our API keys
+ * @param {string} value - Raw credential
+ * @returns {boolean}
+ */
+export const isApiKey = (value) =>
+  typeof value === "string" && value.startsWith(API_KEY_PREFIX);
+
+/**
+ * Creates an API key for a user. The full key is only returned here.
+ * @param {string|ObjectId} userId - Owner of the key
+ * @param {Object} keyData
+ * @param {string} keyData.name - Label to recognise the key
+ * @param {Array<string>} keyData.scopes - Granted scopes (see `API_KEY_SCOPES`)
+ * @param {number} [keyData.expiresInDays] - Days until the key expires (never if omitted)
+ * @param {number} [keyData.rateLimit=60] - Allowed requests per minute
+ * @returns {Promise<{key: string, apiKey: Object}>} The full key (shown once) and its metadata
+ * @throws {BadRequestError} If scopes or expiry are invalid or the user has too many keys
+ * @throws {AppError} With status 400 if Mongoose validation fails
+ */
+export const createApiKey = async (userId, { name, scopes, expiresInDays, rateLimit }) => {
+  if (!Array.isArray(scopes) || !scopes.length) {
+    throw new BadRequestError("At least one scope is required", { allowedScopes: API_KEY_SCOPES });
+  }
+
+  const invalidScopes = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (invalidScopes.length) {
+    throw new BadRequestError(`Invalid scopes: ${invalidScopes.join(", ")}`, {
+      allowedScopes: API_KEY_SCOPES,
+    });
+  }
+
+  if (expiresInDays != null && (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+    throw new BadRequestError("expiresInDays must be a positive integer");
+  }
+
+  const activeKeys = await ApiKey.countDocuments({ user_id: userId, revoked_at: null });
+  if (activeKeys >= MAX_KEYS_PER_USER) {
+    throw new BadRequestError(`You cannot have more than ${MAX_KEYS_PER_USER} active API keys`);
+  }
+
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const key = `${API_KEY_PREFIX}${prefix}_${secret}`;
+
+  try {
+    const apiKey = await ApiKey.create({
+      user_id: userId,
+      name,
+      prefix,
+      key_hash: hashKey(key),
+      scopes: [...new Set(scopes)],
+      rate_limit: rateLimit,
+      expires_at: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null,
+    });
+
+    logSecurityEvent("api_key_created", { userId, apiKeyId: apiKey._id, scopes });
+    return { key, apiKey: apiKey.toJSON() };
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      throw new AppError(`Validation failed: ${err.message}`, 400, null, err);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Lists the API keys of a user (without secrets)
+ * @param {string|ObjectId} userId - Owner of the keys
+ * @returns {Promise<Array<Object>>} API keys, newest first
+ */
+export const listApiKeys = async (userId) => {
+  const keys = await ApiKey.find({ user_id: userId }).sort({ createdAt: -1 });
+  return keys.map((key) => key.toJSON());
+};
+
+/**
+ * Revokes one API key of a user
+ * @param {string|ObjectId} userId - Owner of the key
+ * @param {string|ObjectId} keyId - ID of the key
+ * @returns {Promise<Object>} Success message object
+ * @throws {AppError} With status 400 if keyId is invalid
+ * @throws {NotFoundError} If the key does not exist, is already revoked or belongs to another user
+ */
+export const revokeApiKey = async (userId, keyId) => {
+  if (!keyId || !Types.ObjectId.isValid(keyId)) {
+    throw new AppError("Invalid API key ID", 400);
+  }
+
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: keyId, user_id: userId, revoked_at: null },
+    { $set: { revoked_at: new Date() } }
+  );
+  if (!apiKey) {
+    throw new NotFoundError("API key not found");
+  }
+
+  logSecurityEvent("api_key_revoked", { userId, apiKeyId: keyId });
+  return { message: "API key revoked successfully" };
+};
+
+/**
+ * Resolves the user behind an API key and records its use.
+ * @param {string} key - Full API key from the request
+ * @param {string} [ip] - Client IP address
+ * @returns {Promise<{user: Object, apiKey: Object}|null>} Owner and key, or null if the key is not usable
+ */
+export const authenticateApiKey = async (key, ip) => {
+  const prefix = key.slice(API_KEY_PREFIX.length).split("_")[0];
+  if (!prefix) return null;
+
+  const apiKey = await ApiKey.findOne({ prefix }).select("+key_hash");
+  if (!apiKey || !apiKey.isUsable()) return null;
+
+  const expected = Buffer.from(apiKey.key_hash, "hex");
+  const received = Buffer.from(hashKey(key), "hex");
+  if (!crypto.timingSafeEqual(expected, received)) {
+    logSecurityEvent("api_key_mismatch", { apiKeyId: apiKey._id, ip });
+    return null;
+  }
+
+  const user = await User.findById(apiKey.user_id).select("_id name email role status statusUntil");
+  if (!user || isAccountSuspended(user)) return null;
+
+  // No bloquea la petición si falla el registro de uso
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $set: { last_used_at: new Date(), last_used_ip: ip || null } }
+  ).catch((error) => console.error("Failed to record API key usage:", error));
+
+  return { user, apiKey };
+};
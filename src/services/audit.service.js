@@ -0,0 +1,82 @@
+import mongoose from "mongoose";
+import AuditEvent from "../models/auditEventModel.js";
+import { BadRequestError } from "../errors/index.js";
+
+const { Types } = mongoose;
+
+/**
+ * Parses an optional date filter
+ * @param {string} value - Date string from the query
+ * @param {string} name - Filter name, used in the error message
+ * @returns {Date|null}
+ * @throws {BadRequestError} If the value is not a valid date
+ */
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new BadRequestError(`Invalid '${name}' date`);
+  }
+  return date;
+};
+
+/**
+ * Retrieves a paginated, filtered list of audit events, newest first.
+ * @param {Object} [filters]
+ * @param {string} [filters.userId] - Events performed by or affecting this user
+ * @param {string} [filters.eventType] - Event type, or comma-separated list of types
+ * @param {string} [filters.from] - Only events created at or after this date
+ * @param {string} [filters.to] - Only events created at or before this date
+ * @param {number} [filters.page=1] - Page number (1-based)
+ * @param {number} [filters.limit=50] - Events per page (max 200)
+ * @returns {Promise<Object>} `{ events, totalEvents, totalPages, currentPage }`
+ * @throws {BadRequestError} If a filter is invalid
+ */
+export const getAuditEvents = async ({
+  userId,
+  eventType,
+  from,
+  to,
+  page = 1,
+  limit = 50,
+} = {}) => {
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const query = {};
+
+  if (userId) {
+    if (!Types.ObjectId.isValid(userId)) {
+      throw new BadRequestError("Invalid user ID");
+    }
+    query.$or = [{ actor_id: userId }, { target_id: userId }];
+  }
+
+  if (eventType) {
+    const types = eventType.split(",").map((type) => type.trim()).filter(Boolean);
+    query.event_type = { $in: types };
+  }
+
+  const fromDate = parseDate(from, "from");
+  const toDate = parseDate(to, "to");
+  if (fromDate || toDate) {
+    query.createdAt = {};
+    if (fromDate) query.createdAt.$gte = fromDate;
+    if (toDate) query.createdAt.$lte = toDate;
+  }
+
+  const [events, totalEvents] = await Promise.all([
+    AuditEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("actor_id", "name email role"),
+    AuditEvent.countDocuments(query),
+  ]);
+
+  return {
+    events: events.map((event) => event.toJSON()),
+    totalEvents,
+    totalPages: Math.ceil(totalEvents / pageSize),
+    currentPage: pageNumber,
+  };
+};
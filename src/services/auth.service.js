@@ -2,66 +2,94 @@ import {
   generateAccessToken,
   generateRefreshToken,
   setRefreshTokenCookie,
+  clearRefreshTokenCookie,
+  revokeRefreshToken,
+  verifyMfaToken,
 } from "../services/token.service.js";
-import User from "../models/userModel.js";
+import User, { ROLES } from "../models/userModel.js";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
 import {
   AuthenticationError,
-  AccountLockedError,
   UserRegistrationError,
+  BadRequestError,
+  InvalidCodeError,
+  NotFoundError,
+  isOperationalError,
 } from "../errors/index.js";
 import validator from "validator";
 import { generateUniqueAccessCode } from "../utils/generateCode.js";
+import { createSession, revokeAllSessions } from "./session.service.js";
+import { assertUserValuesAvailable, deleteUser } from "./user.service.js";
+import {
+  assertNotLocked,
+  registerFailedLogin,
+  resetLoginAttempts,
+} from "./lockout.service.js";
+import { assertAccountActive } from "./accountStatus.service.js";
+import { issueCode, consumeCode } from "./oneTimeCode.service.js";
+import { CODE_PURPOSES } from "../models/oneTimeCodeModel.js";
+import { sendMessage } from "../messaging/index.js";
+import {
+  assertVerified,
+  requiresVerificationToActivate,
+  sendVerificationCode,
+} from "./verification.service.js";
+import { AppError } from "../errors/appError.js";
+import {
+  enableTwoFactor,
+  getLoginChallenge,
+  setupTwoFactor,
+  verifySecondFactor,
+} from "./twoFactor.service.js";
+import { logSecurityEvent } from "../utils/securityLogger.js";
 
 /**
  * Registers a new user with comprehensive validation and security
  * @param {string} name - User's full name
  * @param {string} email - Valid email address
+ * @param {string} phone - Phone number (8 digits)
  * @param {string} password - Strong password
  * @param {string} passwordConfirmed - Password confirmation
- * @param {string} [role="USER"] - User role (ADMIN, USER, DEVELOPER)
  * @returns {Promise<Object>} The created user object (without sensitive fields)
- * @throws {UserRegistrationError} If registration fails
+ * @throws {UserRegistrationError} If a field is missing or invalid
+ * @throws {ConflictError} If the email or phone is used by another account, deleted ones included
  */
 export const registerUser = async (
   name,
   email,
   phone,
   password,
-  passwordConfirmed,
-  role = "USER"
+  passwordConfirmed
 ) => {
   try {
     if (!name?.trim() || !email?.trim() || !password || !passwordConfirmed) {
-      throw new Error("All fields are required");
+      throw new UserRegistrationError("All fields are required");
     }
 
     if (!validator.isEmail(email)) {
-      throw new Error("Invalid email address");
+      throw new UserRegistrationError("Invalid email address");
     }
 
-     const trimmedPhone = phone.trim();
+    const trimmedPhone = typeof phone === "string" ? phone.trim() : "";
     const phoneRegex = /^\d{8}$/;
     if (!phoneRegex.test(trimmedPhone)) {
-      throw new Error(
+      throw new UserRegistrationError(
         "El teléfono debe contener exactamente 8 dígitos numéricos"
       );
     }
 
     if (password !== passwordConfirmed) {
-      throw new Error("Passwords do not match");
+      throw new UserRegistrationError("Passwords do not match");
     }
 
     if (!isValidPassword(password)) {
-      throw new Error(
+      throw new UserRegistrationError(
         "Password must be at least 8 characters long and include one uppercase letter, one lowercase letter, one number, and one special character"
       );
     }
 
-    const existingUser = await User.exists({ email });
-    if (existingUser) {
-      throw new Error("User with this email already exists");
-    }
+    await assertUserValuesAvailable({ email: email.toLowerCase().trim(), phone: trimmedPhone });
 
     const hashedPassword = await hashPassword(password);
     const accessCode = await generateUniqueAccessCode();
@@ -71,17 +99,29 @@ export const registerUser = async (
       email: email.toLowerCase().trim(),
       phone: trimmedPhone,
       password: hashedPassword,
-      role: role.toUpperCase(),
+      // Los registros públicos siempre son USER; el rol solo lo cambia un ADMIN
+      role: ROLES.USER,
       access_code: accessCode,
-      is_active: true,
+      is_active: !requiresVerificationToActivate(),
     });
 
+    // El registro no debe fallar si el envío de códigos falla; se pueden reenviar
+    try {
+      await Promise.all([
+        sendVerificationCode(user, "email"),
+        sendVerificationCode(user, "phone"),
+      ]);
+    } catch (error) {
+      console.error("Failed to issue verification codes:", error);
+    }
+
+    logSecurityEvent("user_registered", { userId: user._id, role: user.role });
+
     return user;
   } catch (error) {
+    if (isOperationalError(error)) throw error;
     console.error("User registration error:", error);
-    throw new UserRegistrationError(
-      error.message || "User registration failed"
-    );
+    throw new Error("User registration failed");
   }
 };
 
@@ -106,79 +146,158 @@ const hashPassword = async (password) => {
   return bcrypt.hash(password, salt);
 };
 
+/**
+ * Finishes a successful login: clears lockout counters, opens a session,
+ * sets the refresh token cookie and returns the access token.
+ * @param {Object} user - Authenticated user (document or lean object)
+ * @param {Object} res - Express response object
+ * @param {Object} [context] - Request context recorded on the new session (ip, userAgent, device)
+ * @returns {Promise<{user: Object, accessToken: string}>} Public user data and access token
+ */
+export const completeLogin = async (user, res, context = {}) => {
+  // Restablecer intentos fallidos tras un inicio de sesión exitoso
+  await resetLoginAttempts(user._id);
+
+  // Cada login abre una nueva sesión con su propia familia de refresh tokens
+  const session = await createSession(user._id, context);
+  const accessToken = await generateAccessToken(user);
+  const refreshToken = await generateRefreshToken(user, session.family);
+
+  setRefreshTokenCookie(res, refreshToken);
+
+  console.log(`User ${user.email || user.phone} logged in at ${new Date()}`);
+  logSecurityEvent("login_succeeded", {
+    userId: user._id,
+    sessionId: session._id,
+    ip: context.ip,
+    userAgent: context.userAgent,
+  });
+
+  const { 
+    _id, name, email, phone, role, profileImage, is_active, createdAt, updatedAt 
+  } = user;
+  return {
+    user: { _id, name, email, phone, role, profileImage, is_active, createdAt, updatedAt },
+    accessToken,
+  };
+};
+
+/**
+ * Shared tail of every credential-based login: lockout check, credential
+ * check (failures count towards the lockout), account status, verification
+ * policy and the optional two-factor challenge.
+ * @param {Object} user - User including `isLocked` and `lockUntil`
+ * @param {Function} verifyCredential - Async function resolving to whether the credential is valid
+ * @param {Object} res - Express response object
+ * @param {Object} [context] - Request context (ip, userAgent, device)
+ * @returns {Promise<Object>} `{ user, accessToken }` or an MFA challenge
+ * @throws {AuthenticationError|AccountLockedError|AccountSuspendedError|AccountNotVerifiedError} On authentication failure
+ */
+const authenticateWithCredential = async (user, verifyCredential, res, context = {}) => {
+  await assertNotLocked(user);
+
+  const isCredentialValid = await verifyCredential();
+  if (!isCredentialValid) {
+    await registerFailedLogin(user._id, {
+      ip: context.ip,
+      userAgent: context.userAgent,
+    });
+    throw new AuthenticationError("Invalid credentials");
+  }
+
+  await assertAccountActive(user);
+  assertVerified(user, "login");
+
+  // Si el usuario tiene 2FA, el login continúa en /auth/2fa/login
+  const challenge = getLoginChallenge(user);
+  if (challenge) {
+    return challenge;
+  }
+
+  return completeLogin(user, res, context);
+};
+
 /**
  * Authenticates a user and generates tokens
  * @param {string} email - User's email address
  * @param {string} password - User's password
  * @param {Object} res - Express response object
- * @returns {Promise<string>} Access token
- * @throws {AuthenticationError|AccountLockedError} On authentication failure
+ * @param {Object} [context] - Request context recorded on the new session (ip, userAgent, device)
+ * @returns {Promise<Object>} `{ user, accessToken }`, or `{ mfaRequired | mfaSetupRequired, mfaToken }`
+ *   when a second factor is needed
+ * @throws {AuthenticationError|AccountLockedError|AccountNotVerifiedError} On authentication failure
  */
-export const loginUser = async (email, password, res) => {
+export const loginUser = async (email, password, res, context = {}) => {
   try {
     if (!email || !password) {
       throw new AuthenticationError("Email and password are required");
     }
 
     const user = await User.findOne({ email })
-      .select("+password +refreshToken +loginAttempts +isLocked +lockUntil")
+      .select("+password +loginAttempts +isLocked +lockUntil")
       .lean();
 
-    if (!user) {
+    // Las cuentas creadas con Google no tienen contraseña
+    if (!user || !user.password) {
       throw new AuthenticationError("Invalid credentials");
     }
 
-    if (user.isLocked && user.lockUntil > Date.now()) {
-      throw new AccountLockedError(
-        "Account temporarily locked due to multiple failed attempts"
-      );
-    }
+    return await authenticateWithCredential(
+      user,
+      () => bcrypt.compare(password, user.password),
+      res,
+      context
+    );
+  } catch (error) {
+    console.error("Login failed:", error);
 
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    if (!isPasswordValid) {
-      const loginAttempts = user.loginAttempts + 1;
-      const isLocked = loginAttempts >= 5;
-      const lockUntil = isLocked ? Date.now() + 30 * 60 * 1000 : null;
+    if (error instanceof AppError) {
+      throw error;
+    }
 
-      await User.findByIdAndUpdate(user._id, {
-        $set: { isLocked, lockUntil },
-        $inc: { loginAttempts: 1 },
-      });
+    throw new AuthenticationError("An unexpected error occurred during login");
+  }
+};
 
-      throw new AuthenticationError("Invalid credentials");
+/**
+ * Authenticates a user with their phone number plus either their access code
+ * or their password, for clients without reliable email.
+ * @param {Object} credentials
+ * @param {string} credentials.phone - 8-digit phone number
+ * @param {string} [credentials.accessCode] - 8-character access code
+ * @param {string} [credentials.password] - Account password
+ * @param {Object} res - Express response object
+ * @param {Object} [context] - Request context recorded on the new session (ip, userAgent, device)
+ * @returns {Promise<Object>} `{ user, accessToken }` or an MFA challenge
+ * @throws {AuthenticationError|AccountLockedError|AccountNotVerifiedError} On authentication failure
+ */
+export const loginWithPhone = async ({ phone, accessCode, password }, res, context = {}) => {
+  try {
+    if (typeof phone !== "string" || !/^\d{8}$/.test(phone.trim())) {
+      throw new AuthenticationError("A valid 8-digit phone number is required");
     }
 
-    // Restablecer intentos fallidos tras un inicio de sesión exitoso
-    await User.findByIdAndUpdate(user._id, {
-      loginAttempts: 0,
-      isLocked: false,
-      lockUntil: null,
-      lastLogin: new Date(),
-    });
-
-    const accessToken = generateAccessToken(user);
-    const refreshToken = await generateRefreshToken(user);
+    if (!accessCode === !password) {
+      throw new AuthenticationError("Provide either an access code or a password");
+    }
 
-    await User.findByIdAndUpdate(user._id, { refreshToken });
+    const user = await User.findOne({ phone: phone.trim() })
+      .select("+password +access_code +loginAttempts +isLocked +lockUntil")
+      .lean();
 
-    setRefreshTokenCookie(res, refreshToken);
+    if (!user) {
+      throw new AuthenticationError("Invalid credentials");
+    }
 
-    console.log(`User ${user.email} logged in at ${new Date()}`);
+    const verifyCredential = accessCode
+      ? async () => safeEqual(String(accessCode), user.access_code)
+      : async () => Boolean(user.password) && bcrypt.compare(String(password), user.password);
 
-    // return accessToken
-    const { 
-      _id, name, email: userEmail, phone, role, profileImage, is_active, createdAt, updatedAt 
-    } = user;
-    return { 
-      _id, name, email: userEmail, phone, role, profileImage, is_active, createdAt, updatedAt 
-    };
+    return await authenticateWithCredential(user, verifyCredential, res, context);
   } catch (error) {
-    console.error("Login failed:", error);
+    console.error("Phone login failed:", error);
 
-    if (
-      error instanceof AuthenticationError ||
-      error instanceof AccountLockedError
-    ) {
+    if (error instanceof AppError) {
       throw error;
     }
 
@@ -187,33 +306,474 @@ export const loginUser = async (email, password, res) => {
 };
 
 /**
- * Logs out a user by clearing their refresh token in the database and deleting authentication cookies.
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b || "");
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Replaces a user's access code. When `notify` is set the new code is sent
+ * to the user's phone instead of only being returned to the caller.
+ * @param {string|ObjectId} userId - ID of the user
+ * @param {Object} [options]
+ * @param {string|ObjectId} [options.requestedBy] - ID of the user performing the change (for the security log)
+ * @param {boolean} [options.notify=false] - Send the new code by SMS
+ * @returns {Promise<string>} The new access code
+ * @throws {NotFoundError} If the user does not exist
+ */
+export const regenerateAccessCode = async (userId, { requestedBy = userId, notify = false } = {}) => {
+  const accessCode = await generateUniqueAccessCode();
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { access_code: accessCode } },
+    { new: true, runValidators: true }
+  );
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  logSecurityEvent("access_code_regenerated", { userId, actorId: requestedBy });
+
+  if (notify && user.phone) {
+    try {
+      await sendMessage({
+        channel: "sms",
+        to: user.phone,
+        text: `Your new access code is ${accessCode}.`,
+      });
+    } catch (error) {
+      console.error("Failed to deliver access code:", error);
+    }
+  }
+
+  return accessCode;
+};
+
+/**
+ * Logs out a user by revoking the refresh token family of the current session and deleting authentication cookies.
+ * Other sessions of the same user remain active.
  *
  * @param {Response} res - Express response object, used to clear cookies.
- * @param {Object} user - The user object from the database, which contains the refresh token.
+ * @param {string} [refreshToken] - Refresh token from the request cookie.
+ * @param {Object} [context] - Request context for the audit log (actorId, ip, userAgent).
  * @throws {Error} Throws an error if the logout process fails.
  */
-export const logoutUser = async (res, user) => {
+export const logoutUser = async (res, refreshToken, context = {}) => {
   try {
-    if (user) {
-      console.log(user);
-      await user.updateOne({ $set: { refreshToken: null } });
-
-      const updatedUser = await user.model("User").findById(user._id);
-      console.log("Updated user refreshToken:", updatedUser.refreshToken);
-    }
+    await revokeRefreshToken(refreshToken);
 
     const cookieOptions = { httpOnly: true, sameSite: "Strict" };
     if (process.env.NODE_ENV === "production") cookieOptions.secure = true;
 
     // Remove authentication cookies
-    res.cookie("refreshToken", "", { ...cookieOptions, expires: new Date(0) });
+    clearRefreshTokenCookie(res);
     res.cookie("jwt", "", { ...cookieOptions, expires: new Date(0) });
 
     console.log("User logged out successfully.");
+    logSecurityEvent("logout", context);
   } catch (error) {
     console.error("Error during logout:", error.message);
     throw new Error("Logout failed.");
   }
 };
 
+/**
+ * Finds a user by email or phone, whichever is provided
+ * @param {Object} identifier
+ * @param {string} [identifier.email] - User's email address
+ * @param {string} [identifier.phone] - User's 8-digit phone number
+ * @returns {Promise<Object|null>} The user document or null
+ * @throws {BadRequestError} If neither email nor phone is provided
+ */
+const findUserByIdentifier = async ({ email, phone }) => {
+  if (typeof email === "string" && email.trim()) {
+    return User.findOne({ email: email.toLowerCase().trim() });
+  }
+  if (typeof phone === "string" && phone.trim()) {
+    return User.findOne({ phone: phone.trim() });
+  }
+  throw new BadRequestError("Email or phone is required");
+};
+
+/**
+ * Starts the password reset flow by sending a one-time code to the user's
+ * email or phone. The response is the same whether or not the account
+ * exists, so it cannot be used to enumerate users.
+ * @param {Object} identifier
+ * @param {string} [identifier.email] - Email to send the code to
+ * @param {string} [identifier.phone] - Phone to send the code to (used when no email is given)
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} If neither email nor phone is provided
+ */
+export const requestPasswordReset = async ({ email, phone }) => {
+  const user = await findUserByIdentifier({ email, phone });
+  if (!user) return;
+
+  const channel = email ? "email" : "sms";
+  const { code, expiresAt } = await issueCode(
+    user._id,
+    CODE_PURPOSES.PASSWORD_RESET,
+    channel
+  );
+
+  try {
+    await sendMessage({
+      channel,
+      to: channel === "email" ? user.email : user.phone,
+      subject: "Password reset code",
+      text: `Your password reset code is ${code}. It expires at ${expiresAt.toISOString()}.`,
+    });
+  } catch (error) {
+    console.error("Failed to deliver password reset code:", error);
+  }
+
+  logSecurityEvent("password_reset_requested", { userId: user._id, channel });
+};
+
+/**
+ * Completes the password reset: validates the one-time code, stores the new
+ * password and revokes every session (bumping `tokenVersion`).
+ * @param {Object} resetData
+ * @param {string} [resetData.email] - Email the code was requested with
+ * @param {string} [resetData.phone] - Phone the code was requested with
+ * @param {string} resetData.code - One-time code received by the user
+ * @param {string} resetData.password - New password
+ * @param {string} resetData.passwordConfirmed - New password confirmation
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} If fields are missing, passwords differ or the password is weak
+ * @throws {InvalidCodeError} If the code is wrong, expired or already used
+ */
+export const resetPassword = async ({ email, phone, code, password, passwordConfirmed }) => {
+  if (!code || !password || !passwordConfirmed) {
+    throw new BadRequestError("Code, password and password confirmation are required");
+  }
+
+  if (password !== passwordConfirmed) {
+    throw new BadRequestError("Passwords do not match");
+  }
+
+  if (!isValidPassword(password)) {
+    throw new BadRequestError(
+      "Password must be at least 8 characters long and include one uppercase letter, one lowercase letter, one number, and one special character"
+    );
+  }
+
+  const user = await findUserByIdentifier({ email, phone });
+  if (!user) {
+    throw new InvalidCodeError();
+  }
+
+  await consumeCode(user._id, CODE_PURPOSES.PASSWORD_RESET, String(code));
+
+  user.password = await hashPassword(password);
+  await user.save();
+
+  await revokeAllSessions(user._id, "password_reset");
+
+  logSecurityEvent("password_reset_completed", { userId: user._id });
+};
+
+/**
+ * Loads a user with their password hash and checks the password they entered.
+ * Accounts created with Google have no password and skip the check. Wrong
+ * passwords count toward the login lockout, like failed logins.
+ * @param {string|ObjectId} userId - ID of the authenticated user
+ * @param {string} [password] - Current password entered by the user
+ * @param {Object} [context] - Request context for the security log (ip, userAgent)
+ * @returns {Promise<Object>} User document including `password`
+ * @throws {NotFoundError} If the user does not exist
+ * @throws {AccountLockedError} If the account is locked or this attempt locked it
+ * @throws {AuthenticationError} If the password is missing or wrong
+ */
+export const loadUserWithPassword = async (userId, password, context = {}) => {
+  const user = await User.findById(userId).select("+password +pendingEmail +isLocked +lockUntil");
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (user.password) {
+    await assertNotLocked(user);
+
+    if (!(password && (await bcrypt.compare(String(password), user.password)))) {
+      await registerFailedLogin(user._id, { ip: context.ip, userAgent: context.userAgent });
+      throw new AuthenticationError("Current password is incorrect");
+    }
+  }
+
+  return user;
+};
+
+/**
+ * Changes the password of the authenticated user. Every session is revoked
+ * (bumping `tokenVersion`) and a new one is opened for the current device.
+ * @param {string|ObjectId} userId - ID of the authenticated user
+ * @param {Object} passwords
+ * @param {string} [passwords.currentPassword] - Current password (not needed for accounts without one)
+ * @param {string} passwords.password - New password
+ * @param {string} passwords.passwordConfirmed - New password confirmation
+ * @param {Object} res - Express response object
+ * @param {Object} [context] - Request context (actorId, ip, userAgent, device)
+ * @returns {Promise<{user: Object, accessToken: string}>} Public user data and a new access token
+ * @throws {BadRequestError} If passwords differ or the new password is weak
+ * @throws {AuthenticationError} If the current password is wrong
+ */
+export const changePassword = async (
+  userId,
+  { currentPassword, password, passwordConfirmed },
+  res,
+  context = {}
+) => {
+  if (password !== passwordConfirmed) {
+    throw new BadRequestError("Passwords do not match");
+  }
+
+  if (!isValidPassword(password)) {
+    throw new BadRequestError(
+      "Password must be at least 8 characters long and include one uppercase letter, one lowercase letter, one number, and one special character"
+    );
+  }
+
+  const user = await loadUserWithPassword(userId, currentPassword, context);
+
+  user.password = await hashPassword(password);
+  await user.save();
+
+  await revokeAllSessions(user._id, "password_changed");
+  logSecurityEvent("password_changed", { ...context, userId: user._id });
+
+  // Se recarga para emitir los tokens con el nuevo `tokenVersion`
+  const updatedUser = await User.findById(user._id).lean();
+  return completeLogin(updatedUser, res, context);
+};
+
+/**
+ * Starts an email change: the new address is kept as pending and a code is
+ * sent to it. The account keeps its current email until the code is confirmed.
+ * @param {string|ObjectId} userId - ID of the authenticated user
+ * @param {Object} change
+ * @param {string} change.email - New email address
+ * @param {string} [change.password] - Current password (not needed for accounts without one)
+ * @param {Object} [context] - Request context for the audit log (actorId, ip, userAgent)
+ * @returns {Promise<{pendingEmail: string, expiresAt: Date}>}
+ * @throws {BadRequestError} If the email is invalid or already the current one
+ * @throws {ConflictError} If another account uses the email
+ * @throws {AuthenticationError} If the current password is wrong
+ */
+export const requestEmailChange = async (userId, { email, password }, context = {}) => {
+  const newEmail = typeof email === "string" ? email.toLowerCase().trim() : "";
+  if (!validator.isEmail(newEmail)) {
+    throw new BadRequestError("Invalid email address");
+  }
+
+  const user = await loadUserWithPassword(userId, password, context);
+
+  if (newEmail === user.email) {
+    throw new BadRequestError("The new email must be different from the current one");
+  }
+
+  await assertUserValuesAvailable({ email: newEmail }, user._id);
+
+  user.pendingEmail = newEmail;
+  await user.save();
+
+  const { code, expiresAt } = await issueCode(user._id, CODE_PURPOSES.EMAIL_CHANGE, "email");
+
+  try {
+    await sendMessage({
+      channel: "email",
+      to: newEmail,
+      subject: "Confirm your new email",
+      text: `Your email change code is ${code}. It expires at ${expiresAt.toISOString()}.`,
+    });
+  } catch (error) {
+    console.error("Failed to deliver email change code:", error);
+  }
+
+  logSecurityEvent("email_change_requested", { ...context, userId: user._id });
+
+  return { pendingEmail: newEmail, expiresAt };
+};
+
+/**
+ * Confirms a pending email change with the code sent to the new address.
+ * The new address is stored as verified and the old one is notified.
+ * @param {string|ObjectId} userId - ID of the authenticated user
+ * @param {string} code - Code received at the new address
+ * @param {Object} [context] - Request context for the audit log (actorId, ip, userAgent)
+ * @returns {Promise<Object>} The updated user
+ * @throws {BadRequestError} If there is no pending email change
+ * @throws {InvalidCodeError} If the code is wrong, expired or already used
+ * @throws {ConflictError} If another account took the email in the meantime
+ */
+export const confirmEmailChange = async (userId, code, context = {}) => {
+  const user = await User.findById(userId).select("+pendingEmail");
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (!user.pendingEmail) {
+    throw new BadRequestError("There is no pending email change");
+  }
+
+  await consumeCode(user._id, CODE_PURPOSES.EMAIL_CHANGE, String(code ?? ""));
+
+  await assertUserValuesAvailable({ email: user.pendingEmail }, user._id);
+
+  const previousEmail = user.email;
+  user.email = user.pendingEmail;
+  user.emailVerifiedAt = new Date();
+  user.pendingEmail = null;
+  await user.save();
+
+  logSecurityEvent("email_changed", { ...context, userId: user._id });
+
+  if (previousEmail) {
+    try {
+      await sendMessage({
+        channel: "email",
+        to: previousEmail,
+        subject: "Your email was changed",
+        text: `The email of your account was changed to ${user.email}. If you did not do this, contact support.`,
+      });
+    } catch (error) {
+      console.error("Failed to notify previous email:", error);
+    }
+  }
+
+  return user.toJSON();
+};
+
+/**
+ * Closes the account of the authenticated user after checking their password:
+ * revokes every session, clears the refresh token cookie and deletes the user.
+ * @param {string|ObjectId} userId - ID of the authenticated user
+ * @param {string} [password] - Current password (not needed for accounts without one)
+ * @param {Object} res - Express response object
+ * @param {Object} [context] - Request context for the audit log (actorId, ip, userAgent)
+ * @returns {Promise<void>}
+ * @throws {AuthenticationError} If the password is wrong
+ */
+export const closeAccount = async (userId, password, res, context = {}) => {
+  const user = await loadUserWithPassword(userId, password, context);
+
+  await revokeAllSessions(user._id, "account_closed");
+  await deleteUser(user._id, context);
+  clearRefreshTokenCookie(res);
+
+  logSecurityEvent("user_deleted", { ...context, targetId: user._id });
+};
+
+/**
+ * Loads the user behind an MFA challenge and checks it can still log in
+ * @param {string} mfaToken - MFA challenge token
+ * @param {"verify"|"setup"} purpose - Expected challenge purpose
+ * @returns {Promise<Object>} Lean user object
+ * @throws {TokenVerificationError|TokenExpiredError} If the challenge token is invalid
+ * @throws {AuthenticationError} If the user no longer exists
+ * @throws {AccountLockedError} If the account is locked
+ * @throws {AccountSuspendedError} If the account is deactivated or banned
+ */
+const loadChallengedUser = async (mfaToken, purpose) => {
+  const { id } = verifyMfaToken(mfaToken, purpose);
+
+  const user = await User.findById(id)
+    .select("+isLocked +lockUntil")
+    .lean();
+  if (!user) {
+    throw new AuthenticationError("Invalid credentials");
+  }
+
+  await assertNotLocked(user);
+  await assertAccountActive(user);
+  return user;
+};
+
+/**
+ * Second login step: validates a TOTP or recovery code against the MFA
+ * challenge issued by `loginUser`. Wrong codes count towards the lockout.
+ * @param {string} mfaToken - MFA challenge token
+ * @param {Object} factor - `{ code }` or `{ recoveryCode }`
+ * @param {Object} res - Express response object
+ * @param {Object} [context] - Request context (ip, userAgent, device)
+ * @returns {Promise<{user: Object, accessToken: string}>} Public user data and access token
+ * @throws {InvalidCodeError|AccountLockedError|TokenVerificationError} On failure
+ */
+export const completeMfaLogin = async (mfaToken, factor, res, context = {}) => {
+  const user = await loadChallengedUser(mfaToken, "verify");
+
+  try {
+    await verifySecondFactor(user._id, factor);
+  } catch (error) {
+    if (error instanceof InvalidCodeError) {
+      await registerFailedLogin(user._id, {
+        ip: context.ip,
+        userAgent: context.userAgent,
+      });
+    }
+    throw error;
+  }
+
+  return completeLogin(user, res, context);
+};
+
+/**
+ * Starts mandatory TOTP enrollment for a user whose role requires it
+ * @param {string} mfaToken - MFA setup challenge token
+ * @returns {Promise<{secret: string, otpauthUri: string}>} Secret and URI for the authenticator app
+ */
+export const startMfaEnrollment = async (mfaToken) => {
+  const user = await loadChallengedUser(mfaToken, "setup");
+  return setupTwoFactor(user._id);
+};
+
+/**
+ * Finishes mandatory TOTP enrollment and logs the user in
+ * @param {string} mfaToken - MFA setup challenge token
+ * @param {string} code - 6-digit TOTP code
+ * @param {Object} res - Express response object
+ * @param {Object} [context] - Request context (ip, userAgent, device)
+ * @returns {Promise<{user: Object, accessToken: string, recoveryCodes: Array<string>}>}
+ */
+export const completeMfaEnrollment = async (mfaToken, code, res, context = {}) => {
+  const user = await loadChallengedUser(mfaToken, "setup");
+  const { recoveryCodes } = await enableTwoFactor(user._id, code);
+  const session = await completeLogin(user, res, context);
+  return { ...session, recoveryCodes };
+};
+
+/**
+ * Logs in a user already authenticated by an external identity provider
+ * (Google, wallet signature...). Applies the same lockout, verification and
+ * two-factor rules as the password login.
+ * @param {Object} user - User resolved by the provider
+ * @param {Object} res - Express response object
+ * @param {Object} [context] - Request context (ip, userAgent, device)
+ * @returns {Promise<Object>} `{ user, accessToken }` or an MFA challenge
+ * @throws {AccountLockedError|AccountSuspendedError|AccountNotVerifiedError} If the user cannot log in
+ */
+export const loginWithExternalIdentity = async (user, res, context = {}) => {
+  const fullUser = await User.findById(user._id)
+    .select("+isLocked +lockUntil")
+    .lean();
+  if (!fullUser) {
+    throw new AuthenticationError("Invalid credentials");
+  }
+
+  await assertNotLocked(fullUser);
+  await assertAccountActive(fullUser);
+  assertVerified(fullUser, "login");
+
+  const challenge = getLoginChallenge(fullUser);
+  if (challenge) {
+    return challenge;
+  }
+
+  return completeLogin(fullUser, res, context);
+};
@@ -0,0 +1,209 @@
+import User from "../models/userModel.js";
+import Developer from "../models/developerModel.js";
+import Project from "../models/projectModel.js";
+import Follow from "../models/followModel.js";
+import Notification from "../models/notificationModel.js";
+import Visit from "../models/visitModel.js";
+import { BadRequestError, NotFoundError } from "../errors/index.js";
+import { withTransaction } from "../utils/transaction.js";
+import { logSecurityEvent } from "../utils/securityLogger.js";
+
+/*
+ * Política de borrado en cascada. Usuarios, desarrolladores y proyectos se
+ * eliminan de forma lógica (`deletedAt`) y se restauran junto con todo lo que
+ * cayó en la misma cascada (mismo `deletedAt`).
+ *
+ * Usuario:
+ *   - Perfil de desarrollador → eliminado (con su propia cascada)
+ *   - Follows del usuario y sus notificaciones → borrados
+ *   - Visitas del usuario → anonimizadas (sin usuario ni IP)
+ *   - Ratings del usuario → se conservan; el autor deja de resolverse
+ * Desarrollador:
+ *   - Proyectos → eliminados
+ *   - Follows y notificaciones del desarrollador → borrados
+ *   - Ratings y visitas recibidos → se conservan ocultos con el desarrollador
+ */
+
+const ANONYMOUS_IP = "0.0.0.0";
+
+/**
+ * Soft deletes a developer, its projects, and removes its follows and notifications.
+ * @param {Object} developer - Developer document
+ * @param {Object} marks - `{ at, by, session }` shared by the whole cascade
+ * @returns {Promise<void>}
+ */
+export const cascadeDeveloper = async (developer, { at, by, session }) => {
+  // Secuencial: una transacción no admite operaciones en paralelo
+  await Project.updateMany(
+    { developer_id: developer._id },
+    { $set: { deletedAt: at, deletedBy: by } },
+    { session }
+  );
+  await Follow.deleteMany({ developer_id: developer._id }, { session });
+  await Notification.deleteMany({ developer_id: developer._id }, { session });
+  await developer.softDelete({ at, by, session });
+};
+
+/**
+ * Soft deletes a user and applies the cascade policy to their data.
+ * @param {string|ObjectId} userId - ID of the user to delete
+ * @param {Object} [context] - Audit context (actorId is stored as `deletedBy`)
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the user does not exist or is already deleted
+ */
+export const softDeleteUser = async (userId, context = {}) => {
+  const marks = { at: new Date(), by: context.actorId ?? null };
+
+  await withTransaction(async (session) => {
+    const user = await User.findById(userId).session(session);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    const developer = await Developer.findOne({ user_id: user._id }).session(session);
+    if (developer) {
+      await cascadeDeveloper(developer, { ...marks, session });
+    }
+
+    await Follow.deleteMany({ user_id: user._id }, { session });
+    await Notification.deleteMany({ user_id: user._id }, { session });
+    await Visit.updateMany(
+      { user_id: user._id },
+      { $set: { user_id: null, ip_address: ANONYMOUS_IP } },
+      { session }
+    );
+    await user.softDelete({ ...marks, session });
+  });
+};
+
+/**
+ * Soft deletes a developer and applies the cascade policy to its data.
+ * @param {string|ObjectId} developerId - ID of the developer to delete
+ * @param {Object} [context] - Audit context (actorId is stored as `deletedBy`)
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the developer does not exist or is already deleted
+ */
+export const softDeleteDeveloper = async (developerId, context = {}) => {
+  const marks = { at: new Date(), by: context.actorId ?? null };
+
+  await withTransaction(async (session) => {
+    const developer = await Developer.findById(developerId).session(session);
+    if (!developer) {
+      throw new NotFoundError("Developer not found");
+    }
+
+    await cascadeDeveloper(developer, { ...marks, session });
+  });
+};
+
+/**
+ * Soft deletes a project.
+ * @param {string|ObjectId} projectId - ID of the project to delete
+ * @param {Object} [context] - Audit context (actorId is stored as `deletedBy`)
+ * @returns {Promise<Object>} The deleted project document
+ * @throws {NotFoundError} If the project does not exist or is already deleted
+ */
+export const softDeleteProject = async (projectId, context = {}) => {
+  const project = await Project.findById(projectId);
+  if (!project) {
+    throw new NotFoundError("Project not found");
+  }
+
+  return project.softDelete({ by: context.actorId ?? null });
+};
+
+/**
+ * Restores a deleted developer and the projects deleted with it.
+ * @param {Object} developer - Deleted developer document
+ * @param {mongoose.ClientSession|null} session - Transaction session
+ * @returns {Promise<void>}
+ */
+const restoreDeveloperCascade = async (developer, session) => {
+  await Project.updateMany(
+    { developer_id: developer._id, deletedAt: developer.deletedAt },
+    { $set: { deletedAt: null, deletedBy: null } },
+    { session }
+  );
+  await developer.restore({ session });
+};
+
+/**
+ * Restores a deleted user with the developer profile and projects deleted in
+ * the same cascade. Removed follows and notifications are not recovered.
+ * @param {string|ObjectId} userId - ID of the deleted user
+ * @param {Object} [context] - Audit context of the administrator
+ * @returns {Promise<Object>} The restored user
+ * @throws {NotFoundError} If there is no deleted user with that ID
+ */
+export const restoreUser = async (userId, context = {}) => {
+  const user = await withTransaction(async (session) => {
+    const deletedUser = await User.findDeletedById(userId).session(session);
+    if (!deletedUser) {
+      throw new NotFoundError("Deleted user not found");
+    }
+
+    const developer = await Developer.findOne({
+      user_id: deletedUser._id,
+      deletedAt: deletedUser.deletedAt,
+    }).session(session);
+    if (developer) {
+      await restoreDeveloperCascade(developer, session);
+    }
+
+    return deletedUser.restore({ session });
+  });
+
+  logSecurityEvent("user_restored", { ...context, targetId: userId });
+  return user.toJSON();
+};
+
+/**
+ * Restores a deleted developer with the projects deleted in the same cascade.
+ * @param {string|ObjectId} developerId - ID of the deleted developer
+ * @param {Object} [context] - Audit context of the administrator
+ * @returns {Promise<Object>} The restored developer
+ * @throws {NotFoundError} If there is no deleted developer with that ID
+ * @throws {BadRequestError} If its user is still deleted
+ */
+export const restoreDeveloper = async (developerId, context = {}) => {
+  const developer = await withTransaction(async (session) => {
+    const deletedDeveloper = await Developer.findDeletedById(developerId).session(session);
+    if (!deletedDeveloper) {
+      throw new NotFoundError("Deleted developer not found");
+    }
+
+    if (!(await User.exists({ _id: deletedDeveloper.user_id }).session(session))) {
+      throw new BadRequestError("Restore the developer's user first");
+    }
+
+    await restoreDeveloperCascade(deletedDeveloper, session);
+    return deletedDeveloper;
+  });
+
+  logSecurityEvent("developer_restored", { ...context, targetId: developerId, targetType: "developer" });
+  return developer.toJSON();
+};
+
+/**
+ * Restores a deleted project.
+ * @param {string|ObjectId} projectId - ID of the deleted project
+ * @param {Object} [context] - Audit context of the administrator
+ * @returns {Promise<Object>} The restored project
+ * @throws {NotFoundError} If there is no deleted project with that ID
+ * @throws {BadRequestError} If its developer is still deleted
+ */
+export const restoreProject = async (projectId, context = {}) => {
+  const project = await Project.findDeletedById(projectId);
+  if (!project) {
+    throw new NotFoundError("Deleted project not found");
+  }
+
+  if (!(await Developer.exists({ _id: project.developer_id }))) {
+    throw new BadRequestError("Restore the project's developer first");
+  }
+
+  await project.restore();
+
+  logSecurityEvent("project_restored", { ...context, targetId: projectId, targetType: "project" });
+  return project.toJSON();
+};
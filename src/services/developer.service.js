@@ -1,7 +1,22 @@
-import { NotFoundError } from "../errors/index.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  isOperationalError,
+} from "../errors/index.js";
+import { assertVerified } from "./verification.service.js";
+import { softDeleteDeveloper } from "./deletion.service.js";
 import Developer from "../models/developerModel.js";
 import User from "../models/userModel.js";
+import Project, { statusEnum } from "../models/projectModel.js";
+import Follow from "../models/followModel.js";
+import Rating from "../models/ratingModel.js";
+import Visit from "../models/visitModel.js";
 import validator from "validator";
+import { escapeRegex } from "../utils/escapeRegex.js";
+
+// Campos por los que se puede ordenar el listado de desarrolladores
+export const DEVELOPER_SORT_FIELDS = ["createdAt", "updatedAt", "verified", "trust_score.score"];
 
 /**
  * Retrieves a paginated list of developers with filtering and sorting options.
@@ -15,6 +30,7 @@ import validator from "validator";
  *   - totalDevelopers {number} - Total count of matching developers
  *   - totalPages {number} - Total number of available pages
  *   - currentPage {number} - The current page number
+ * @throws {BadRequestError} If `sortBy` is not one of `DEVELOPER_SORT_FIELDS`
  * @throws {Error} If there's a database error or failed query execution.
  * @example
  * const { developers, totalPages } = await getAllDevelopers(2, 5, 'name', 'asc');
@@ -27,6 +43,10 @@ export const getAllDevelopers = async (
   verified
 ) => {
   try {
+    if (!DEVELOPER_SORT_FIELDS.includes(sortBy)) {
+      throw new BadRequestError(`Cannot sort developers by '${sortBy}'`);
+    }
+
     const skip = (page - 1) * limit;
     const sort = { [sortBy]: sortOrder === "asc" ? 1 : -1 };
     const filter = {};
@@ -52,11 +72,256 @@ export const getAllDevelopers = async (
       currentPage: page,
     };
   } catch (error) {
+    if (isOperationalError(error)) throw error;
     console.error("Error fetching developers:", error);
     throw new Error("Failed to retrieve developers");
   }
 };
 
+// Campos por los que se puede ordenar la búsqueda → ruta en el pipeline
+const SEARCH_SORT_PATHS = {
+  createdAt: "createdAt",
+  trustScore: "trust_score.score",
+  rating: "stats.rating",
+  followers: "stats.followers",
+  activeProjects: "stats.activeProjects",
+};
+export const DEVELOPER_SEARCH_SORT_FIELDS = Object.keys(SEARCH_SORT_PATHS);
+
+// Rangos de los facets numéricos: `boundaries` de `$bucket` y la etiqueta de cada rango
+const FACET_BUCKETS = {
+  rating: {
+    groupBy: "$stats.rating",
+    boundaries: [1, 2, 3, 4, 5.01],
+    labels: ["1-2", "2-3", "3-4", "4-5"],
+    other: "unrated",
+  },
+  followers: {
+    groupBy: "$stats.followers",
+    boundaries: [0, 1, 10, 100, 1000],
+    labels: ["0", "1-9", "10-99", "100-999"],
+    other: "1000+",
+  },
+  activeProjects: {
+    groupBy: "$stats.activeProjects",
+    boundaries: [0, 1, 2, 5],
+    labels: ["0", "1", "2-4"],
+    other: "5+",
+  },
+};
+
+/**
+ * `$lookup` stage that reduces a related collection to one stats document.
+ * @param {mongoose.Model} Model - Related model (with a `developer_id` field)
+ * @param {string} as - Output field
+ * @param {Array<Object>} pipeline - Stages run on the developer's documents
+ */
+const statsLookup = (Model, as, pipeline) => ({
+  $lookup: {
+    from: Model.collection.name,
+    let: { developerId: "$_id" },
+    pipeline: [{ $match: { $expr: { $eq: ["$developer_id", "$$developerId"] } } }, ...pipeline],
+    as,
+  },
+});
+
+/**
+ * Builds a `{ label: count }` object from `$group`/`$bucket` results, with every label present.
+ * @param {Array<{_id: *, count: number}>} groups
+ * @param {Array<string>} labels - Expected labels
+ * @param {Function} [toLabel] - Maps a group `_id` to its label
+ */
+const facetCounts = (groups, labels, toLabel = String) => {
+  const counts = Object.fromEntries(labels.map((label) => [label, 0]));
+  groups.forEach(({ _id, count }) => (counts[toLabel(_id)] = count));
+  return counts;
+};
+
+/**
+ * Searches developers by text with filters on their stats, and counts the
+ * results by facet (verification, rating, followers, scam reports and active
+ * projects). Facets count the matching developers, all filters applied.
+ * @param {Object} [options]
+ * @param {string} [options.q] - Text matched against the user's name, bio, social link handles and (as a prefix) the wallet address
+ * @param {boolean} [options.verified] - Verification status
+ * @param {number} [options.minRating] - Minimum rating average (unrated developers are excluded)
+ * @param {number} [options.minFollowers] - Minimum follower count
+ * @param {number} [options.maxFollowers] - Maximum follower count
+ * @param {boolean} [options.hasScamReports] - Whether any project is reported as scam
+ * @param {number} [options.minActiveProjects] - Minimum count of active projects
+ * @param {number} [options.maxActiveProjects] - Maximum count of active projects
+ * @param {string} [options.sortBy="createdAt"] - One of `DEVELOPER_SEARCH_SORT_FIELDS`
+ * @param {string} [options.sortOrder="desc"] - "asc" or "desc"
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=10]
+ * @returns {Promise<Object>} `{ developers, totalDevelopers, totalPages, currentPage, facets }`
+ * @throws {BadRequestError} If `sortBy` is not one of `DEVELOPER_SEARCH_SORT_FIELDS`
+ */
+export const searchDevelopers = async ({
+  q,
+  verified,
+  minRating,
+  minFollowers,
+  maxFollowers,
+  hasScamReports,
+  minActiveProjects,
+  maxActiveProjects,
+  sortBy = "createdAt",
+  sortOrder = "desc",
+  page = 1,
+  limit = 10,
+} = {}) => {
+  try {
+    if (!DEVELOPER_SEARCH_SORT_FIELDS.includes(sortBy)) {
+      throw new BadRequestError(`Cannot sort developers by '${sortBy}'`);
+    }
+
+    const pipeline = [];
+    if (verified !== undefined) {
+      pipeline.push({ $match: { verified } });
+    }
+
+    // `$lookup` no pasa por el plugin de borrado lógico: se filtra a mano
+    pipeline.push(
+      {
+        $lookup: {
+          from: User.collection.name,
+          let: { userId: "$user_id" },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$_id", "$$userId"] }, deletedAt: null } },
+            { $project: { name: 1, profileImage: 1, profileImageThumbnails: 1 } },
+          ],
+          as: "user",
+        },
+      },
+      { $unwind: "$user" }
+    );
+
+    const text = q?.trim();
+    if (text) {
+      const pattern = new RegExp(escapeRegex(text), "i");
+      const handle = new RegExp(escapeRegex(text.replace(/^@/, "")), "i");
+      pipeline.push(
+        { $addFields: { links: { $objectToArray: { $ifNull: ["$social_links", {}] } } } },
+        {
+          $match: {
+            $or: [
+              { "user.name": pattern },
+              { bio: pattern },
+              { wallet_address: new RegExp(`^${escapeRegex(text)}`) },
+              { "links.v": handle },
+            ],
+          },
+        },
+        { $project: { links: 0 } }
+      );
+    }
+
+    pipeline.push(
+      statsLookup(Rating, "ratingStats", [
+        { $group: { _id: null, average: { $avg: "$score" }, count: { $sum: 1 } } },
+      ]),
+      statsLookup(Follow, "followStats", [{ $count: "count" }]),
+      statsLookup(Project, "projectStats", [
+        { $match: { deletedAt: null } },
+        {
+          $group: {
+            _id: null,
+            active: { $sum: { $cond: [{ $eq: ["$status", "active"] }, 1, 0] } },
+            scamReported: { $sum: { $cond: [{ $eq: ["$status", "scam_reported"] }, 1, 0] } },
+          },
+        },
+      ]),
+      {
+        $addFields: {
+          stats: {
+            rating: { $ifNull: [{ $arrayElemAt: ["$ratingStats.average", 0] }, null] },
+            ratingCount: { $ifNull: [{ $arrayElemAt: ["$ratingStats.count", 0] }, 0] },
+            followers: { $ifNull: [{ $arrayElemAt: ["$followStats.count", 0] }, 0] },
+            activeProjects: { $ifNull: [{ $arrayElemAt: ["$projectStats.active", 0] }, 0] },
+            scamReportedProjects: { $ifNull: [{ $arrayElemAt: ["$projectStats.scamReported", 0] }, 0] },
+          },
+        },
+      },
+      { $project: { ratingStats: 0, followStats: 0, projectStats: 0 } }
+    );
+
+    const statsFilter = {};
+    const range = (min, max) => ({
+      ...(min !== undefined && { $gte: min }),
+      ...(max !== undefined && { $lte: max }),
+    });
+    if (minRating !== undefined) statsFilter["stats.rating"] = { $gte: minRating };
+    if (minFollowers !== undefined || maxFollowers !== undefined) {
+      statsFilter["stats.followers"] = range(minFollowers, maxFollowers);
+    }
+    if (minActiveProjects !== undefined || maxActiveProjects !== undefined) {
+      statsFilter["stats.activeProjects"] = range(minActiveProjects, maxActiveProjects);
+    }
+    if (hasScamReports !== undefined) {
+      statsFilter["stats.scamReportedProjects"] = hasScamReports ? { $gt: 0 } : 0;
+    }
+    if (Object.keys(statsFilter).length) {
+      pipeline.push({ $match: statsFilter });
+    }
+
+    const bucket = ({ groupBy, boundaries, other }) => [
+      { $bucket: { groupBy, boundaries, default: other, output: { count: { $sum: 1 } } } },
+    ];
+
+    pipeline.push({
+      $facet: {
+        developers: [
+          { $sort: { [SEARCH_SORT_PATHS[sortBy]]: sortOrder === "asc" ? 1 : -1, _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              user_id: 0,
+              deletedAt: 0,
+              deletedBy: 0,
+              "trust_score.factors": 0,
+            },
+          },
+        ],
+        total: [{ $count: "count" }],
+        verified: [{ $group: { _id: "$verified", count: { $sum: 1 } } }],
+        scamReports: [{ $group: { _id: { $gt: ["$stats.scamReportedProjects", 0] }, count: { $sum: 1 } } }],
+        rating: bucket(FACET_BUCKETS.rating),
+        followers: bucket(FACET_BUCKETS.followers),
+        activeProjects: bucket(FACET_BUCKETS.activeProjects),
+      },
+    });
+
+    const [result] = await Developer.aggregate(pipeline);
+    const totalDevelopers = result.total[0]?.count ?? 0;
+
+    // `$bucket` devuelve el límite inferior de cada rango como `_id`
+    const bucketCounts = ({ boundaries, labels, other }, groups) =>
+      facetCounts(groups, [...labels, other], (id) =>
+        id === other ? other : labels[boundaries.indexOf(id)]
+      );
+
+    return {
+      developers: result.developers,
+      totalDevelopers,
+      totalPages: Math.ceil(totalDevelopers / limit),
+      currentPage: page,
+      facets: {
+        verified: facetCounts(result.verified, ["true", "false"]),
+        rating: bucketCounts(FACET_BUCKETS.rating, result.rating),
+        followers: bucketCounts(FACET_BUCKETS.followers, result.followers),
+        hasScamReports: facetCounts(result.scamReports, ["true", "false"]),
+        activeProjects: bucketCounts(FACET_BUCKETS.activeProjects, result.activeProjects),
+      },
+    };
+  } catch (error) {
+    if (isOperationalError(error)) throw error;
+    console.error("Error searching developers:", error);
+    throw new Error("Failed to search developers");
+  }
+};
+
 /**
  * Retrieves a developer by their ID with selected fields and populated user data.
  * @param {string|ObjectId} developerId - The ID of the developer to retrieve (MongoDB ObjectId or string representation).
@@ -81,11 +346,118 @@ export const getDeveloperById = async (developerId) => {
 
     return developer;
   } catch (error) {
+    if (isOperationalError(error)) throw error;
     console.error("Error retrieving developer:", error);
     throw new Error("Failed to retrieve developer");
   }
 };
 
+const RECENT_VISITS_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Secciones del perfil agregado: cada una recibe el desarrollador y devuelve sus datos
+const profileSections = {
+  user: (developer) =>
+    User.findById(developer.user_id)
+      .select("name profileImage profileImageThumbnails createdAt")
+      .lean(),
+
+  projects: async (developer) => {
+    const projects = await Project.find({ developer_id: developer._id })
+      .select("name status launch_date explorer_link performance createdAt")
+      .sort({ launch_date: -1 });
+
+    const byStatus = Object.fromEntries(statusEnum.map((status) => [status, 0]));
+    projects.forEach((project) => (byStatus[project.status] += 1));
+
+    return {
+      total: projects.length,
+      byStatus,
+      items: projects.map((project) => project.toJSON()),
+    };
+  },
+
+  followers: async (developer) => ({
+    total: await Follow.countDocuments({ developer_id: developer._id }),
+  }),
+
+  ratings: async (developer) => {
+    const groups = await Rating.aggregate([
+      { $match: { developer_id: developer._id } },
+      { $group: { _id: "$score", count: { $sum: 1 } } },
+    ]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let count = 0;
+    let sum = 0;
+    for (const { _id: score, count: scoreCount } of groups) {
+      distribution[score] = scoreCount;
+      count += scoreCount;
+      sum += score * scoreCount;
+    }
+
+    return { average: count ? sum / count : 0, count, distribution };
+  },
+
+  visits: async (developer) => {
+    const since = new Date(Date.now() - RECENT_VISITS_DAYS * DAY_MS);
+    const [total, recent] = await Promise.all([
+      Visit.countDocuments({ developer_id: developer._id }),
+      Visit.countDocuments({ developer_id: developer._id, createdAt: { $gte: since } }),
+    ]);
+    return { total, [`last${RECENT_VISITS_DAYS}Days`]: recent };
+  },
+
+  scamReports: async (developer) => ({
+    projects: await Project.countDocuments({ developer_id: developer._id, status: "scam_reported" }),
+  }),
+};
+
+// Secciones que se pueden pedir con `include`
+export const DEVELOPER_PROFILE_SECTIONS = Object.keys(profileSections);
+
+/**
+ * Builds everything a developer page needs in one call.
+ * @param {string|ObjectId} developerId - The ID of the developer
+ * @param {Array<string>} [include=DEVELOPER_PROFILE_SECTIONS] - Sections to add (see `DEVELOPER_PROFILE_SECTIONS`)
+ * @returns {Promise<Object>} `{ developer, ...sections }` where each requested section is:
+ *   - user {Object|null} - Public data of the linked user
+ *   - projects {Object} - `{ total, byStatus, items }`
+ *   - followers {Object} - `{ total }`
+ *   - ratings {Object} - `{ average, count, distribution }` (count of each score 1-5)
+ *   - visits {Object} - `{ total, last30Days }`
+ *   - scamReports {Object} - `{ projects }`: projects with status `scam_reported`
+ * @throws {BadRequestError} If a section is unknown
+ * @throws {NotFoundError} If no developer is found with the provided ID
+ */
+export const getDeveloperProfile = async (developerId, include = DEVELOPER_PROFILE_SECTIONS) => {
+  try {
+    const unknown = include.filter((section) => !DEVELOPER_PROFILE_SECTIONS.includes(section));
+    if (unknown.length) {
+      throw new BadRequestError(`Unknown profile sections: ${unknown.join(", ")}`);
+    }
+
+    const developer = await Developer.findById(developerId)
+      .select("user_id wallet_address wallet_verified_at bio social_links verified trust_score.score createdAt")
+      .lean();
+    if (!developer) {
+      throw new NotFoundError("Developer not found");
+    }
+
+    const sections = [...new Set(include)];
+    const results = await Promise.all(sections.map((section) => profileSections[section](developer)));
+
+    return {
+      developer,
+      ...Object.fromEntries(sections.map((section, index) => [section, results[index]])),
+    };
+  } catch (error) {
+    if (isOperationalError(error)) throw error;
+    console.error("Error retrieving developer profile:", error);
+    throw new Error("Failed to retrieve developer profile");
+  }
+};
+
 /**
  * Creates a new developer record with validation checks.
  * @param {Object} developerData - The developer data to store
@@ -101,33 +473,46 @@ export const getDeveloperById = async (developerId) => {
  *   - Wallet address is already in use
  *   - Any social link URL is invalid
  *   - Database operation fails
+ * @throws {AccountNotVerifiedError} If the user does not meet the developer verification policy
  */
 export const storeDeveloper = async (developerData) => {
   try {
     const { user_id, bio, wallet_address, social_links } = developerData;
 
-    const userExists = await User.exists({ _id: user_id });
-    if (!userExists) {
-      throw new Error("Referenced user does not exist");
+    const user = await User.findById(user_id)
+      .select("emailVerifiedAt phoneVerifiedAt")
+      .lean();
+    if (!user) {
+      throw new NotFoundError("Referenced user does not exist");
     }
 
+    assertVerified(user, "developer");
+
     if (!wallet_address || typeof wallet_address !== "string") {
-      throw new Error("Wallet address is required and must be a string");
+      throw new BadRequestError("Wallet address is required and must be a string");
     }
 
     if (typeof bio !== "string") {
-      throw new Error("Bio is required and must be a string");
+      throw new BadRequestError("Bio is required and must be a string");
     }
 
-    const existingWallet = await Developer.findOne({ wallet_address });
+    // Los perfiles eliminados conservan su wallet en el índice único
+    const existingWallet = await Developer.findOne({ wallet_address })
+      .setOptions({ withDeleted: true })
+      .select("deletedAt")
+      .lean();
     if (existingWallet) {
-      throw new Error("Wallet address already in use");
+      throw new ConflictError(
+        existingWallet.deletedAt
+          ? "This wallet belongs to a deleted developer profile. Contact support to restore it"
+          : "Wallet address already in use"
+      );
     }
 
     if (social_links && typeof social_links === "object") {
       for (const url of Object.values(social_links)) {
         if (!validator.isURL(url, { require_protocol: true })) {
-          throw new Error(`Invalid social link URL: ${url}`);
+          throw new BadRequestError(`Invalid social link URL: ${url}`);
         }
       }
     }
@@ -144,6 +529,7 @@ export const storeDeveloper = async (developerData) => {
     return developerObject;
   } catch (error) {
     console.error("Error creating developer:", error);
+    if (isOperationalError(error)) throw error;
     throw new Error("Failed to create developer");
   }
 };
@@ -169,7 +555,7 @@ export const updateDeveloper = async (developerId, updatedData) => {
     );
 
     if (Object.keys(filteredData).length === 0) {
-      throw new Error("No valid fields provided for update");
+      throw new BadRequestError("No valid fields provided for update");
     }
 
     const updatedDeveloper = await Developer.findByIdAndUpdate(
@@ -189,29 +575,29 @@ export const updateDeveloper = async (developerId, updatedData) => {
 
     return updatedDeveloper;
   } catch (error) {
-    console.error("Error updating user:", error);
-    throw new Error("Failed to update user");
+    if (isOperationalError(error)) throw error;
+    console.error("Error updating developer:", error);
+    throw new Error("Failed to update developer");
   }
 };
 
 /**
- * Deletes a developer record by ID.
+ * Soft deletes a developer, its projects, follows and notifications
+ * (see the cascade policy in `deletion.service.js`).
  * @param {string|ObjectId} developerId - The ID of the developer to delete
+ * @param {Object} [context] - Audit context of the user performing the deletion
  * @returns {Promise<Object>} An object with a success message
  * @throws {NotFoundError} If no developer exists with the provided ID
  * @throws {Error} If there's a database error during deletion
  */
-export const deleteDeveloper = async (developerId) => {
+export const deleteDeveloper = async (developerId, context = {}) => {
   try {
-    const developer = await Developer.findById(developerId);
-
-    if (!developer) {
-      throw new NotFoundError("Developer not found");
-    }
+    await softDeleteDeveloper(developerId, context);
 
     return { message: "Developer deleted successfully" };
   } catch (error) {
-    console.error("Error deleting user:", error);
-    throw new Error("Failed to delete user");
+    if (isOperationalError(error)) throw error;
+    console.error("Error deleting developer:", error);
+    throw new Error("Failed to delete developer");
   }
 };
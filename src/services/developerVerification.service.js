@@ -0,0 +1,301 @@
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import Developer from "../models/developerModel.js";
+import Notification from "../models/notificationModel.js";
+import VerificationRequest, {
+  VERIFICATION_DOCUMENT_TYPES,
+  VERIFICATION_STATUS,
+} from "../models/verificationRequestModel.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  UnsupportedMediaTypeError,
+} from "../errors/index.js";
+import { sniffImageType } from "./image.service.js";
+import { refreshTrustScore } from "./trustScore.service.js";
+import { createSignedUrl, getStorage } from "../storage/index.js";
+import { logSecurityEvent } from "../utils/securityLogger.js";
+
+// Prefijo de los documentos en el almacenamiento (privado)
+export const VERIFICATION_DOCUMENTS_PREFIX = "documents/verification";
+
+// Formatos aceptados → extensión con la que se guardan
+const DOCUMENT_EXTENSIONS = {
+  "application/pdf": "pdf",
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+const NOTIFICATION_MESSAGES = {
+  [VERIFICATION_STATUS.APPROVED]: "Your developer verification request has been approved.",
+  [VERIFICATION_STATUS.REJECTED]: "Your developer verification request has been rejected.",
+};
+
+/**
+ * Detects the format of a document from its contents.
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} Accepted mimetype, or null
+ */
+const sniffDocumentType = (buffer) => {
+  if (buffer.toString("latin1", 0, 5) === "%PDF-") return "application/pdf";
+  const type = sniffImageType(buffer);
+  return type in DOCUMENT_EXTENSIONS ? type : null;
+};
+
+/**
+ * Adds an expiring download URL to each document of a request.
+ * @param {Object} request - VerificationRequest document
+ * @returns {Promise<Object>}
+ */
+const presentRequest = async (request) => {
+  const result = request.toJSON();
+  result.documents = await Promise.all(
+    request.documents.map(async (document) => ({
+      type: document.type,
+      name: document.name,
+      content_type: document.content_type,
+      size: document.size,
+      url: await createSignedUrl(document.key),
+    }))
+  );
+  return result;
+};
+
+/**
+ * Deletes stored documents, logging (not throwing) failures.
+ * @param {Array<string>} keys - Storage keys
+ * @returns {Promise<void>}
+ */
+export const removeVerificationDocuments = async (keys) => {
+  const storage = getStorage();
+  const results = await Promise.allSettled(keys.map((key) => storage.remove(key)));
+  results
+    .filter(({ status }) => status === "rejected")
+    .forEach(({ reason }) => console.warn(`Failed to delete verification document: ${reason.message}`));
+};
+
+/**
+ * Notifies the applicant of a decision. A failure does not undo the review.
+ * @param {Object} request - Reviewed VerificationRequest
+ * @returns {Promise<void>}
+ */
+const notifyApplicant = async (request) => {
+  const notes = request.review_notes ? ` Notes: ${request.review_notes}` : "";
+  try {
+    await Notification.create({
+      user_id: request.user_id,
+      developer_id: request.developer_id,
+      message: `${NOTIFICATION_MESSAGES[request.status]}${notes}`.slice(0, 500),
+    });
+  } catch (error) {
+    console.error("Error notifying verification decision:", error);
+  }
+};
+
+/**
+ * Submits a verification request for a developer with its supporting documents.
+ * @param {string|ObjectId} developerId - ID of the developer
+ * @param {Object} submission
+ * @param {string} [submission.message] - Message for the reviewers
+ * @param {Object<string, Array<Object>>} submission.files - Uploaded files by document type (`req.files` from multer)
+ * @param {Object} [context] - Audit context (actorId, ip, userAgent)
+ * @returns {Promise<Object>} The created request
+ * @throws {NotFoundError} If the developer does not exist
+ * @throws {ConflictError} If the developer is already verified or has a pending request
+ * @throws {BadRequestError} If no document is uploaded
+ * @throws {UnsupportedMediaTypeError} If a document is not a PDF, JPEG, PNG or WebP file
+ */
+export const submitVerificationRequest = async (developerId, { message, files = {} }, context = {}) => {
+  const developer = await Developer.findById(developerId);
+  if (!developer) {
+    throw new NotFoundError("Developer not found");
+  }
+
+  if (developer.verified) {
+    throw new ConflictError("Developer is already verified");
+  }
+
+  if (await VerificationRequest.exists({ developer_id: developer._id, status: VERIFICATION_STATUS.PENDING })) {
+    throw new ConflictError("Developer already has a pending verification request");
+  }
+
+  const uploads = VERIFICATION_DOCUMENT_TYPES.flatMap((type) =>
+    (files[type] ?? []).map((file) => ({ type, file, contentType: sniffDocumentType(file.buffer) }))
+  );
+  if (!uploads.length) {
+    throw new BadRequestError("At least one document is required", {
+      fields: VERIFICATION_DOCUMENT_TYPES,
+    });
+  }
+
+  const rejected = uploads.find(({ contentType }) => !contentType);
+  if (rejected) {
+    throw new UnsupportedMediaTypeError("Documents must be PDF, JPEG, PNG or WebP files", {
+      file: rejected.file.originalname,
+      allowedTypes: Object.keys(DOCUMENT_EXTENSIONS),
+    });
+  }
+
+  const request = new VerificationRequest({
+    developer_id: developer._id,
+    user_id: developer.user_id,
+    message,
+    history: [{ status: VERIFICATION_STATUS.PENDING, changed_by: context.actorId ?? null }],
+  });
+
+  request.documents = uploads.map(({ type, file, contentType }) => ({
+    type,
+    key: `${VERIFICATION_DOCUMENTS_PREFIX}/${request._id}/${uuidv4()}.${DOCUMENT_EXTENSIONS[contentType]}`,
+    name: path.basename(file.originalname || "document"),
+    content_type: contentType,
+    size: file.size,
+  }));
+
+  const storage = getStorage();
+  const keys = request.documents.map(({ key }) => key);
+  try {
+    await Promise.all(
+      uploads.map(({ file, contentType }, index) =>
+        storage.put(keys[index], file.buffer, { contentType, cacheControl: "private, no-store" })
+      )
+    );
+    await request.save();
+  } catch (error) {
+    await removeVerificationDocuments(keys);
+    // Otra solicitud del mismo desarrollador ganó la carrera
+    if (error.code === 11000) {
+      throw new ConflictError("Developer already has a pending verification request");
+    }
+    throw error;
+  }
+
+  logSecurityEvent("verification_requested", {
+    ...context,
+    targetId: developer._id,
+    targetType: "developer",
+    requestId: request._id,
+  });
+
+  return presentRequest(request);
+};
+
+/**
+ * Lists the verification requests of a developer, newest first.
+ * @param {string|ObjectId} developerId - ID of the developer
+ * @returns {Promise<Array<Object>>}
+ */
+export const getDeveloperVerificationRequests = async (developerId) => {
+  const requests = await VerificationRequest.find({ developer_id: developerId }).sort({ createdAt: -1 });
+  return Promise.all(requests.map(presentRequest));
+};
+
+/**
+ * Lists verification requests for review, oldest first.
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - Status to filter by (see `VERIFICATION_STATUS`)
+ * @param {number} [filters.page=1]
+ * @param {number} [filters.limit=20]
+ * @returns {Promise<Object>} `{ requests, totalRequests, totalPages, currentPage }`
+ */
+export const listVerificationRequests = async ({ status, page = 1, limit = 20 } = {}) => {
+  const filter = status ? { status } : {};
+
+  const [requests, totalRequests] = await Promise.all([
+    VerificationRequest.find(filter)
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("user_id", "name email"),
+    VerificationRequest.countDocuments(filter),
+  ]);
+
+  return {
+    requests: await Promise.all(requests.map(presentRequest)),
+    totalRequests,
+    totalPages: Math.ceil(totalRequests / limit),
+    currentPage: page,
+  };
+};
+
+/**
+ * Gets a verification request with expiring URLs to its documents.
+ * @param {string|ObjectId} requestId - ID of the request
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError} If the request does not exist
+ */
+export const getVerificationRequest = async (requestId) => {
+  const request = await VerificationRequest.findById(requestId).populate("user_id", "name email");
+  if (!request) {
+    throw new NotFoundError("Verification request not found");
+  }
+
+  return presentRequest(request);
+};
+
+/**
+ * Approves or rejects a pending verification request. Approving marks the
+ * developer as verified. The applicant is notified of the decision.
+ * @param {string|ObjectId} requestId - ID of the request
+ * @param {Object} decision
+ * @param {"approved"|"rejected"} decision.status - New status
+ * @param {string} [decision.notes] - Notes for the applicant (required to reject)
+ * @param {Object} [context] - Audit context of the administrator
+ * @returns {Promise<Object>} The reviewed request
+ * @throws {BadRequestError} If rejecting without notes
+ * @throws {NotFoundError} If the request or its developer does not exist
+ * @throws {ConflictError} If the request was already reviewed
+ */
+export const reviewVerificationRequest = async (requestId, { status, notes }, context = {}) => {
+  if (![VERIFICATION_STATUS.APPROVED, VERIFICATION_STATUS.REJECTED].includes(status)) {
+    throw new BadRequestError("Status must be approved or rejected");
+  }
+  if (status === VERIFICATION_STATUS.REJECTED && !notes) {
+    throw new BadRequestError("Notes are required to reject a request");
+  }
+
+  const current = await VerificationRequest.findById(requestId).select("developer_id status");
+  if (!current) {
+    throw new NotFoundError("Verification request not found");
+  }
+
+  const developer = await Developer.findById(current.developer_id);
+  if (!developer) {
+    throw new NotFoundError("Developer not found");
+  }
+
+  const reviewedAt = new Date();
+  const reviewedBy = context.actorId ?? null;
+
+  // La condición sobre `status` impide revisar dos veces la misma solicitud
+  const request = await VerificationRequest.findOneAndUpdate(
+    { _id: current._id, status: VERIFICATION_STATUS.PENDING },
+    {
+      $set: { status, review_notes: notes || null, reviewed_by: reviewedBy, reviewed_at: reviewedAt },
+      $push: { history: { status, notes: notes || null, changed_by: reviewedBy, changed_at: reviewedAt } },
+    },
+    { new: true }
+  );
+  if (!request) {
+    throw new ConflictError("Verification request has already been reviewed", {
+      status: current.status,
+    });
+  }
+
+  if (status === VERIFICATION_STATUS.APPROVED) {
+    await developer.verify();
+    await refreshTrustScore(developer._id);
+  }
+
+  logSecurityEvent(status === VERIFICATION_STATUS.APPROVED ? "developer_verified" : "verification_rejected", {
+    ...context,
+    targetId: developer._id,
+    targetType: "developer",
+    requestId: request._id,
+  });
+
+  await notifyApplicant(request);
+
+  return presentRequest(request);
+};
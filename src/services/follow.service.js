@@ -4,6 +4,7 @@ import User from "../models/userModel.js";
 import Developer from "../models/developerModel.js";
 import { AppError } from "../errors/appError.js";
 import { NotFoundError } from "../errors/index.js";
+import { refreshTrustScore } from "./trustScore.service.js";
 
 const { Types } = mongoose;
 
@@ -47,6 +48,7 @@ export const followDeveloper = async ({ userId, developerId }) => {
         user_id: userId,
         developer_id: developerId,
       });
+      await refreshTrustScore(developerId);
       return follow;
   
     } catch (err) {
@@ -96,6 +98,7 @@ export const followDeveloper = async ({ userId, developerId }) => {
       if (!result) {
         throw new NotFoundError("Follow record not found");
       }
+      await refreshTrustScore(developerId);
       return { message: "Unfollowed successfully" };
   
     } catch (err) {
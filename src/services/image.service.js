@@ -0,0 +1,160 @@
+import path from "path";
+import sharp from "sharp";
+import { v4 as uuidv4 } from "uuid";
+import { config } from "../config/env.js";
+import { BadRequestError, UnsupportedMediaTypeError } from "../errors/index.js";
+import { getStorage } from "../storage/index.js";
+
+// Prefijo de las imágenes en el almacenamiento (público)
+export const IMAGES_PREFIX = "images";
+
+// Los nombres son únicos (UUID): el contenido de una clave nunca cambia
+const IMAGE_CACHE_CONTROL = "public, max-age=31536000, immutable";
+
+// Lado máximo de la imagen principal y tamaños (cuadrados) de las miniaturas
+const MAX_OUTPUT_SIZE = 1024;
+export const THUMBNAIL_SIZES = [64, 128, 256];
+
+// Claves de las imágenes que genera `saveImage` (UUID v4)
+const IMAGE_KEY_PATTERN = new RegExp(
+  `^${IMAGES_PREFIX}/[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}\\.webp$`
+);
+
+// Firmas ("magic bytes") de los formatos aceptados
+const SIGNATURES = [
+  { type: "image/jpeg", matches: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  {
+    type: "image/png",
+    matches: (buffer) =>
+      buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  { type: "image/gif", matches: (buffer) => ["GIF87a", "GIF89a"].includes(buffer.toString("latin1", 0, 6)) },
+  {
+    type: "image/webp",
+    matches: (buffer) =>
+      buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP",
+  },
+];
+
+export const ALLOWED_IMAGE_TYPES = SIGNATURES.map(({ type }) => type);
+
+/**
+ * Detects the image format from the file contents, ignoring the name and
+ * the mimetype sent by the client.
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} Detected mimetype, or null if it is not an accepted image
+ */
+export const sniffImageType = (buffer) =>
+  SIGNATURES.find(({ matches }) => buffer.length >= 12 && matches(buffer))?.type ?? null;
+
+/**
+ * Validates an uploaded image and stores a re-encoded copy plus square
+ * thumbnails as WebP in the configured storage. Re-encoding drops EXIF and any other metadata (the
+ * orientation is applied first).
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<{key: string, url: string, thumbnails: Object<string, string>}>} Storage key and public URL of the image, and public URL of each thumbnail size
+ * @throws {UnsupportedMediaTypeError} If the contents are not a JPEG, PNG, GIF or WebP image
+ * @throws {BadRequestError} If the image cannot be decoded or exceeds `config.imageMaxDimension`
+ */
+export const saveImage = async (buffer) => {
+  const type = sniffImageType(buffer);
+  if (!type) {
+    throw new UnsupportedMediaTypeError("Only JPEG, PNG, GIF and WebP images are allowed", {
+      allowedTypes: ALLOWED_IMAGE_TYPES,
+    });
+  }
+
+  const maxDimension = config.imageMaxDimension;
+  const image = sharp(buffer, { limitInputPixels: maxDimension * maxDimension });
+
+  let metadata;
+  try {
+    metadata = await image.metadata();
+  } catch {
+    throw new BadRequestError("The image is corrupt or cannot be read");
+  }
+
+  if (metadata.width > maxDimension || metadata.height > maxDimension) {
+    throw new BadRequestError(`Images cannot exceed ${maxDimension}x${maxDimension} pixels`, {
+      width: metadata.width,
+      height: metadata.height,
+    });
+  }
+
+  const name = uuidv4();
+  const oriented = image.rotate();
+
+  const variants = [
+    {
+      key: `${IMAGES_PREFIX}/${name}.webp`,
+      pipeline: oriented.clone().resize(MAX_OUTPUT_SIZE, MAX_OUTPUT_SIZE, { fit: "inside", withoutEnlargement: true }),
+    },
+    ...THUMBNAIL_SIZES.map((size) => ({
+      size,
+      key: `${IMAGES_PREFIX}/${name}-${size}.webp`,
+      pipeline: oriented.clone().resize(size, size, { fit: "cover" }),
+    })),
+  ];
+
+  let encoded;
+  try {
+    encoded = await Promise.all(variants.map(({ pipeline }) => pipeline.webp({ quality: 85 }).toBuffer()));
+  } catch (error) {
+    console.error("Image processing failed:", error);
+    throw new BadRequestError("The image is corrupt or cannot be read");
+  }
+
+  const storage = getStorage();
+  try {
+    await Promise.all(
+      variants.map(({ key }, index) =>
+        storage.put(key, encoded[index], { contentType: "image/webp", cacheControl: IMAGE_CACHE_CONTROL })
+      )
+    );
+  } catch (error) {
+    await removeImage(variants[0].key);
+    throw error;
+  }
+
+  return {
+    key: variants[0].key,
+    url: storage.publicUrl(variants[0].key),
+    thumbnails: Object.fromEntries(
+      variants.filter(({ size }) => size).map(({ size, key }) => [String(size), storage.publicUrl(key)])
+    ),
+  };
+};
+
+/**
+ * Whether a storage key names an image stored by `saveImage`.
+ * @param {string} key
+ * @returns {boolean}
+ */
+export const isImageKey = (key) => typeof key === "string" && IMAGE_KEY_PATTERN.test(key);
+
+/**
+ * Deletes a stored image and its thumbnails. Missing files are ignored, and so
+ * are keys that `saveImage` did not produce.
+ * @param {string|null} key - Storage key returned by `saveImage`
+ * @returns {Promise<boolean>} Whether the main image was deleted
+ */
+export const removeImage = async (key) => {
+  if (!key) return false;
+
+  if (!isImageKey(key)) {
+    console.warn(`Refusing to delete image not stored by saveImage: ${key}`);
+    return false;
+  }
+
+  const name = path.basename(key, path.extname(key));
+  const keys = [key, ...THUMBNAIL_SIZES.map((size) => `${IMAGES_PREFIX}/${name}-${size}.webp`)];
+
+  const storage = getStorage();
+  const [main] = await Promise.allSettled(keys.map((candidate) => storage.remove(candidate)));
+
+  if (main.status === "rejected") {
+    console.warn(`Failed to delete image ${key}: ${main.reason.message}`);
+    return false;
+  }
+  return main.value;
+};
@@ -0,0 +1,142 @@
+import mongoose from "mongoose";
+import User from "../models/userModel.js";
+import { config } from "../config/env.js";
+import { AppError } from "../errors/appError.js";
+import { AccountLockedError, NotFoundError } from "../errors/index.js";
+import { logSecurityEvent } from "../utils/securityLogger.js";
+
+const { Types } = mongoose;
+
+/**
+ * Computes how long the next lock lasts. Each consecutive lock doubles the
+ * previous duration, capped at `config.loginLockMaxMinutes`.
+ * @param {number} lockCount - Number of locks already applied since the last successful login
+ * @returns {number} Lock duration in milliseconds
+ */
+const getLockDuration = (lockCount) => {
+  const minutes = Math.min(
+    config.loginLockBaseMinutes * 2 ** lockCount,
+    config.loginLockMaxMinutes
+  );
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Ensures the user is not currently locked out. Locks whose time has passed
+ * are cleared so the user gets a fresh set of attempts.
+ * @param {Object} user - User document including `isLocked` and `lockUntil`
+ * @returns {Promise<void>}
+ * @throws {AccountLockedError} If the lock is still active (details include `unlockTime`)
+ */
+export const assertNotLocked = async (user) => {
+  if (!user.isLocked) return;
+
+  const lockUntil = user.lockUntil ? new Date(user.lockUntil) : null;
+  if (lockUntil && lockUntil.getTime() > Date.now()) {
+    logSecurityEvent("login_blocked_account_locked", {
+      userId: user._id,
+      unlockTime: lockUntil,
+    });
+    throw new AccountLockedError(
+      "Account temporarily locked due to multiple failed attempts",
+      lockUntil
+    );
+  }
+
+  await User.findByIdAndUpdate(user._id, {
+    $set: { isLocked: false, lockUntil: null, loginAttempts: 0 },
+  });
+  logSecurityEvent("account_lock_expired", { userId: user._id });
+};
+
+/**
+ * Records a failed login attempt and locks the account once the configured
+ * threshold is reached. The lock duration grows with every consecutive lock.
+ * @param {string|ObjectId} userId - ID of the user that failed to authenticate
+ * @param {Object} [context] - Request context for the security log (ip, userAgent)
+ * @returns {Promise<void>}
+ * @throws {AccountLockedError} If this attempt locked the account
+ */
+export const registerFailedLogin = async (userId, context = {}) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { loginAttempts: 1 } },
+    { new: true }
+  ).select("+loginAttempts +lockCount");
+
+  if (!user) return;
+
+  logSecurityEvent("login_failed", {
+    userId,
+    attempts: user.loginAttempts,
+    ...context,
+  });
+
+  if (user.loginAttempts < config.loginMaxAttempts) return;
+
+  const lockUntil = new Date(Date.now() + getLockDuration(user.lockCount));
+
+  await User.findByIdAndUpdate(userId, {
+    $set: { isLocked: true, lockUntil, loginAttempts: 0 },
+    $inc: { lockCount: 1 },
+  });
+
+  logSecurityEvent("account_locked", {
+    userId,
+    lockCount: user.lockCount + 1,
+    unlockTime: lockUntil,
+    ...context,
+  });
+
+  throw new AccountLockedError(
+    "Account temporarily locked due to multiple failed attempts",
+    lockUntil
+  );
+};
+
+/**
+ * Clears the lockout counters after a successful login and stores the login time.
+ * @param {string|ObjectId} userId - ID of the authenticated user
+ * @returns {Promise<void>}
+ */
+export const resetLoginAttempts = async (userId) => {
+  await User.findByIdAndUpdate(userId, {
+    $set: {
+      loginAttempts: 0,
+      lockCount: 0,
+      isLocked: false,
+      lockUntil: null,
+      lastLogin: new Date(),
+    },
+  });
+};
+
+/**
+ * Unlocks an account on behalf of an administrator.
+ * @param {string|ObjectId} userId - ID of the user to unlock
+ * @param {string|ObjectId} adminId - ID of the administrator performing the unlock
+ * @returns {Promise<Object>} Success message object
+ * @throws {AppError} With status 400 if userId is invalid
+ * @throws {NotFoundError} If the user does not exist
+ */
+export const unlockAccount = async (userId, adminId) => {
+  if (!userId || !Types.ObjectId.isValid(userId)) {
+    throw new AppError("Invalid user ID", 400);
+  }
+
+  const user = await User.findByIdAndUpdate(userId, {
+    $set: { loginAttempts: 0, lockCount: 0, isLocked: false, lockUntil: null },
+  }).select("+isLocked +lockUntil");
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  logSecurityEvent("account_unlocked", {
+    userId,
+    actorId: adminId,
+    wasLocked: Boolean(user.isLocked),
+  });
+
+  return { message: "Account unlocked successfully" };
+};
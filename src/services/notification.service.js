@@ -1,6 +1,7 @@
 import Notification from "../models/notificationModel.js";
 import { Types } from "mongoose";
 import { AppError } from "../errors/appError.js";
+import { NotFoundError } from "../errors/index.js";
 import Follow from "../models/followModel.js";
 
 /**
@@ -96,7 +97,7 @@ export const getUserNotifications = async (userId, { unreadOnly = false, limit =
 * @param {string|ObjectId} notificationId - Valid ID of the notification to update
 * @returns {Promise<Object>} The updated notification document
 * @throws {AppError} With status 400 if notificationId is missing or invalid
-* @throws {AppError} With status 404 if notification is not found
+* @throws {NotFoundError} If the notification is not found
 * @throws {AppError} With status 500 for unexpected database errors
 * @description
 *   - Validates notification ID format
@@ -118,11 +119,12 @@ export const getUserNotifications = async (userId, { unreadOnly = false, limit =
       );
   
       if (!updated) {
-        throw new AppError("Notification not found", 404);
+        throw new NotFoundError("Notification not found");
       }
   
       return updated;
     } catch (err) {
+      if (err instanceof AppError) throw err;
       console.error("[markNotificationAsRead] Unexpected error:", err);
       throw new AppError("Failed to mark notification as read", 500, null, err);
     }
@@ -163,7 +165,7 @@ export const getUserNotifications = async (userId, { unreadOnly = false, limit =
 * @param {string|ObjectId} notificationId - Valid ID of the notification to delete
 * @returns {Promise<Object>} Success message object
 * @throws {AppError} With status 400 if notificationId is missing or invalid
-* @throws {AppError} With status 404 if notification is not found
+* @throws {NotFoundError} If the notification is not found
 * @throws {AppError} With status 500 for unexpected database errors
 * @description
 *   - Validates notification ID format
@@ -180,10 +182,11 @@ export const getUserNotifications = async (userId, { unreadOnly = false, limit =
     try {
       const result = await Notification.findByIdAndDelete(notificationId);
       if (!result) {
-        throw new AppError("Notification not found", 404);
+        throw new NotFoundError("Notification not found");
       }
       return { message: "Notification deleted successfully" };
     } catch (err) {
+      if (err instanceof AppError) throw err;
       console.error("[deleteNotification] Unexpected error:", err);
       throw new AppError("Failed to delete notification", 500, null, err);
     }
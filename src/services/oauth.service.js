@@ -0,0 +1,133 @@
+import User from "../models/userModel.js";
+import { generateUniqueAccessCode } from "../utils/generateCode.js";
+import {
+  AuthenticationError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} from "../errors/index.js";
+import { logSecurityEvent } from "../utils/securityLogger.js";
+import { assertUserValuesAvailable } from "./user.service.js";
+
+/**
+ * Extracts the primary email of a Google profile
+ * @param {Object} profile - Passport Google profile
+ * @returns {{email: string|null, verified: boolean}}
+ */
+const getProfileEmail = (profile) => {
+  const entry = profile.emails?.[0];
+  return {
+    email: entry?.value?.toLowerCase().trim() || null,
+    verified: entry?.verified === true || entry?.verified === "true",
+  };
+};
+
+/**
+ * Builds a display name that satisfies the User schema (3-100 characters)
+ * @param {Object} profile - Passport Google profile
+ * @param {string|null} email - Profile email
+ * @returns {string}
+ */
+const getProfileName = (profile, email) => {
+  const name = (profile.displayName || email?.split("@")[0] || "").trim();
+  return name.length >= 3 ? name.slice(0, 100) : "Google user";
+};
+
+/**
+ * Resolves the user for a Google sign-in, creating the account on first use.
+ * An existing account with the same email is linked only when that email has
+ * been verified on our side and by Google, so nobody can pre-register a
+ * victim's address and take over the account later.
+ * @param {Object} profile - Passport Google profile
+ * @returns {Promise<Object>} The user document
+ * @throws {AuthenticationError} If the profile has no email
+ * @throws {ConflictError} If an unverified local account already uses the email, or a deleted account the email or Google account
+ */
+export const findOrCreateGoogleUser = async (profile) => {
+  const linked = await User.findOne({ googleId: profile.id });
+  if (linked) return linked;
+
+  const { email, verified } = getProfileEmail(profile);
+  if (!email) {
+    throw new AuthenticationError("Google account has no email address");
+  }
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    if (!verified || !existing.emailVerifiedAt) {
+      throw new ConflictError(
+        "An account with this email already exists. Log in and link Google from your account"
+      );
+    }
+
+    existing.googleId = profile.id;
+    await existing.save();
+    logSecurityEvent("google_account_linked", { userId: existing._id, automatic: true });
+    return existing;
+  }
+
+  await assertUserValuesAvailable({ email, googleId: profile.id });
+
+  const user = await User.create({
+    name: getProfileName(profile, email),
+    email,
+    emailVerifiedAt: verified ? new Date() : null,
+    googleId: profile.id,
+    access_code: await generateUniqueAccessCode(),
+    profileImage: profile.photos?.[0]?.value || null,
+    is_active: true,
+  });
+
+  logSecurityEvent("google_account_created", { userId: user._id });
+  return user;
+};
+
+/**
+ * Links a Google account to an existing user.
+ * @param {string|ObjectId} userId - ID of the user linking Google
+ * @param {Object} profile - Passport Google profile
+ * @returns {Promise<Object>} The updated user document
+ * @throws {NotFoundError} If the user does not exist
+ * @throws {ConflictError} If the Google account is linked to another user, deleted ones included
+ */
+export const linkGoogleAccount = async (userId, profile) => {
+  await assertUserValuesAvailable({ googleId: profile.id }, userId);
+
+  const user = await User.findById(userId);
+  if (!user) throw new NotFoundError("User not found");
+
+  user.googleId = profile.id;
+  await user.save();
+
+  logSecurityEvent("google_account_linked", { userId, automatic: false });
+  return user;
+};
+
+/**
+ * Removes the Google link of a user. Accounts without a password must set
+ * one first (e.g. via password reset) so they are not left without a way in.
+ * @param {string|ObjectId} userId - ID of the user
+ * @returns {Promise<Object>} Success message object
+ * @throws {NotFoundError} If the user does not exist
+ * @throws {BadRequestError} If Google is not linked or the account has no password
+ */
+export const unlinkGoogleAccount = async (userId) => {
+  const user = await User.findById(userId).select("+password");
+  if (!user) throw new NotFoundError("User not found");
+
+  if (!user.googleId) {
+    throw new BadRequestError("Google account is not linked");
+  }
+  if (!user.password) {
+    throw new BadRequestError("Set a password before unlinking Google");
+  }
+  if (!user.phone) {
+    throw new BadRequestError("Add a phone number before unlinking Google");
+  }
+
+  user.googleId = undefined;
+  await user.save();
+
+  logSecurityEvent("google_account_unlinked", { userId });
+  return { message: "Google account unlinked successfully" };
+};
@@ -0,0 +1,120 @@
+import crypto from "crypto";
+import OneTimeCode from "../models/oneTimeCodeModel.js";
+import { config } from "../config/env.js";
+import { InvalidCodeError } from "../errors/index.js";
+import { logSecurityEvent } from "../utils/securityLogger.js";
+
+const CODE_LENGTH = 6;
+const DEFAULT_TTL_MINUTES = 15;
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Hashes a code with the server secret so a database leak does not expose
+ * codes that could be brute-forced offline.
+ * @param {string} code - Plain code
+ * @returns {string} HMAC-SHA256 hex digest
+ */
+const hashCode = (code) => {
+  if (!config.otpSecret) {
+    throw new Error("OTP secret not configured");
+  }
+  return crypto.createHmac("sha256", config.otpSecret).update(code).digest("hex");
+};
+
+/**
+ * Issues a new single-use numeric code. Any outstanding code for the same
+ * user and purpose is invalidated.
+ * @param {string|ObjectId} userId - Owner of the code
+ * @param {string} purpose - One of `CODE_PURPOSES`
+ * @param {"email"|"sms"} channel - Channel the code will be delivered through
+ * @param {Object} [options]
+ * @param {number} [options.ttlMinutes=15] - Minutes until the code expires
+ * @returns {Promise<{code: string, expiresAt: Date}>} The plain code (never stored) and its expiry
+ */
+export const issueCode = async (
+  userId,
+  purpose,
+  channel,
+  { ttlMinutes = DEFAULT_TTL_MINUTES } = {}
+) => {
+  const code = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, "0");
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  await OneTimeCode.updateMany(
+    { user_id: userId, purpose, used_at: null },
+    { $set: { used_at: new Date() } }
+  );
+
+  await OneTimeCode.create({
+    user_id: userId,
+    purpose,
+    channel,
+    code_hash: hashCode(code),
+    expires_at: expiresAt,
+  });
+
+  return { code, expiresAt };
+};
+
+/**
+ * Verifies and consumes a code. Each wrong guess counts against the active
+ * code, which is burned after too many attempts.
+ * @param {string|ObjectId} userId - Owner of the code
+ * @param {string} purpose - One of `CODE_PURPOSES`
+ * @param {string} code - Code supplied by the user
+ * @returns {Promise<Object>} The consumed code document (includes `channel`)
+ * @throws {InvalidCodeError} If the code is wrong, expired, already used or out of attempts
+ */
+export const consumeCode = async (userId, purpose, code) => {
+  if (!code || typeof code !== "string") {
+    throw new InvalidCodeError();
+  }
+
+  const latest = await OneTimeCode.findOne({
+    user_id: userId,
+    purpose,
+    used_at: null,
+    expires_at: { $gt: new Date() },
+  })
+    .sort({ createdAt: -1 })
+    .select("_id");
+
+  if (!latest) {
+    throw new InvalidCodeError();
+  }
+
+  // Cada intento se reserva de forma atómica antes de comparar: los intentos
+  // en paralelo no pueden superar MAX_ATTEMPTS
+  const record = await OneTimeCode.findOneAndUpdate(
+    { _id: latest._id, used_at: null, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!record) {
+    throw new InvalidCodeError();
+  }
+
+  const expected = Buffer.from(record.code_hash, "hex");
+  const received = Buffer.from(hashCode(code.trim()), "hex");
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    if (record.attempts >= MAX_ATTEMPTS) {
+      await OneTimeCode.updateOne({ _id: record._id, used_at: null }, { $set: { used_at: new Date() } });
+      logSecurityEvent("one_time_code_exhausted", { userId, purpose });
+    }
+    throw new InvalidCodeError();
+  }
+
+  // Marcado atómico para que el código solo se use una vez
+  const consumed = await OneTimeCode.findOneAndUpdate(
+    { _id: record._id, used_at: null },
+    { $set: { used_at: new Date() } },
+    { new: true }
+  );
+  if (!consumed) {
+    throw new InvalidCodeError();
+  }
+
+  return consumed;
+};
@@ -0,0 +1,238 @@
+import path from "path";
+import archiver from "archiver";
+import User from "../models/userModel.js";
+import Developer from "../models/developerModel.js";
+import Project from "../models/projectModel.js";
+import Rating from "../models/ratingModel.js";
+import Follow from "../models/followModel.js";
+import Visit from "../models/visitModel.js";
+import Notification from "../models/notificationModel.js";
+import Session from "../models/sessionModel.js";
+import RefreshToken from "../models/refreshTokenModel.js";
+import ApiKey from "../models/apiKeyModel.js";
+import OneTimeCode from "../models/oneTimeCodeModel.js";
+import VerificationRequest from "../models/verificationRequestModel.js";
+import { config } from "../config/env.js";
+import { BadRequestError, ConflictError, NotFoundError } from "../errors/index.js";
+import { loadUserWithPassword } from "./auth.service.js";
+import { cascadeDeveloper } from "./deletion.service.js";
+import { isImageKey, removeImage } from "./image.service.js";
+import { removeVerificationDocuments } from "./developerVerification.service.js";
+import { getStorage } from "../storage/index.js";
+import { withTransaction } from "../utils/transaction.js";
+import { logSecurityEvent } from "../utils/securityLogger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Collects every piece of personal data stored about a user.
+ * @param {string|ObjectId} userId - ID of the user
+ * @returns {Promise<Object>} `{ exportedAt, profile, developer, projects, ratings, follows, visits, notifications, verificationRequests }`
+ * @throws {NotFoundError} If the user does not exist
+ */
+export const exportUserData = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  const developer = await Developer.findOne({ user_id: user._id });
+
+  const [projects, ratings, follows, visits, notifications, verificationRequests] = await Promise.all([
+    developer ? Project.find({ developer_id: developer._id }) : [],
+    Rating.find({ user_id: user._id }).sort({ createdAt: -1 }),
+    Follow.find({ user_id: user._id }).sort({ date: -1 }),
+    Visit.find({ user_id: user._id }).sort({ createdAt: -1 }),
+    Notification.find({ user_id: user._id }).sort({ date: -1 }),
+    VerificationRequest.find({ user_id: user._id }).sort({ createdAt: -1 }),
+  ]);
+
+  logSecurityEvent("data_exported", { userId: user._id });
+
+  return {
+    exportedAt: new Date(),
+    profile: user.toJSON(),
+    developer: developer?.toJSON() ?? null,
+    projects: projects.map((project) => project.toJSON()),
+    ratings: ratings.map((rating) => rating.toJSON()),
+    follows: follows.map((follow) => follow.toJSON()),
+    visits: visits.map((visit) => visit.toJSON()),
+    notifications: notifications.map((notification) => notification.toJSON()),
+    verificationRequests: verificationRequests.map((request) => request.toJSON()),
+  };
+};
+
+/**
+ * Writes a data export as a ZIP archive: one JSON file per section plus the
+ * uploaded profile image, if any.
+ * @param {Object} data - Result of `exportUserData`
+ * @param {import("stream").Writable} output - Destination stream (e.g. the Express response)
+ * @returns {Promise<void>} Resolves once the archive is finalized
+ */
+export const writeExportArchive = async (data, output) => {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  archive.on("warning", (error) => console.warn("Data export archive warning:", error.message));
+  archive.pipe(output);
+
+  for (const [section, content] of Object.entries(data)) {
+    if (section === "exportedAt") continue;
+    archive.append(JSON.stringify(content, null, 2), { name: `${section}.json` });
+  }
+  archive.append(JSON.stringify({ exportedAt: data.exportedAt }, null, 2), { name: "export.json" });
+
+  const imageKey = data.profile.profileImageKey;
+  if (isImageKey(imageKey)) {
+    const image = await getStorage().get(imageKey);
+    if (image) {
+      archive.append(image, { name: `images/${path.basename(imageKey)}` });
+    }
+  }
+
+  await archive.finalize();
+};
+
+/**
+ * Schedules the erasure of a user's personal data after the configured
+ * cooldown (`config.erasureCooldownDays`). The user can cancel it until then.
+ * @param {string|ObjectId} userId - ID of the authenticated user
+ * @param {string} [password] - Current password (not needed for accounts without one)
+ * @param {Object} [context] - Audit context (actorId, ip, userAgent)
+ * @returns {Promise<{requestedAt: Date, scheduledFor: Date}>}
+ * @throws {AuthenticationError} If the password is wrong
+ * @throws {ConflictError} If an erasure is already scheduled
+ */
+export const requestErasure = async (userId, password, context = {}) => {
+  const user = await loadUserWithPassword(userId, password, context);
+
+  if (user.erasureScheduledFor) {
+    throw new ConflictError("An erasure request is already scheduled", {
+      scheduledFor: user.erasureScheduledFor,
+    });
+  }
+
+  const requestedAt = new Date();
+  const scheduledFor = new Date(requestedAt.getTime() + config.erasureCooldownDays * DAY_MS);
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { erasureRequestedAt: requestedAt, erasureScheduledFor: scheduledFor } }
+  );
+
+  logSecurityEvent("erasure_requested", { ...context, userId: user._id, scheduledFor });
+
+  return { requestedAt, scheduledFor };
+};
+
+/**
+ * Cancels a scheduled erasure.
+ * @param {string|ObjectId} userId - ID of the authenticated user
+ * @param {Object} [context] - Audit context (actorId, ip, userAgent)
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} If there is no scheduled erasure
+ */
+export const cancelErasure = async (userId, context = {}) => {
+  const result = await User.updateOne(
+    { _id: userId, erasureScheduledFor: { $ne: null } },
+    { $set: { erasureRequestedAt: null, erasureScheduledFor: null } }
+  );
+
+  if (!result.matchedCount) {
+    throw new BadRequestError("There is no erasure request to cancel");
+  }
+
+  logSecurityEvent("erasure_cancelled", { ...context, userId });
+};
+
+/**
+ * Erases a user's personal data:
+ *   - ratings are anonymized (author and comment removed, score kept for developer averages)
+ *   - visits, notifications and follows are deleted
+ *   - the developer profile is scrubbed and deleted with its projects
+ *   - verification requests are deleted with their documents
+ *   - sessions, tokens, API keys and codes are deleted
+ *   - the user document and the profile image are removed
+ * @param {string|ObjectId} userId - ID of the user
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the user does not exist
+ */
+export const eraseUserData = async (userId) => {
+  let documentKeys = [];
+  const user = await withTransaction(async (session) => {
+    const target = await User.findById(userId).setOptions({ withDeleted: true }).session(session);
+    if (!target) {
+      throw new NotFoundError("User not found");
+    }
+
+    // Secuencial: una transacción no admite operaciones en paralelo
+    await Rating.updateMany(
+      { user_id: target._id },
+      { $set: { user_id: null, comment: "" } },
+      { session }
+    );
+    await Visit.deleteMany({ user_id: target._id }, { session });
+    await Notification.deleteMany({ user_id: target._id }, { session });
+    await Follow.deleteMany({ user_id: target._id }, { session });
+
+    const developer = await Developer.findOne({ user_id: target._id })
+      .setOptions({ withDeleted: true })
+      .session(session);
+    if (developer) {
+      // La wallet es única: se sustituye por un valor que no identifica a nadie
+      developer.set({
+        wallet_address: `erased-${developer._id}`,
+        bio: undefined,
+        social_links: new Map(),
+      });
+      if (developer.deletedAt) {
+        await developer.save({ session, validateModifiedOnly: true });
+      } else {
+        await cascadeDeveloper(developer, { at: new Date(), by: null, session });
+      }
+    }
+
+    const requests = await VerificationRequest.find({ user_id: target._id })
+      .select("documents.key")
+      .session(session);
+    documentKeys = requests.flatMap((request) => request.documents.map(({ key }) => key));
+    await VerificationRequest.deleteMany({ user_id: target._id }, { session });
+
+    await Session.deleteMany({ user_id: target._id }, { session });
+    await RefreshToken.deleteMany({ user_id: target._id }, { session });
+    await ApiKey.deleteMany({ user_id: target._id }, { session });
+    await OneTimeCode.deleteMany({ user_id: target._id }, { session });
+    await User.deleteOne({ _id: target._id }, { session });
+
+    return target;
+  });
+
+  // Fuera de la transacción: los archivos no se pueden recuperar si se revierte
+  // Solo la imagen subida por el usuario: su clave se guarda al subirla, nunca se deduce de la URL
+  await removeImage(user.profileImageKey);
+  await removeVerificationDocuments(documentKeys);
+
+  logSecurityEvent("user_erased", { targetId: user._id });
+};
+
+/**
+ * Runs every erasure whose cooldown has ended. A failure on one user does not
+ * stop the others.
+ * @returns {Promise<number>} Number of users erased
+ */
+export const processDueErasures = async () => {
+  const due = await User.find({ erasureScheduledFor: { $lte: new Date() } })
+    .setOptions({ withDeleted: true })
+    .select("_id")
+    .lean();
+
+  let erased = 0;
+  for (const { _id } of due) {
+    try {
+      await eraseUserData(_id);
+      erased += 1;
+    } catch (error) {
+      console.error(`Failed to erase data of user ${_id}:`, error);
+    }
+  }
+
+  return erased;
+};
@@ -1,8 +1,27 @@
-import { NotFoundError } from "../errors/index.js";
+import {
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+  isOperationalError,
+} from "../errors/index.js";
 import Developer from "../models/developerModel.js";
-import Project from "../models/projectModel.js";
+import Project, { statusEnum } from "../models/projectModel.js";
+import { softDeleteProject } from "./deletion.service.js";
+import { refreshTrustScore } from "./trustScore.service.js";
 import validator from "validator";
 
+// Campos por los que se puede ordenar el listado de proyectos
+export const PROJECT_SORT_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "name",
+  "launch_date",
+  "status",
+  "performance.daily_users",
+  "performance.transactions",
+  "performance.volume",
+];
+
 /**
  * Retrieves a paginated and filtered list of projects with sorting options.
  * @param {number} [page=1] - The page number to retrieve (1-based index)
@@ -15,6 +34,7 @@ import validator from "validator";
  *   - totalProjects {number} - Total count of matching projects
  *   - totalPages {number} - Total number of available pages
  *   - currentPage {number} - The current page number
+ * @throws {BadRequestError} If `sortBy` is not one of `PROJECT_SORT_FIELDS`
  * @throws {Error} If there's a database error while fetching projects
  */
 export const getAllProjects = async (
@@ -25,6 +45,10 @@ export const getAllProjects = async (
   status = "active"
 ) => {
   try {
+    if (!PROJECT_SORT_FIELDS.includes(sortBy)) {
+      throw new BadRequestError(`Cannot sort projects by '${sortBy}'`);
+    }
+
     const skip = (page - 1) * limit;
     const sort = { [sortBy]: sortOrder === "asc" ? 1 : -1 };
     const filter = {};
@@ -49,6 +73,7 @@ export const getAllProjects = async (
       currentPage: page,
     };
   } catch (error) {
+    if (isOperationalError(error)) throw error;
     console.error("Error fetching projects:", error);
     throw new Error("Failed to retrieve projects");
   }
@@ -78,6 +103,7 @@ export const getProjectById = async (projectId) => {
 
     return project;
   } catch (error) {
+    if (isOperationalError(error)) throw error;
     console.error("Error retrieving project:", error);
     throw new Error("Failed to retrieve project");
   }
@@ -119,7 +145,7 @@ export const storeProject = async (projectData) => {
   const developerExists = await Developer.exists({ _id: developer_id });
   try {
     if (!developerExists) {
-      throw new Error("Referenced developer does not exist");
+      throw new NotFoundError("Referenced developer does not exist");
     }
 
     if (
@@ -128,22 +154,22 @@ export const storeProject = async (projectData) => {
       name.trim().length < 3 ||
       name.trim().length > 100
     ) {
-      throw new Error(
+      throw new BadRequestError(
         "Project name must be a string between 3 and 100 characters long"
       );
     }
 
     const existingProjectName = await Project.findOne({ name });
     if (existingProjectName) {
-      throw new Error("Project name already in use");
+      throw new ConflictError("Project name already in use");
     }
 
     if (!launch_date || isNaN(new Date(launch_date).getTime())) {
-      throw new Error("Launch date must be a valid date");
+      throw new BadRequestError("Launch date must be a valid date");
     }
 
     if (status && !statusEnum.includes(status)) {
-      throw new Error(`Status must be one of: ${statusEnum.join(", ")}`);
+      throw new BadRequestError(`Status must be one of: ${statusEnum.join(", ")}`);
     }
 
     if (performance) {
@@ -154,7 +180,7 @@ export const storeProject = async (projectData) => {
           (typeof transactions !== "number" || transactions < 0)) ||
         (volume && (typeof volume !== "number" || volume < 0))
       ) {
-        throw new Error("Performance metrics must be non-negative numbers");
+        throw new BadRequestError("Performance metrics must be non-negative numbers");
       }
     }
 
@@ -162,7 +188,7 @@ export const storeProject = async (projectData) => {
       explorer_link &&
       !validator.isURL(explorer_link, { require_protocol: true })
     ) {
-      throw new Error("Explorer link must be a valid URL");
+      throw new BadRequestError("Explorer link must be a valid URL");
     }
 
     const newProjectData = {
@@ -180,9 +206,11 @@ export const storeProject = async (projectData) => {
     };
 
     const newProject = await Project.create(newProjectData);
+    await refreshTrustScore(newProject.developer_id);
     const projectObject = newProject.toObject();
     return projectObject;
   } catch (error) {
+    if (isOperationalError(error)) throw error;
     console.error("Error creating project:", error);
     throw new Error("Failed to create project");
   }
@@ -214,7 +242,7 @@ export const updateProject = async (projectId, updatedData) => {
     );
 
     if (Object.keys(filteredData).length === 0) {
-      throw new Error("No valid fields provided for update");
+      throw new BadRequestError("No valid fields provided for update");
     }
 
     const updatedProject = await Project.findByIdAndUpdate(
@@ -224,42 +252,42 @@ export const updateProject = async (projectId, updatedData) => {
         new: true,
         runValidators: true,
       }
-    )
-      .select("-developer_id")
-      .lean();
+    ).lean();
 
     if (!updatedProject) {
       throw new NotFoundError("Project not found");
     }
 
-    return updatedProject;
+    const { developer_id, ...project } = updatedProject;
+    // El estado y la fecha de lanzamiento cuentan en la puntuación de confianza
+    if ("status" in filteredData || "launch_date" in filteredData) {
+      await refreshTrustScore(developer_id);
+    }
+
+    return project;
   } catch (error) {
+    if (isOperationalError(error)) throw error;
     console.error("Error updating project:", error);
     throw new Error("Failed to update project");
   }
 };
 
 /**
- * Deletes a project by its ID.
+ * Soft deletes a project.
  * @param {string|ObjectId} projectId - The ID of the project to delete
- * @returns {Promise<Object>} Success message object with structure:
- *   - message {string} - Confirmation message
+ * @param {Object} [context] - Audit context of the user performing the deletion
+ * @returns {Promise<Object>} An object with a success message
  * @throws {NotFoundError} If no project exists with the provided ID
  * @throws {Error} If there's a database error during deletion
- * @description
- *   - Verifies project existence before deletion
- *   - Returns confirmation message on success
  */
-export const deleteProject = async (projectId) => {
+export const deleteProject = async (projectId, context = {}) => {
   try {
-    const project = await Project.findById(projectId);
-
-    if (!project) {
-      throw new NotFoundError("Project not found");
-    }
+    const project = await softDeleteProject(projectId, context);
+    await refreshTrustScore(project.developer_id);
 
     return { message: "Project deleted successfully" };
   } catch (error) {
+    if (isOperationalError(error)) throw error;
     console.error("Error deleting project:", error);
     throw new Error("Failed to delete project");
   }
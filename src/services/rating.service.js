@@ -3,6 +3,7 @@ import User from "../models/userModel.js";
 import Developer from "../models/developerModel.js";
 import { AppError } from "../errors/appError.js";
 import { NotFoundError } from "../errors/index.js";
+import { refreshTrustScore } from "./trustScore.service.js";
 
 /**
  * Helper para cargar un Rating por ID,
@@ -15,10 +16,10 @@ async function loadRatingOrFail(ratingId) {
     return rating;
   } catch (err) {
     if (err.name === "CastError") {
-      throw new AppError(400, "Invalid rating ID");
+      throw new AppError("Invalid rating ID", 400);
     }
     if (err instanceof AppError) throw err;
-    throw new AppError(500, "Error loading rating", err);
+    throw new AppError("Error loading rating", 500, null, err);
   }
 }
 
@@ -48,10 +49,10 @@ export const getAverageRating = async (developerId) => {
 
   } catch (err) {
     if (err.name === "CastError") {
-      throw new AppError(400, "Invalid developer ID");
+      throw new AppError("Invalid developer ID", 400);
     }
     if (err instanceof AppError) throw err;
-    throw new AppError(500, "Error calculating average rating", err);
+    throw new AppError("Error calculating average rating", 500, null, err);
   }
 };
 
@@ -75,7 +76,7 @@ export const getAverageRating = async (developerId) => {
  */
 export const updateRatingScore = async (ratingId, newScore) => {
   if (typeof newScore !== "number" || newScore < 1 || newScore > 5) {
-    throw new AppError(400, "Score must be a number between 1 and 5");
+    throw new AppError("Score must be a number between 1 and 5", 400);
   }
 
   try {
@@ -89,22 +90,20 @@ export const updateRatingScore = async (ratingId, newScore) => {
       throw new NotFoundError("Rating not found");
     }
 
+    await refreshTrustScore(updated.developer_id);
     return updated;
   } catch (err) {
     if (err.name === "CastError") {
-      throw new AppError(400, "Invalid rating ID");
+      throw new AppError("Invalid rating ID", 400);
     }
+    if (err instanceof AppError) throw err;
     if (err.name === "ValidationError") {
       console.error("[updateRatingScore] ValidationError:", err.message);
-      throw new AppError(400, `Validation failed: ${err.message}`, err);
+      throw new AppError(`Validation failed: ${err.message}`, 400, null, err);
     }
     console.error("[updateRatingScore] Unexpected error:", err.message);
     console.error(err.stack);
-    throw new AppError(
-      500,
-      `Error updating rating score: ${err.message}`,
-      err
-    );
+    throw new AppError(`Error updating rating score: ${err.message}`, 500, null, err);
   }
 };
 
@@ -129,7 +128,7 @@ export const updateRatingScore = async (ratingId, newScore) => {
 */
 export const updateComment = async (ratingId, newComment) => {
   if (newComment != null && typeof newComment !== "string") {
-    throw new AppError(400, "Comment must be a string");
+    throw new AppError("Comment must be a string", 400);
   }
 
   try {
@@ -146,15 +145,16 @@ export const updateComment = async (ratingId, newComment) => {
     return updated;
   } catch (err) {
     if (err.name === "CastError") {
-      throw new AppError(400, "Invalid rating ID");
+      throw new AppError("Invalid rating ID", 400);
     }
+    if (err instanceof AppError) throw err;
     if (err.name === "ValidationError") {
       console.error("[updateComment] ValidationError:", err.message);
-      throw new AppError(400, `Validation failed: ${err.message}`, err);
+      throw new AppError(`Validation failed: ${err.message}`, 400, null, err);
     }
     console.error("[updateComment] Unexpected error:", err.message);
     console.error(err.stack);
-    throw new AppError(500, `Error updating comment: ${err.message}`, err);
+    throw new AppError(`Error updating comment: ${err.message}`, 500, null, err);
   }
 };
 
@@ -189,11 +189,11 @@ export const storeRating = async (ratingData) => {
 
   try {
     if (typeof score !== "number" || score < 1 || score > 5) {
-      throw new AppError(400, "Score must be a number between 1 and 5");
+      throw new AppError("Score must be a number between 1 and 5", 400);
     }
 
     if (comment != null && typeof comment !== "string") {
-      throw new AppError(400, "Comment must be a string");
+      throw new AppError("Comment must be a string", 400);
     }
 
     const [user, dev] = await Promise.all([
@@ -211,11 +211,12 @@ export const storeRating = async (ratingData) => {
     }
 
     const newRating = await Rating.create(newRatingData);
+    await refreshTrustScore(dev._id);
     return newRating.toObject();
   } catch (err) {
     console.error("Error creating rating:", err);
     if (err instanceof AppError) throw err;
-    throw new AppError(500, "Failed to create rating", err);
+    throw new AppError("Failed to create rating", 500, null, err);
   }
 }
 
@@ -238,15 +239,16 @@ export const deleteRating = async (ratingId) => {
   const rating = await loadRatingOrFail(ratingId);
   try {
     await rating.deleteOne();
+    await refreshTrustScore(rating.developer_id);
     return { message: "Rating deleted successfully" };
   } catch (err) {
     if (err.name === "CastError") {
-      throw new AppError(400, "Invalid rating ID");
+      throw new AppError("Invalid rating ID", 400);
     }
     if (err instanceof AppError) {
       throw err;
     }
     console.error("Error deleting rating:", err);
-    throw new AppError(500, "Error deleting rating", err);
+    throw new AppError("Error deleting rating", 500, null, err);
   }
 }
@@ -0,0 +1,155 @@
+import mongoose from "mongoose";
+import { v4 as uuidv4 } from "uuid";
+import Session from "../models/sessionModel.js";
+import User from "../models/userModel.js";
+import RefreshToken from "../models/refreshTokenModel.js";
+import { NotFoundError } from "../errors/index.js";
+import { AppError } from "../errors/appError.js";
+import {
+  REFRESH_TOKEN_TTL_MS,
+  getRefreshTokenFamily,
+  revokeTokenFamily,
+} from "./token.service.js";
+import { logSecurityEvent } from "../utils/securityLogger.js";
+
+const { Types } = mongoose;
+
+/**
+ * Builds a human readable device label from a User-Agent header
+ * @param {string} [userAgent] - Raw User-Agent header
+ * @returns {string} Device label such as "Chrome on Android"
+ */
+const describeDevice = (userAgent = "") => {
+  const os =
+    (/iPhone|iPad/.test(userAgent) && "iOS") ||
+    (/Android/.test(userAgent) && "Android") ||
+    (/Windows/.test(userAgent) && "Windows") ||
+    (/Mac OS X|Macintosh/.test(userAgent) && "macOS") ||
+    (/Linux/.test(userAgent) && "Linux") ||
+    null;
+
+  const browser =
+    (/Edg\//.test(userAgent) && "Edge") ||
+    (/OPR\//.test(userAgent) && "Opera") ||
+    (/Chrome\//.test(userAgent) && "Chrome") ||
+    (/Firefox\//.test(userAgent) && "Firefox") ||
+    (/Safari\//.test(userAgent) && "Safari") ||
+    null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || "Unknown device";
+};
+
+/**
+ * Opens a new session for a successful login.
+ * @param {string|ObjectId} userId - ID of the user logging in
+ * @param {Object} [context] - Request context
+ * @param {string} [context.ip] - Client IP address
+ * @param {string} [context.userAgent] - Client User-Agent header
+ * @param {string} [context.device] - Device name supplied by the client
+ * @returns {Promise<Object>} The created session document (its `family` seeds the refresh tokens)
+ */
+export const createSession = async (userId, { ip, userAgent, device } = {}) => {
+  return Session.create({
+    user_id: userId,
+    family: uuidv4(),
+    device: device?.trim().slice(0, 100) || describeDevice(userAgent),
+    user_agent: userAgent?.slice(0, 512) || null,
+    ip_address: ip || null,
+    last_used_at: new Date(),
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+};
+
+/**
+ * Lists the active sessions of a user, flagging the one making the request.
+ * @param {string|ObjectId} userId - ID of the authenticated user
+ * @param {string} [currentRefreshToken] - Refresh token cookie of the current request
+ * @returns {Promise<Array<Object>>} Sessions sorted by most recently used
+ * @throws {AppError} With status 500 for unexpected database errors
+ */
+export const getUserSessions = async (userId, currentRefreshToken) => {
+  try {
+    const [sessions, currentFamily] = await Promise.all([
+      Session.findActiveByUser(userId),
+      getRefreshTokenFamily(currentRefreshToken),
+    ]);
+
+    return sessions.map((session) => ({
+      ...session.toJSON(),
+      current: session.family === currentFamily,
+    }));
+  } catch (err) {
+    console.error("[getUserSessions] Unexpected error:", err);
+    throw new AppError("Failed to retrieve sessions", 500, null, err);
+  }
+};
+
+/**
+ * Revokes one session of the authenticated user.
+ * @param {string|ObjectId} userId - ID of the authenticated user
+ * @param {string|ObjectId} sessionId - ID of the session to revoke
+ * @returns {Promise<Object>} Success message object
+ * @throws {AppError} With status 400 if sessionId is invalid
+ * @throws {NotFoundError} If the session does not exist, is already revoked or belongs to another user
+ */
+export const revokeSession = async (userId, sessionId) => {
+  if (!sessionId || !Types.ObjectId.isValid(sessionId)) {
+    throw new AppError("Invalid session ID", 400);
+  }
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    user_id: userId,
+    revoked_at: null,
+  });
+  if (!session) {
+    throw new NotFoundError("Session not found");
+  }
+
+  await revokeTokenFamily(session.family, "session_revoked");
+  logSecurityEvent("session_revoked", { userId, sessionId });
+
+  return { message: "Session revoked successfully" };
+};
+
+/**
+ * Revokes every session of a user ("log out everywhere").
+ * Also bumps `tokenVersion` so any refresh token still in circulation is rejected.
+ * @param {string|ObjectId} userId - ID of the user
+ * @param {string} [reason="logout_all"] - Reason stored with the revocation
+ * @returns {Promise<Object>} Object with the number of revoked sessions
+ * @throws {NotFoundError} If the user does not exist
+ */
+export const revokeAllSessions = async (userId, reason = "logout_all") => {
+  const user = await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } });
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  const [result] = await Promise.all([
+    Session.updateMany(
+      { user_id: userId, revoked_at: null },
+      { $set: { revoked_at: new Date() } }
+    ),
+    RefreshToken.revokeAllForUser(userId, reason),
+  ]);
+
+  logSecurityEvent("sessions_revoked", { userId, reason });
+
+  return { revokedCount: result.modifiedCount };
+};
+
+/**
+ * Logs a user out of every device on behalf of an administrator.
+ * Bumping `tokenVersion` also invalidates the access tokens already issued.
+ * @param {string|ObjectId} userId - ID of the user to log out
+ * @param {Object} [context] - Audit context of the administrator (actorId, ip, userAgent)
+ * @returns {Promise<Object>} Object with the number of revoked sessions
+ * @throws {NotFoundError} If the user does not exist
+ */
+export const forceLogout = async (userId, context = {}) => {
+  const result = await revokeAllSessions(userId, "forced_logout");
+  logSecurityEvent("forced_logout", { ...context, targetId: userId, ...result });
+  return result;
+};
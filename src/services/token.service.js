@@ -1,7 +1,12 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
 import { config } from "../config/env.js";
-import User from "../models/userModel.js";
+import User, { isAccountSuspended } from "../models/userModel.js";
+import RefreshToken from "../models/refreshTokenModel.js";
+import Session from "../models/sessionModel.js";
 import {
+  AccountSuspendedError,
   TokenVerificationError,
   TokenExpiredError,
   TokenGenerationError,
@@ -9,12 +14,30 @@ import {
 } from "../errors/index.js";
 import { logSecurityEvent } from "../utils/securityLogger.js";
 
+export const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const REFRESH_COOKIE_PATH = "/api/auth";
+const ACCESS_TOKEN_AUDIENCE = config.jwtAudience || "meme-coins-filter-dev-app";
+const MFA_TOKEN_AUDIENCE = "mfa";
+const LINK_TOKEN_AUDIENCE = "account-link";
+const LINK_NONCE_COOKIE = "linkNonce";
+const OAUTH_STATE_COOKIE = "oauthState";
+const LINK_TOKEN_TTL_MS = 10 * 60 * 1000; // 10 minutes (also the OAuth round trip limit)
+
+/**
+ * Hashes a refresh token for storage and lookup
+ * @param {string} token - JWT refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
 /**
  * Generates a secure JWT access token
  * @param {Object} user - User object containing at least _id and role
  * @param {string} user._id - MongoDB user ID
  * @param {string} user.role - User role
- * @returns {string} JWT access token
+ * @param {number} [user.tokenVersion=0] - Token version for global invalidation
+ * @returns {Promise<string>} JWT access token
  * @throws {TokenGenerationError} If token generation fails
  */
 export const generateAccessToken = async (user) => {
@@ -27,12 +50,21 @@ export const generateAccessToken = async (user) => {
       throw new Error("JWT secret key not configured");
     }
 
+    if (user.tokenVersion === undefined) {
+      user = await User.findById(user._id).select("_id role tokenVersion").lean();
+      if (!user) {
+        throw new Error("User not found");
+      }
+    }
+
     const payload = {
       id: user._id,
       role: user.role,
+      // Permite invalidar los access tokens emitidos al subir `tokenVersion`
+      version: user.tokenVersion || 0,
       // Add standard claims for better security
       iss: config.jwtIssuer || "meme-coins-filter-dev",
-      aud: config.jwtAudience || "meme-coins-filter-dev-app",
+      aud: ACCESS_TOKEN_AUDIENCE,
       iat: Math.floor(Date.now() / 1000),
     };
 
@@ -51,14 +83,230 @@ export const generateAccessToken = async (user) => {
 };
 
 /**
- * Generates a secure JWT refresh token
+ * Verifies an access token. Tokens issued for other audiences (such as MFA
+ * challenges) are rejected even though they share the signing key.
+ * @param {string} token - JWT access token
+ * @returns {Object} Decoded payload
+ * @throws {jwt.JsonWebTokenError} If the token is invalid or expired
+ */
+export const verifyAccessToken = (token) =>
+  jwt.verify(token, config.jwtSecretKey, {
+    algorithms: ["HS256"],
+    audience: ACCESS_TOKEN_AUDIENCE,
+  });
+
+/**
+ * Generates a short-lived token that proves the first login factor was passed
+ * @param {Object} user - User object containing at least _id
+ * @param {"verify"|"setup"} purpose - Whether the user must enter a code or enroll first
+ * @returns {string} JWT MFA challenge token (valid for 5 minutes)
+ * @throws {TokenGenerationError} If token generation fails
+ */
+export const generateMfaToken = (user, purpose) => {
+  try {
+    if (!config.jwtSecretKey) {
+      throw new Error("JWT secret key not configured");
+    }
+
+    return jwt.sign(
+      { id: user._id, purpose, aud: MFA_TOKEN_AUDIENCE },
+      config.jwtSecretKey,
+      { expiresIn: "5m", algorithm: "HS256" }
+    );
+  } catch (error) {
+    console.error("MFA token generation failed:", error);
+    throw new TokenGenerationError(
+      `Failed to generate MFA token: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Verifies an MFA challenge token
+ * @param {string} token - JWT MFA challenge token
+ * @param {"verify"|"setup"} purpose - Expected purpose
+ * @returns {Object} Decoded payload with the user id
+ * @throws {TokenExpiredError|TokenVerificationError} If the token is expired, invalid or for another purpose
+ */
+export const verifyMfaToken = (token, purpose) => {
+  try {
+    if (!token || typeof token !== "string") {
+      throw new TokenVerificationError("MFA token is required");
+    }
+
+    const decoded = jwt.verify(token, config.jwtSecretKey, {
+      algorithms: ["HS256"],
+      audience: MFA_TOKEN_AUDIENCE,
+    });
+
+    if (decoded.purpose !== purpose) {
+      throw new TokenVerificationError("MFA token not valid for this step");
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      throw new TokenExpiredError("MFA challenge expired, please log in again");
+    }
+    if (error instanceof jwt.JsonWebTokenError) {
+      throw new TokenVerificationError("Invalid MFA token");
+    }
+    throw error;
+  }
+};
+
+/**
+ * Generates a short-lived token that carries the authenticated user through
+ * an external provider round trip (used as OAuth `state` when linking accounts).
+ * The token is bound to the browser that requested it through the nonce of
+ * its `linkNonce` cookie (see `setLinkNonceCookie`).
+ * @param {Object} user - User object containing at least _id
+ * @param {string} provider - Provider being linked (e.g. "google")
+ * @param {string} nonce - Nonce stored in the browser's `linkNonce` cookie
+ * @returns {string} JWT link token (valid for 10 minutes)
+ * @throws {TokenGenerationError} If token generation fails
+ */
+export const generateLinkToken = (user, provider, nonce) => {
+  try {
+    if (!config.jwtSecretKey) {
+      throw new Error("JWT secret key not configured");
+    }
+
+    return jwt.sign(
+      { id: user._id, provider, nonce: hashToken(nonce), aud: LINK_TOKEN_AUDIENCE },
+      config.jwtSecretKey,
+      { expiresIn: LINK_TOKEN_TTL_MS / 1000, algorithm: "HS256" }
+    );
+  } catch (error) {
+    console.error("Link token generation failed:", error);
+    throw new TokenGenerationError(
+      `Failed to generate link token: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Verifies an account link token and that it was requested by this browser,
+ * so nobody can make a victim link their external account to another user.
+ * @param {string} token - JWT link token
+ * @param {string} provider - Expected provider
+ * @param {string} [nonce] - Nonce of the request's `linkNonce` cookie
+ * @returns {Object} Decoded payload with the user id
+ * @throws {TokenExpiredError|TokenVerificationError} If the token is expired, invalid, for another provider or for another browser
+ */
+export const verifyLinkToken = (token, provider, nonce) => {
+  try {
+    const decoded = jwt.verify(token, config.jwtSecretKey, {
+      algorithms: ["HS256"],
+      audience: LINK_TOKEN_AUDIENCE,
+    });
+
+    if (decoded.provider !== provider) {
+      throw new TokenVerificationError("Link token not valid for this provider");
+    }
+
+    if (!nonce || !decoded.nonce || decoded.nonce !== hashToken(nonce)) {
+      throw new TokenVerificationError("Link request was not started from this browser");
+    }
+
+    return decoded;
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      throw new TokenExpiredError("Link request expired, please try again");
+    }
+    if (error instanceof jwt.JsonWebTokenError) {
+      throw new TokenVerificationError("Invalid link token");
+    }
+    throw error;
+  }
+};
+
+// Cookies de un solo uso que atan un flujo OAuth al navegador que lo inició.
+// `Lax` para que se envíen en la redirección del proveedor al callback.
+const nonceCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "Lax",
+  path: REFRESH_COOKIE_PATH,
+  domain: process.env.COOKIE_DOMAIN || undefined,
+});
+
+const setNonceCookie = (res, name) => {
+  const nonce = crypto.randomBytes(32).toString("hex");
+  res.cookie(name, nonce, { ...nonceCookieOptions(), maxAge: LINK_TOKEN_TTL_MS });
+  return nonce;
+};
+
+const clearNonceCookie = (res, name) => {
+  res.cookie(name, "", { ...nonceCookieOptions(), expires: new Date(0) });
+};
+
+/**
+ * Sets a random nonce in an httpOnly cookie to bind an account link flow to
+ * the browser of the authenticated user who requested it.
+ * @param {Object} res - Express response object
+ * @returns {string} The nonce, to be included in the link token
+ */
+export const setLinkNonceCookie = (res) => setNonceCookie(res, LINK_NONCE_COOKIE);
+
+/**
+ * Reads the account link nonce of a request
+ * @param {Object} req - Express request object
+ * @returns {string|undefined}
+ */
+export const getLinkNonce = (req) => req.cookies?.[LINK_NONCE_COOKIE];
+
+/**
+ * Clears the account link nonce cookie once the flow ends
+ * @param {Object} res - Express response object
+ */
+export const clearLinkNonceCookie = (res) => clearNonceCookie(res, LINK_NONCE_COOKIE);
+
+/**
+ * Starts an OAuth round trip: stores a random nonce in an httpOnly cookie and
+ * returns the `state` to send to the provider (the nonce, followed by the
+ * link token when linking an account).
+ * @param {Object} res - Express response object
+ * @param {string} [linkToken] - Link token from `generateLinkToken`
+ * @returns {string} OAuth `state`
+ */
+export const createOAuthState = (res, linkToken) => {
+  const nonce = setNonceCookie(res, OAUTH_STATE_COOKIE);
+  return linkToken ? `${nonce}:${linkToken}` : nonce;
+};
+
+/**
+ * Checks the OAuth `state` received by the callback against the cookie set by
+ * `createOAuthState`, which prevents login CSRF. The cookie is cleared.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {{linkToken: string|null}} Link token carried by the state, if any
+ * @throws {TokenVerificationError} If the state is missing or was not issued to this browser
+ */
+export const verifyOAuthState = (req, res) => {
+  const [nonce, linkToken = null] = String(req.query.state ?? "").split(":");
+  const expected = req.cookies?.[OAUTH_STATE_COOKIE];
+  clearNonceCookie(res, OAUTH_STATE_COOKIE);
+
+  if (!nonce || !expected || hashToken(nonce) !== hashToken(expected)) {
+    throw new TokenVerificationError("Invalid OAuth state, please sign in again");
+  }
+
+  return { linkToken };
+};
+
+/**
+ * Generates a secure JWT refresh token and stores its hash.
+ * Every token belongs to a family: a login starts a new family and each
+ * rotation issues the next token of the same family.
  * @param {Object} user - User object containing at least _id
  * @param {string|ObjectId} user._id - User's unique identifier
- * @param {string} [user.tokenVersion=0] - Token version for invalidation
- * @returns {string} JWT refresh token
+ * @param {number} [user.tokenVersion=0] - Token version for global invalidation
+ * @param {string} [family] - Existing family to rotate within (a new one is created if omitted)
+ * @returns {Promise<string>} JWT refresh token
  * @throws {TokenGenerationError} If token generation fails
  */
-export const generateRefreshToken = async (user) => {
+export const generateRefreshToken = async (user, family = uuidv4()) => {
   try {
     if (!user?._id || !user?.role) {
       throw new Error("Invalid user object - missing required properties");
@@ -72,29 +320,36 @@ export const generateRefreshToken = async (user) => {
       throw new Error("Refresh token key must differ from access token key");
     }
 
-    if (!(user instanceof User)) {
-      user = await User.findById(user._id); 
+    if (user.tokenVersion === undefined) {
+      user = await User.findById(user._id).select("_id role tokenVersion").lean();
       if (!user) {
         throw new Error("User not found");
       }
     }
 
-    user.tokenVersion = (user.tokenVersion || 0) + 1;
-    await User.findByIdAndUpdate(user._id, { tokenVersion: user.tokenVersion });
-
     const options = {
-      expiresIn: "7d", // Expira en 7 días 
+      expiresIn: REFRESH_TOKEN_TTL_MS / 1000, // Expira en 7 días
     };
 
     const payload = {
       id: user._id,
-      version: user.tokenVersion,
+      version: user.tokenVersion || 0,
+      family,
+      jti: uuidv4(),
       iss: config.jwtIssuer || "meme-coins-filter-dev-app",
       aud: "refresh",
       iat: Math.floor(Date.now() / 1000),
     };
 
     const token = jwt.sign(payload, config.jwtRefreshKey, options);
+
+    await RefreshToken.create({
+      user_id: user._id,
+      family,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    });
+
     return token;
   } catch (error) {
     console.error("Refresh token generation failed:", error);
@@ -104,6 +359,52 @@ export const generateRefreshToken = async (user) => {
   }
 };
 
+/**
+ * Revokes every refresh token of a family and closes the session that owns it
+ * @param {string} family - Token family identifier
+ * @param {string} reason - Reason stored with the revocation
+ * @returns {Promise<void>}
+ */
+export const revokeTokenFamily = async (family, reason) => {
+  await Promise.all([
+    RefreshToken.revokeFamily(family, reason),
+    Session.updateOne(
+      { family, revoked_at: null },
+      { $set: { revoked_at: new Date() } }
+    ),
+  ]);
+};
+
+/**
+ * Returns the family of a stored refresh token without validating it
+ * @param {string} refreshToken - JWT refresh token
+ * @returns {Promise<string|null>} Token family or null if the token is unknown
+ */
+export const getRefreshTokenFamily = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== "string") return null;
+
+  const record = await RefreshToken.findOne({
+    token_hash: hashToken(refreshToken),
+  })
+    .select("family")
+    .lean();
+
+  return record?.family ?? null;
+};
+
+/**
+ * Revokes the family of the given refresh token, ignoring invalid tokens.
+ * Used on logout, where a broken cookie must not prevent the user from leaving.
+ * @param {string} refreshToken - JWT refresh token
+ * @returns {Promise<void>}
+ */
+export const revokeRefreshToken = async (refreshToken) => {
+  const family = await getRefreshTokenFamily(refreshToken);
+
+  if (family) {
+    await revokeTokenFamily(family, "logout");
+  }
+};
 
 /**
  * Sets the refresh token as an HTTP-only cookie with enhanced security
@@ -128,8 +429,8 @@ export const setRefreshTokenCookie = (res, refreshToken) => {
       httpOnly: true,
       secure: isProduction,
       sameSite: isProduction ? "Strict" : "Lax",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-      path: "/api/auth/refresh", // Restrict to refresh endpoint
+      maxAge: REFRESH_TOKEN_TTL_MS,
+      path: REFRESH_COOKIE_PATH, // Restrict to auth endpoints (refresh and logout)
       domain: cookieDomain,
       // signed: !!process.env.COOKIE_SECRET,
     };
@@ -151,30 +452,47 @@ export const setRefreshTokenCookie = (res, refreshToken) => {
 };
 
 /**
- * Refreshes an access token using a valid refresh token
+ * Clears the refresh token cookie using the same path it was set with
+ * @param {Object} res - Express response object
+ */
+export const clearRefreshTokenCookie = (res) => {
+  const isProduction = process.env.NODE_ENV === "production";
+
+  res.cookie("refreshToken", "", {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: isProduction ? "Strict" : "Lax",
+    path: REFRESH_COOKIE_PATH,
+    domain: process.env.COOKIE_DOMAIN || undefined,
+    expires: new Date(0),
+  });
+};
+
+/**
+ * Rotates a refresh token: the presented token is marked as used and a new
+ * access token plus a new refresh token of the same family are issued.
+ * Presenting a token that was already used (or revoked) is treated as theft
+ * and revokes the entire family.
  * @param {string} refreshToken - JWT refresh token
- * @returns {Promise<string>} New access token
+ * @param {Object} [context] - Request context used to update the session
+ * @param {string} [context.ip] - Client IP address
+ * @returns {Promise<{accessToken: string, refreshToken: string}>} New token pair
  * @throws {TokenVerificationError|TokenExpiredError} On token validation failure
+ * @throws {AccountSuspendedError} If the account is deactivated or banned
  */
-export const refreshAccessToken = async (refreshToken) => {
+export const refreshAccessToken = async (refreshToken, context = {}) => {
   try {
     // Validate input
     if (!refreshToken) {
-      throw new TokenVerificationError(
-        "No refresh token provided",
-        "MISSING_TOKEN"
-      );
+      throw new TokenVerificationError("No refresh token provided");
     }
 
     // Verify token structure before decoding
     if (
       typeof refreshToken !== "string" ||
-      !refreshToken.split(".").length == 3
+      refreshToken.split(".").length !== 3
     ) {
-      throw new TokenVerificationError(
-        "Invalid token format",
-        "INVALID_FORMAT"
-      );
+      throw new TokenVerificationError("Invalid token format");
     }
 
     // Verify and decode token
@@ -183,67 +501,96 @@ export const refreshAccessToken = async (refreshToken) => {
       ignoreExpiration: false,
     });
 
-    // Find user with refresh token
-    const user = await User.findById(decoded.id).select(
-      "+refreshToken +tokenVersion"
+    if (!decoded.family) {
+      throw new TokenVerificationError("Token family missing");
+    }
+
+    const tokenHash = hashToken(refreshToken);
+
+    // Marcado atómico: solo una petición puede consumir el token
+    const record = await RefreshToken.findOneAndUpdate(
+      { token_hash: tokenHash, used_at: null, revoked_at: null },
+      { $set: { used_at: new Date() } },
+      { new: true }
     );
+
+    if (!record) {
+      const known = await RefreshToken.exists({ token_hash: tokenHash });
+      if (known) {
+        await revokeTokenFamily(decoded.family, "reuse_detected");
+        logSecurityEvent("refresh_token_reuse_detected", {
+          userId: decoded.id,
+          family: decoded.family,
+        });
+      } else {
+        logSecurityEvent("refresh_token_unknown", { userId: decoded.id });
+      }
+      throw new TokenVerificationError("Refresh token is no longer valid");
+    }
+
+    const user = await User.findById(decoded.id).select("_id role tokenVersion status statusUntil");
     if (!user) {
-      throw new TokenVerificationError("User not found", "USER_NOT_FOUND");
+      await revokeTokenFamily(record.family, "user_not_found");
+      throw new TokenVerificationError("User not found");
     }
 
-    // Validate token against stored token and version
-    if (user.refreshToken !== refreshToken) {
-      logSecurityEvent("refresh_token_mismatch", { userId: decoded.id });
-      throw new TokenVerificationError(
-        "Token does not match stored token",
-        "TOKEN_MISMATCH"
-      );
+    if (isAccountSuspended(user)) {
+      await revokeTokenFamily(record.family, "account_suspended");
+      throw new AccountSuspendedError();
     }
 
     if (decoded.version !== user.tokenVersion) {
+      await revokeTokenFamily(record.family, "version_mismatch");
       logSecurityEvent("refresh_token_version_mismatch", {
         userId: decoded.id,
       });
-      throw new TokenVerificationError(
-        "Token version invalid",
-        "VERSION_MISMATCH"
-      );
+      throw new TokenVerificationError("Token version invalid");
     }
 
-    // Generate new access token
-    const newAccessToken = generateAccessToken(user);
+    const [newAccessToken, newRefreshToken] = await Promise.all([
+      generateAccessToken(user),
+      generateRefreshToken(user, record.family),
+      Session.updateOne(
+        { family: record.family },
+        {
+          $set: {
+            last_used_at: new Date(),
+            expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+            ...(context.ip && { ip_address: context.ip }),
+          },
+        }
+      ),
+    ]);
 
     // Log successful refresh
-    logSecurityEvent("token_refreshed", { userId: user._id });
+    logSecurityEvent("token_refreshed", {
+      userId: user._id,
+      family: record.family,
+    });
 
-    return newAccessToken;
+    return { accessToken: newAccessToken, refreshToken: newRefreshToken };
   } catch (error) {
     // Handle specific JWT errors
     if (error instanceof jwt.TokenExpiredError) {
       logSecurityEvent("refresh_token_expired", { error: error.message });
-      throw new TokenExpiredError("Refresh token expired", "TOKEN_EXPIRED");
+      throw new TokenExpiredError("Refresh token expired");
     }
 
     if (error instanceof jwt.JsonWebTokenError) {
       logSecurityEvent("invalid_refresh_token", { error: error.message });
-      throw new TokenVerificationError(
-        "Invalid refresh token",
-        "INVALID_TOKEN"
-      );
+      throw new TokenVerificationError("Invalid refresh token");
     }
 
     if (
       error instanceof TokenVerificationError ||
-      error instanceof TokenExpiredError
+      error instanceof TokenExpiredError ||
+      error instanceof AccountSuspendedError
     ) {
       throw error;
     }
 
     // Log and wrap unexpected errors
     logSecurityEvent("refresh_token_error", { error: error.message });
-    throw new TokenVerificationError(
-      "Failed to refresh token",
-      "INTERNAL_ERROR"
-    );
+    throw new TokenVerificationError("Failed to refresh token");
   }
 };
@@ -0,0 +1,221 @@
+import Developer from "../models/developerModel.js";
+import User from "../models/userModel.js";
+import Project from "../models/projectModel.js";
+import Follow from "../models/followModel.js";
+import Rating from "../models/ratingModel.js";
+import { NotFoundError } from "../errors/index.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Peso de cada factor sobre 100 puntos
+export const TRUST_SCORE_WEIGHTS = Object.freeze({
+  verification: 15,
+  rating: 30,
+  scamReports: 25,
+  projectLongevity: 10,
+  followerGrowth: 10,
+  accountAge: 10,
+});
+
+// Media bayesiana: cada desarrollador parte de RATING_PRIOR_WEIGHT valoraciones de RATING_PRIOR_MEAN
+const RATING_PRIOR_MEAN = 3;
+const RATING_PRIOR_WEIGHT = 5;
+// Cada proyecto denunciado como scam reduce el factor a la mitad y limita la puntuación total
+const SCAM_DECAY = 0.5;
+const SCAM_SCORE_CAP = 40;
+// Valores con los que un factor alcanza sus puntos máximos
+const LONGEVITY_TARGET_DAYS = 365;
+const ACCOUNT_AGE_TARGET_DAYS = 365;
+const FOLLOWER_GROWTH_WINDOW_DAYS = 30;
+const FOLLOWER_GROWTH_TARGET = 50;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const daysSince = (date, now) => Math.max(0, (now - new Date(date).getTime()) / DAY_MS);
+
+const factor = (name, value, explanation, details) => ({
+  factor: name,
+  weight: TRUST_SCORE_WEIGHTS[name],
+  value: round(value, 3),
+  points: round(value * TRUST_SCORE_WEIGHTS[name]),
+  explanation,
+  details,
+});
+
+/**
+ * Computes the trust score of a developer from the stored signals.
+ * @param {Object} developer - Developer with `_id`, `user_id`, `verified`, `wallet_verified_at` and `createdAt`
+ * @returns {Promise<{score: number, factors: Array<Object>, calculated_at: Date}>}
+ *   Each factor has its `weight`, normalized `value` (0-1), `points` (`value * weight`) and an `explanation`
+ */
+export const computeTrustScore = async (developer) => {
+  const now = Date.now();
+  const growthSince = new Date(now - FOLLOWER_GROWTH_WINDOW_DAYS * DAY_MS);
+
+  const [[ratings], projects, newFollowers, user] = await Promise.all([
+    Rating.aggregate([
+      { $match: { developer_id: developer._id } },
+      { $group: { _id: null, count: { $sum: 1 }, sum: { $sum: "$score" } } },
+    ]),
+    Project.find({ developer_id: developer._id }).select("status launch_date").lean(),
+    Follow.countDocuments({ developer_id: developer._id, date: { $gte: growthSince } }),
+    User.findById(developer.user_id).select("createdAt").lean(),
+  ]);
+
+  const factors = [];
+
+  const verification = developer.verified ? 1 : developer.wallet_verified_at ? 0.5 : 0;
+  factors.push(
+    factor(
+      "verification",
+      verification,
+      developer.verified
+        ? "Verified developer"
+        : developer.wallet_verified_at
+          ? "Wallet ownership proven, identity not verified"
+          : "Not verified",
+      { verified: Boolean(developer.verified), walletVerified: Boolean(developer.wallet_verified_at) }
+    )
+  );
+
+  const ratingCount = ratings?.count ?? 0;
+  const ratingAverage = ratingCount ? ratings.sum / ratingCount : null;
+  const bayesianAverage =
+    (RATING_PRIOR_MEAN * RATING_PRIOR_WEIGHT + (ratings?.sum ?? 0)) / (RATING_PRIOR_WEIGHT + ratingCount);
+  factors.push(
+    factor(
+      "rating",
+      (bayesianAverage - 1) / 4,
+      ratingCount
+        ? `Average ${round(ratingAverage)} from ${ratingCount} rating(s), smoothed to ${round(bayesianAverage)}`
+        : `No ratings yet, neutral ${RATING_PRIOR_MEAN}`,
+      { count: ratingCount, average: ratingAverage && round(ratingAverage), smoothedAverage: round(bayesianAverage) }
+    )
+  );
+
+  const scamCount = projects.filter((project) => project.status === "scam_reported").length;
+  factors.push(
+    factor(
+      "scamReports",
+      SCAM_DECAY ** scamCount,
+      scamCount
+        ? `${scamCount} project(s) reported as scam; the score is capped at ${SCAM_SCORE_CAP}`
+        : "No projects reported as scam",
+      { scamReportedProjects: scamCount }
+    )
+  );
+
+  const legitProjects = projects.filter((project) => project.status !== "scam_reported");
+  const averageProjectDays = legitProjects.length
+    ? legitProjects.reduce((total, project) => total + daysSince(project.launch_date, now), 0) /
+      legitProjects.length
+    : 0;
+  factors.push(
+    factor(
+      "projectLongevity",
+      Math.min(averageProjectDays / LONGEVITY_TARGET_DAYS, 1),
+      legitProjects.length
+        ? `${legitProjects.length} project(s) live for ${Math.floor(averageProjectDays)} days on average`
+        : projects.length
+          ? "Every project is reported as scam"
+          : "No projects yet",
+      { projects: legitProjects.length, averageDays: Math.floor(averageProjectDays) }
+    )
+  );
+
+  factors.push(
+    factor(
+      "followerGrowth",
+      Math.min(Math.log1p(newFollowers) / Math.log1p(FOLLOWER_GROWTH_TARGET), 1),
+      `${newFollowers} new follower(s) in the last ${FOLLOWER_GROWTH_WINDOW_DAYS} days`,
+      { newFollowers, windowDays: FOLLOWER_GROWTH_WINDOW_DAYS }
+    )
+  );
+
+  const accountDays = daysSince(user?.createdAt ?? developer.createdAt, now);
+  factors.push(
+    factor(
+      "accountAge",
+      Math.min(accountDays / ACCOUNT_AGE_TARGET_DAYS, 1),
+      `Account created ${Math.floor(accountDays)} days ago`,
+      { days: Math.floor(accountDays) }
+    )
+  );
+
+  const total = factors.reduce((sum, { points }) => sum + points, 0);
+  const score = Math.round(scamCount ? Math.min(total, SCAM_SCORE_CAP) : total);
+
+  return { score, factors, calculated_at: new Date(now) };
+};
+
+/**
+ * Recalculates and stores the trust score of a developer.
+ * @param {string|ObjectId} developerId - ID of the developer
+ * @returns {Promise<Object>} The stored trust score
+ * @throws {NotFoundError} If the developer does not exist
+ */
+export const updateTrustScore = async (developerId) => {
+  const developer = await Developer.findById(developerId)
+    .select("user_id verified wallet_verified_at createdAt")
+    .lean();
+  if (!developer) {
+    throw new NotFoundError("Developer not found");
+  }
+
+  const trustScore = await computeTrustScore(developer);
+  // Sin `timestamps`: recalcular no es una modificación del perfil
+  await Developer.updateOne({ _id: developer._id }, { $set: { trust_score: trustScore } }, { timestamps: false });
+  return trustScore;
+};
+
+/**
+ * Recalculates a trust score after a change to one of its signals (ratings,
+ * projects, follows, verification). Failures are logged and never break the
+ * operation that triggered them; the periodic job fixes any missed update.
+ * @param {string|ObjectId} developerId - ID of the developer
+ * @returns {Promise<void>}
+ */
+export const refreshTrustScore = async (developerId) => {
+  try {
+    await updateTrustScore(developerId);
+  } catch (error) {
+    if (error instanceof NotFoundError) return;
+    console.error(`Error updating trust score of developer ${developerId}:`, error);
+  }
+};
+
+/**
+ * Gets the trust score of a developer with its breakdown, calculating it if
+ * it has never been calculated.
+ * @param {string|ObjectId} developerId - ID of the developer
+ * @returns {Promise<{score: number, factors: Array<Object>, calculated_at: Date}>}
+ * @throws {NotFoundError} If the developer does not exist
+ */
+export const getTrustScore = async (developerId) => {
+  const developer = await Developer.findById(developerId).select("trust_score").lean();
+  if (!developer) {
+    throw new NotFoundError("Developer not found");
+  }
+
+  if (!developer.trust_score?.calculated_at) {
+    return updateTrustScore(developerId);
+  }
+  return developer.trust_score;
+};
+
+/**
+ * Recalculates every developer's trust score (time-based factors change
+ * without any write). A failure on one developer does not stop the others.
+ * @returns {Promise<number>} Number of developers updated
+ */
+export const recalculateTrustScores = async () => {
+  let updated = 0;
+  for await (const { _id } of Developer.find().select("_id").lean().cursor()) {
+    try {
+      await updateTrustScore(_id);
+      updated += 1;
+    } catch (error) {
+      console.error(`Error updating trust score of developer ${_id}:`, error);
+    }
+  }
+  return updated;
+};
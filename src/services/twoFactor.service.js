@@ -0,0 +1,242 @@
+import crypto from "crypto";
+import User, { ROLES } from "../models/userModel.js";
+import { config } from "../config/env.js";
+import {
+  BadRequestError,
+  ForbiddenError,
+  InvalidCodeError,
+  NotFoundError,
+} from "../errors/index.js";
+import {
+  base32Encode,
+  buildOtpAuthUri,
+  generateTotpSecret,
+  verifyTotp,
+} from "../utils/totp.js";
+import { generateMfaToken } from "./token.service.js";
+import { logSecurityEvent } from "../utils/securityLogger.js";
+
+// Roles que pueden activar la autenticación en dos pasos
+export const MFA_ROLES = [ROLES.ADMIN, ROLES.DEVELOPER];
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Hashes a recovery code with the server secret
+ * @param {string} code - Plain recovery code
+ * @returns {string} HMAC-SHA256 hex digest
+ */
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHmac("sha256", config.otpSecret)
+    .update(code.replace(/-/g, "").toUpperCase())
+    .digest("hex");
+
+/**
+ * Generates a fresh set of recovery codes
+ * @returns {{codes: Array<string>, hashes: Array<string>}} Plain codes (shown once) and their hashes
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(5));
+    return `${raw.slice(0, 4)}-${raw.slice(4, 8)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Whether two-factor authentication is mandatory for a role
+ * @param {string} role - User role
+ * @returns {boolean}
+ */
+export const isTwoFactorMandatory = (role) => config.mfaRequiredRoles.includes(role);
+
+/**
+ * Decides whether a login that passed the password check needs a second step.
+ * @param {Object} user - User with `role` and `twoFactor.enabled`
+ * @returns {Object|null} `{ mfaRequired, mfaToken }` when a code must be entered,
+ *   `{ mfaSetupRequired, mfaToken }` when the role requires enrollment first, or null
+ */
+export const getLoginChallenge = (user) => {
+  if (user.twoFactor?.enabled) {
+    return { mfaRequired: true, mfaToken: generateMfaToken(user, "verify") };
+  }
+  if (isTwoFactorMandatory(user.role)) {
+    return { mfaSetupRequired: true, mfaToken: generateMfaToken(user, "setup") };
+  }
+  return null;
+};
+
+/**
+ * Starts TOTP enrollment by generating a pending secret.
+ * @param {string|ObjectId} userId - ID of the user enrolling
+ * @returns {Promise<{secret: string, otpauthUri: string}>} Secret and URI to render as a QR code
+ * @throws {NotFoundError} If the user does not exist
+ * @throws {ForbiddenError} If the user's role cannot use two-factor authentication
+ * @throws {BadRequestError} If two-factor authentication is already enabled
+ */
+export const setupTwoFactor = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) throw new NotFoundError("User not found");
+
+  if (!MFA_ROLES.includes(user.role)) {
+    throw new ForbiddenError("Two-factor authentication is only available for admins and developers");
+  }
+  if (user.twoFactor?.enabled) {
+    throw new BadRequestError("Two-factor authentication is already enabled");
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  return {
+    secret,
+    otpauthUri: buildOtpAuthUri({
+      secret,
+      label: user.email || user.phone,
+      issuer: config.mfaIssuer,
+    }),
+  };
+};
+
+/**
+ * Confirms enrollment with a code from the authenticator app.
+ * @param {string|ObjectId} userId - ID of the user enrolling
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<{recoveryCodes: Array<string>}>} Recovery codes (only returned once)
+ * @throws {NotFoundError} If the user does not exist
+ * @throws {BadRequestError} If enrollment was not started
+ * @throws {InvalidCodeError} If the code is wrong
+ */
+export const enableTwoFactor = async (userId, code) => {
+  const user = await User.findById(userId).select("+twoFactor.pendingSecret");
+  if (!user) throw new NotFoundError("User not found");
+
+  const secret = user.twoFactor?.pendingSecret;
+  if (!secret) {
+    throw new BadRequestError("Two-factor setup has not been started");
+  }
+
+  const step = verifyTotp(secret, String(code ?? ""));
+  if (step === null) {
+    throw new InvalidCodeError("Invalid authentication code");
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor = {
+    enabled: true,
+    enabledAt: new Date(),
+    secret,
+    pendingSecret: null,
+    recoveryCodes: hashes,
+    lastUsedStep: step,
+  };
+  await user.save();
+
+  logSecurityEvent("two_factor_enabled", { userId });
+  return { recoveryCodes: codes };
+};
+
+/**
+ * Verifies a second factor: a TOTP code (each time step is accepted once)
+ * or a recovery code (removed once used).
+ * @param {string|ObjectId} userId - ID of the user
+ * @param {Object} factor
+ * @param {string} [factor.code] - 6-digit TOTP code
+ * @param {string} [factor.recoveryCode] - Recovery code
+ * @returns {Promise<void>}
+ * @throws {InvalidCodeError} If no valid factor was supplied
+ */
+export const verifySecondFactor = async (userId, { code, recoveryCode } = {}) => {
+  const user = await User.findById(userId)
+    .select("+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep")
+    .lean();
+
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) {
+    throw new InvalidCodeError("Two-factor authentication is not enabled");
+  }
+
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, String(code));
+    if (step !== null) {
+      // Evita reutilizar el mismo código dentro de su ventana de validez
+      const updated = await User.findOneAndUpdate(
+        {
+          _id: userId,
+          $or: [
+            { "twoFactor.lastUsedStep": null },
+            { "twoFactor.lastUsedStep": { $lt: step } },
+          ],
+        },
+        { $set: { "twoFactor.lastUsedStep": step } }
+      );
+      if (updated) return;
+    }
+  }
+
+  if (recoveryCode && typeof recoveryCode === "string") {
+    const updated = await User.findOneAndUpdate(
+      { _id: userId, "twoFactor.recoveryCodes": hashRecoveryCode(recoveryCode) },
+      { $pull: { "twoFactor.recoveryCodes": hashRecoveryCode(recoveryCode) } }
+    );
+    if (updated) {
+      logSecurityEvent("two_factor_recovery_code_used", { userId });
+      return;
+    }
+  }
+
+  throw new InvalidCodeError("Invalid authentication code");
+};
+
+/**
+ * Disables two-factor authentication after checking a valid factor.
+ * @param {string|ObjectId} userId - ID of the user
+ * @param {Object} factor - `{ code }` or `{ recoveryCode }`
+ * @returns {Promise<Object>} Success message object
+ * @throws {ForbiddenError} If two-factor authentication is mandatory for the user's role
+ * @throws {InvalidCodeError} If the factor is invalid
+ */
+export const disableTwoFactor = async (userId, factor) => {
+  const user = await User.findById(userId).select("role").lean();
+  if (!user) throw new NotFoundError("User not found");
+
+  if (isTwoFactorMandatory(user.role)) {
+    throw new ForbiddenError("Two-factor authentication is mandatory for your role");
+  }
+
+  await verifySecondFactor(userId, factor);
+
+  await User.findByIdAndUpdate(userId, {
+    $set: {
+      "twoFactor.enabled": false,
+      "twoFactor.enabledAt": null,
+      "twoFactor.secret": null,
+      "twoFactor.pendingSecret": null,
+      "twoFactor.recoveryCodes": [],
+      "twoFactor.lastUsedStep": null,
+    },
+  });
+
+  logSecurityEvent("two_factor_disabled", { userId });
+  return { message: "Two-factor authentication disabled" };
+};
+
+/**
+ * Replaces the recovery codes after checking a valid TOTP code.
+ * @param {string|ObjectId} userId - ID of the user
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<{recoveryCodes: Array<string>}>} New recovery codes (only returned once)
+ * @throws {InvalidCodeError} If the code is invalid
+ */
+export const regenerateRecoveryCodes = async (userId, code) => {
+  await verifySecondFactor(userId, { code });
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.findByIdAndUpdate(userId, {
+    $set: { "twoFactor.recoveryCodes": hashes },
+  });
+
+  logSecurityEvent("two_factor_recovery_codes_regenerated", { userId });
+  return { recoveryCodes: codes };
+};
@@ -1,14 +1,59 @@
-import User from "../models/userModel.js";
-import { NotFoundError } from "../errors/index.js";
-import path from "path";
-import fs from "fs";
+import User, { ROLES } from "../models/userModel.js";
+import Follow from "../models/followModel.js";
+import Rating from "../models/ratingModel.js";
+import Notification from "../models/notificationModel.js";
+import { BadRequestError, ConflictError, NotFoundError, isOperationalError } from "../errors/index.js";
+import { logSecurityEvent } from "../utils/securityLogger.js";
+import { softDeleteUser } from "./deletion.service.js";
+import { removeImage } from "./image.service.js";
+import { escapeRegex } from "../utils/escapeRegex.js";
+
+// Campos únicos de la cuenta y cómo se nombran en los errores
+const UNIQUE_USER_FIELDS = {
+  email: { label: "email", inUse: "Email is already in use" },
+  phone: { label: "phone number", inUse: "Phone number is already in use" },
+  googleId: { label: "Google account", inUse: "This Google account is already linked to another user" },
+};
+
+/**
+ * Checks that no other account uses the given unique values. Deleted accounts
+ * are included: they keep their values in the unique indexes until they are
+ * erased, so reusing one would fail with a duplicate key error.
+ * @param {Object} values - Values to check, e.g. `{ email, phone }` (empty ones are skipped)
+ * @param {string|ObjectId} [excludeId] - Account allowed to hold the values (the one being updated)
+ * @returns {Promise<void>}
+ * @throws {ConflictError} If an active or deleted account uses one of the values
+ */
+export const assertUserValuesAvailable = async (values, excludeId = null) => {
+  for (const [field, value] of Object.entries(values)) {
+    if (!value) continue;
+
+    const filter = { [field]: value };
+    if (excludeId) filter._id = { $ne: excludeId };
+
+    const owner = await User.findOne(filter)
+      .setOptions({ withDeleted: true })
+      .select("deletedAt")
+      .lean();
+    if (!owner) continue;
+
+    const { label, inUse } = UNIQUE_USER_FIELDS[field];
+    if (owner.deletedAt) {
+      throw new ConflictError(
+        `An account with this ${label} was deleted. Contact support to restore it`,
+        { field }
+      );
+    }
+    throw new ConflictError(inUse, { field });
+  }
+};
 
 /**
  * Retrieves a paginated list of all users with sensitive fields excluded.
  * @param {number} [page=1] - The page number to retrieve (1-based index)
  * @param {number} [limit=10] - The number of users per page
  * @returns {Promise<Object>} An object containing:
- *   - users {Array<Object>} - List of user objects (without password and refreshToken)
+ *   - users {Array<Object>} - List of user objects (without password)
  *   - totalUsers {number} - Total count of users in the database
  *   - totalPages {number} - Total number of available pages
  *   - currentPage {number} - The current page number
@@ -19,7 +64,7 @@ export const getAllUsers = async (page = 1, limit = 10) => {
     const skip = (page - 1) * limit;
 
     const users = await User.find()
-      .select("-password -refreshToken")
+      .select("-password")
       .skip(skip)
       .limit(limit)
       .lean();
@@ -40,6 +85,90 @@ export const getAllUsers = async (page = 1, limit = 10) => {
   }
 };
 
+/**
+ * Searches users for the admin panel, newest first.
+ * @param {Object} [filters]
+ * @param {string} [filters.search] - Text matched (case-insensitive) against name, email and phone
+ * @param {string} [filters.role] - Only users with this role
+ * @param {string} [filters.status] - Only users with this account status
+ * @param {number} [filters.page=1] - Page number (1-based)
+ * @param {number} [filters.limit=20] - Users per page
+ * @returns {Promise<Object>} `{ users, totalUsers, totalPages, currentPage }`
+ * @throws {Error} If there's a database error while searching
+ */
+export const searchUsers = async ({ search, role, status, page = 1, limit = 20 } = {}) => {
+  try {
+    const filter = {};
+
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), "i");
+      filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+    if (role) filter.role = role;
+    if (status) filter.status = status;
+
+    const [users, totalUsers] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    return {
+      users,
+      totalUsers,
+      totalPages: Math.ceil(totalUsers / limit),
+      currentPage: page,
+    };
+  } catch (error) {
+    console.error("Error searching users:", error);
+    throw new Error("Failed to search users");
+  }
+};
+
+/**
+ * Changes the role of a user on behalf of an administrator.
+ * @param {string|ObjectId} userId - ID of the user to update
+ * @param {string} role - New role (see `ROLES`)
+ * @param {Object} [context] - Audit context of the administrator (actorId, ip, userAgent)
+ * @returns {Promise<Object>} The updated user
+ * @throws {BadRequestError} If the role is invalid or the administrator targets their own account
+ * @throws {NotFoundError} If the user does not exist
+ */
+export const changeUserRole = async (userId, role, context = {}) => {
+  try {
+    if (!Object.values(ROLES).includes(role)) {
+      throw new BadRequestError(`Role must be one of: ${Object.values(ROLES).join(", ")}`);
+    }
+
+    if (context.actorId && String(context.actorId) === String(userId)) {
+      throw new BadRequestError("You cannot change your own role");
+    }
+
+    const previous = await User.findByIdAndUpdate(userId, { $set: { role } }).select("role");
+    if (!previous) {
+      throw new NotFoundError("User not found");
+    }
+
+    if (previous.role !== role) {
+      logSecurityEvent("role_changed", {
+        ...context,
+        targetId: userId,
+        from: previous.role,
+        to: role,
+      });
+    }
+
+    return await User.findById(userId).lean();
+  } catch (error) {
+    if (isOperationalError(error)) throw error;
+    console.error("Error changing user role:", error);
+    throw new Error("Failed to change user role");
+  }
+};
+
 /**
  * Retrieves the authenticated user by ID.
  * @param {string} userId - The ID of the user to retrieve.
@@ -48,7 +177,7 @@ export const getAllUsers = async (page = 1, limit = 10) => {
  */
 export const getAuthenticatedUser = async (userId) => {
   try {
-    const user = await User.findById(userId).select("-password -refreshToken").lean();
+    const user = await User.findById(userId).select("-password").lean();
 
     if (!user) {
       throw new NotFoundError("User not found");
@@ -56,18 +185,52 @@ export const getAuthenticatedUser = async (userId) => {
 
     return user;
   } catch (error) {
+    if (isOperationalError(error)) throw error;
     console.error("Error retrieving user:", error);
     throw new Error("Failed to retrieve user");
   }
 };
 
+/**
+ * Builds the profile of the authenticated user: account data, followed
+ * developers, ratings given and number of unread notifications.
+ * @param {string|ObjectId} userId - ID of the authenticated user
+ * @returns {Promise<Object>} `{ user, follows, ratings, unreadNotifications }`
+ * @throws {NotFoundError} If the user does not exist
+ * @throws {Error} If there's a database error
+ */
+export const getUserProfile = async (userId) => {
+  try {
+    const developer = {
+      path: "developer_id",
+      select: "bio wallet_address user_id",
+      populate: { path: "user_id", select: "name profileImage" },
+    };
+
+    const [user, follows, ratings, unreadNotifications] = await Promise.all([
+      User.findById(userId).select("-password").lean(),
+      Follow.find({ user_id: userId }).sort({ date: -1 }).populate(developer).lean(),
+      Rating.find({ user_id: userId }).sort({ createdAt: -1 }).populate(developer).lean(),
+      Notification.countDocuments({ user_id: userId, read: false }),
+    ]);
+
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    return { user, follows, ratings, unreadNotifications };
+  } catch (error) {
+    if (isOperationalError(error)) throw error;
+    console.error("Error retrieving user profile:", error);
+    throw new Error("Failed to retrieve user profile");
+  }
+};
+
 /**
  * Updates a user's information with field validation and sanitization.
  * @param {string|ObjectId} userId - The ID of the user to update
  * @param {Object} updateData - Data containing fields to update
  * @param {string} [updateData.name] - User's full name
- * @param {string} [updateData.email] - User's email address
- * @param {string} [updateData.profileImage] - URL to user's profile image
  * @returns {Promise<Object>} The updated user document (without sensitive fields)
  * @throws {Error} When:
  *   - No valid updatable fields are provided
@@ -76,20 +239,22 @@ export const getAuthenticatedUser = async (userId) => {
  */
 export const updateUser = async (userId, updateData) => {
   try {
-    const allowedFields = ["name", "email", "profileImage"];
+    // El email solo cambia con `requestEmailChange`/`confirmEmailChange`
+    // La imagen de perfil solo la fija `updateProfileImage` con una imagen subida
+    const allowedFields = ["name"];
     const filteredData = Object.fromEntries(
       Object.entries(updateData).filter(([key]) => allowedFields.includes(key))
     );
 
     if (Object.keys(filteredData).length === 0) {
-      throw new Error("No valid fields provided for update");
+      throw new BadRequestError("No valid fields provided for update");
     }
 
     const updatedUser = await User.findByIdAndUpdate(userId, filteredData, {
       new: true,
       runValidators: true,
     })
-      .select("-password -refreshToken")
+      .select("-password")
       .lean();
 
     if (!updatedUser) {
@@ -98,6 +263,7 @@ export const updateUser = async (userId, updateData) => {
 
     return updatedUser;
   } catch (error) {
+    if (isOperationalError(error)) throw error;
     console.error("Error updating user:", error);
     throw new Error("Failed to update user");
   }
@@ -106,22 +272,25 @@ export const updateUser = async (userId, updateData) => {
 /**
  * Updates a user's profile image and handles old image cleanup.
  * @param {string|ObjectId} userId - The ID of the user to update
- * @param {string} imagePath - The path to the new profile image (required)
+ * @param {Object} image - Stored image, as returned by `saveImage`
+ * @param {string} image.key - Storage key of the image
+ * @param {string} image.url - Public URL of the image
+ * @param {Object<string, string>} image.thumbnails - Public URL of each thumbnail size
  * @returns {Promise<Object>} The updated user object without sensitive fields
- * @throws {BadRequestError} If imagePath is not provided
+ * @throws {BadRequestError} If the image is not provided
  * @throws {NotFoundError} If user with given ID doesn't exist
  * @throws {Error} If there's a failure during the update process
  * @description This function will:
- *   - Validate the imagePath is provided
+ *   - Validate the image is provided
  *   - Check if user exists
- *   - Delete the old profile image if it exists
- *   - Update with the new image path
- *   - Return the user data without password and refreshToken
+ *   - Update with the new image and thumbnails
+ *   - Delete the old profile image and its thumbnails
+ *   - Return the user data without password
  */
-export const updateProfileImage = async (userId, imagePath) => {
+export const updateProfileImage = async (userId, image) => {
   try {
-    if (!imagePath) {
-      throw new BadRequestError("Image path is required");
+    if (!image?.key || !image.url) {
+      throw new BadRequestError("Image is required");
     }
 
     const user = await User.findById(userId);
@@ -129,65 +298,37 @@ export const updateProfileImage = async (userId, imagePath) => {
       throw new NotFoundError("User not found");
     }
 
-    if (user.profileImage) {
-      const oldImagePath = path.resolve(
-        "uploads",
-        "images",
-        path.basename(user.profileImage)
-      );
-      if (fs.existsSync(oldImagePath)) {
-        try {
-          fs.unlinkSync(oldImagePath);
-        } catch (err) {
-          console.warn(`Failed to delete old profile image: ${err.message}`);
-        }
-      }
-    }
+    const previousKey = user.profileImageKey;
+    await user.updateProfileImage(image);
 
-    user.profileImage = imagePath;
-    await user.save();
+    await removeImage(previousKey);
 
-    const { password, refreshToken, ...safeUser } = user.toObject();
+    const { password, ...safeUser } = user.toObject();
     return safeUser;
   } catch (error) {
+    if (isOperationalError(error)) throw error;
     console.error("Error updating profile image:", error);
     throw new Error("Failed to update profile image");
   }
 };
 
 /**
- * Deletes a user and optionally removes their associated profile image.
+ * Soft deletes a user and applies the cascade policy to their developer
+ * profile, follows, notifications and visits (see `deletion.service.js`).
+ * The profile image is kept so the account can be restored.
  * @param {string|ObjectId} userId - The ID of the user to delete
+ * @param {Object} [context] - Audit context of the user performing the deletion
  * @returns {Promise<Object>} An object with a success message: `{ message: string }`
  * @throws {NotFoundError} If no user exists with the provided ID
- * @throws {Error} If there's a database error or file system error during deletion
- * @description This function will:
- *   - Delete the user from the database
- *   - Optionally remove the associated profile image file if it exists
- *   - Return a success message upon completion
+ * @throws {Error} If there's a database error during deletion
  */
-export const deleteUser = async (userId) => {
+export const deleteUser = async (userId, context = {}) => {
   try {
-    const user = await User.findByIdAndDelete(userId);
-
-    if (!user) {
-      throw new NotFoundError("User not found");
-    }
-
-    // Opcional: eliminar imagen de perfil asociada
-    if (user.profileImage) {
-      const imagePath = path.resolve(
-        "uploads",
-        "images",
-        path.basename(user.profileImage)
-      );
-      if (fs.existsSync(imagePath)) {
-        fs.unlinkSync(imagePath);
-      }
-    }
+    await softDeleteUser(userId, context);
 
     return { message: "User deleted successfully" };
   } catch (error) {
+    if (isOperationalError(error)) throw error;
     console.error("Error deleting user:", error);
     throw new Error("Failed to delete user");
   }
@@ -0,0 +1,176 @@
+import User, { ACCOUNT_STATUS } from "../models/userModel.js";
+import { CODE_PURPOSES } from "../models/oneTimeCodeModel.js";
+import { config } from "../config/env.js";
+import { issueCode, consumeCode } from "./oneTimeCode.service.js";
+import { sendMessage } from "../messaging/index.js";
+import {
+  AccountNotVerifiedError,
+  BadRequestError,
+  InvalidCodeError,
+} from "../errors/index.js";
+import { logSecurityEvent } from "../utils/securityLogger.js";
+
+const CODE_TTL_MINUTES = 60;
+
+const channels = {
+  email: {
+    purpose: CODE_PURPOSES.EMAIL_VERIFICATION,
+    field: "emailVerifiedAt",
+    transport: "email",
+    destination: (user) => user.email,
+  },
+  phone: {
+    purpose: CODE_PURPOSES.PHONE_VERIFICATION,
+    field: "phoneVerifiedAt",
+    transport: "sms",
+    destination: (user) => user.phone,
+  },
+};
+
+/**
+ * Lists the verifications a user still lacks under a policy.
+ * @param {Object} user - User with `email`, `emailVerifiedAt` and `phoneVerifiedAt`
+ * @param {"none"|"email"|"phone"|"any"|"all"} policy - Verification policy
+ * @returns {Array<string>} Missing channels ("email", "phone"); empty when the policy is satisfied
+ */
+export const getMissingVerifications = (user, policy) => {
+  const emailDone = Boolean(user.emailVerifiedAt);
+  const phoneDone = Boolean(user.phoneVerifiedAt);
+
+  switch (policy) {
+    case "email":
+      return emailDone ? [] : ["email"];
+    case "phone":
+      return phoneDone ? [] : ["phone"];
+    case "any":
+      return emailDone || phoneDone ? [] : ["email", "phone"];
+    case "all":
+      return [!emailDone && "email", !phoneDone && "phone"].filter(Boolean);
+    default:
+      return [];
+  }
+};
+
+/**
+ * Ensures a user satisfies the verification policy configured for an action.
+ * @param {Object} user - User with verification timestamps
+ * @param {"login"|"developer"} scope - Key of `config.verificationPolicy`
+ * @throws {AccountNotVerifiedError} If verifications are missing (details list them)
+ */
+export const assertVerified = (user, scope) => {
+  const missing = getMissingVerifications(user, config.verificationPolicy[scope]);
+  if (missing.length) {
+    throw new AccountNotVerifiedError(
+      `Verify your ${missing.join(" or ")} to continue`,
+      missing
+    );
+  }
+};
+
+/**
+ * Whether new accounts must stay inactive until verified
+ * @returns {boolean}
+ */
+export const requiresVerificationToActivate = () =>
+  (config.verificationPolicy.login || "none") !== "none";
+
+/**
+ * Sends a verification code through one channel.
+ * Does nothing if that channel is already verified or the user has no destination for it.
+ * @param {Object} user - User document
+ * @param {"email"|"phone"} channelName - Channel to verify
+ * @returns {Promise<void>}
+ */
+export const sendVerificationCode = async (user, channelName) => {
+  const channel = channels[channelName];
+  const destination = channel.destination(user);
+  if (!destination || user[channel.field]) return;
+
+  const { code } = await issueCode(user._id, channel.purpose, channel.transport, {
+    ttlMinutes: CODE_TTL_MINUTES,
+  });
+
+  try {
+    await sendMessage({
+      channel: channel.transport,
+      to: destination,
+      subject: "Verify your account",
+      text: `Your verification code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`,
+    });
+  } catch (error) {
+    console.error(`Failed to deliver ${channelName} verification code:`, error);
+  }
+};
+
+/**
+ * Finds a user by the destination of a channel
+ * @param {"email"|"phone"} channelName - Channel
+ * @param {string} destination - Email address or phone number
+ * @returns {Promise<Object|null>} The user document or null
+ * @throws {BadRequestError} If the destination is missing
+ */
+const findUserByDestination = (channelName, destination) => {
+  if (typeof destination !== "string" || !destination.trim()) {
+    throw new BadRequestError(`${channelName === "email" ? "Email" : "Phone"} is required`);
+  }
+
+  return channelName === "email"
+    ? User.findOne({ email: destination.toLowerCase().trim() })
+    : User.findOne({ phone: destination.trim() });
+};
+
+/**
+ * Re-sends a verification code. Responds identically whether or not the
+ * account exists to avoid user enumeration.
+ * @param {"email"|"phone"} channelName - Channel to verify
+ * @param {string} destination - Email address or phone number
+ * @returns {Promise<void>}
+ * @throws {BadRequestError} If the destination is missing
+ */
+export const resendVerificationCode = async (channelName, destination) => {
+  const user = await findUserByDestination(channelName, destination);
+  if (!user) return;
+
+  await sendVerificationCode(user, channelName);
+};
+
+/**
+ * Confirms a channel with the code sent to it and activates the account
+ * once the login policy is satisfied.
+ * @param {"email"|"phone"} channelName - Channel being verified
+ * @param {string} destination - Email address or phone number
+ * @param {string} code - Code received by the user
+ * @returns {Promise<Object>} Verification status: `{ emailVerified, phoneVerified, is_active }`
+ * @throws {BadRequestError} If the destination is missing
+ * @throws {InvalidCodeError} If the code is wrong, expired or already used, or the channel is already verified
+ */
+export const verifyChannel = async (channelName, destination, code) => {
+  const channel = channels[channelName];
+  const user = await findUserByDestination(channelName, destination);
+
+  // Misma respuesta para cuentas inexistentes y canales ya verificados: no revela qué cuentas existen
+  if (!user || user[channel.field]) {
+    throw new InvalidCodeError();
+  }
+
+  await consumeCode(user._id, channel.purpose, String(code ?? ""));
+  user[channel.field] = new Date();
+
+  // Las cuentas desactivadas o baneadas por un administrador siguen inactivas
+  if (
+    !user.is_active &&
+    user.status === ACCOUNT_STATUS.ACTIVE &&
+    !getMissingVerifications(user, config.verificationPolicy.login).length
+  ) {
+    user.is_active = true;
+  }
+
+  await user.save();
+  logSecurityEvent(`${channelName}_verified`, { userId: user._id });
+
+  return {
+    emailVerified: Boolean(user.emailVerifiedAt),
+    phoneVerified: Boolean(user.phoneVerifiedAt),
+    is_active: user.is_active,
+  };
+};
@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import Developer from "../models/developerModel.js";
+import User from "../models/userModel.js";
+import WalletChallenge from "../models/walletChallengeModel.js";
+import { config } from "../config/env.js";
+import {
+  AuthenticationError,
+  BadRequestError,
+  NotFoundError,
+} from "../errors/index.js";
+import { isValidSolanaAddress, verifyWalletSignature } from "../utils/solana.js";
+import { logSecurityEvent } from "../utils/securityLogger.js";
+import { refreshTrustScore } from "./trustScore.service.js";
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Builds the human readable message the wallet is asked to sign
+ * @param {string} walletAddress - Base58 wallet address
+ * @param {string} nonce - Random nonce
+ * @param {Date} issuedAt - Issue time
+ * @param {Date} expiresAt - Expiration time
+ * @returns {string}
+ */
+const buildSignInMessage = (walletAddress, nonce, issuedAt, expiresAt) =>
+  [
+    `${config.appName} wants you to sign in with your Solana account:`,
+    walletAddress,
+    "",
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`,
+  ].join("\n");
+
+/**
+ * Creates a sign-in challenge for the wallet of a registered developer.
+ * @param {string} walletAddress - Base58 Solana wallet address
+ * @returns {Promise<{nonce: string, message: string, expiresAt: Date}>} Message the wallet must sign
+ * @throws {BadRequestError} If the wallet address is not a valid Solana address
+ * @throws {NotFoundError} If no developer uses this wallet
+ */
+export const createWalletChallenge = async (walletAddress) => {
+  if (!isValidSolanaAddress(walletAddress)) {
+    throw new BadRequestError("Invalid Solana wallet address");
+  }
+
+  const developerExists = await Developer.exists({ wallet_address: walletAddress });
+  if (!developerExists) {
+    throw new NotFoundError("No developer registered with this wallet");
+  }
+
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+  const message = buildSignInMessage(walletAddress, nonce, issuedAt, expiresAt);
+
+  await WalletChallenge.create({
+    wallet_address: walletAddress,
+    nonce,
+    message,
+    expires_at: expiresAt,
+  });
+
+  return { nonce, message, expiresAt };
+};
+
+/**
+ * Verifies the signed challenge, marks the developer's wallet as
+ * ownership-proven and returns the developer's user.
+ * @param {Object} params
+ * @param {string} params.walletAddress - Base58 Solana wallet address
+ * @param {string} params.nonce - Nonce returned by `createWalletChallenge`
+ * @param {string} params.signature - Base58 or base64 Ed25519 signature of the challenge message
+ * @returns {Promise<Object>} The user owning the developer profile
+ * @throws {BadRequestError} If required fields are missing
+ * @throws {AuthenticationError} If the challenge is unknown, expired, used or the signature is invalid
+ */
+export const verifyWalletChallenge = async ({ walletAddress, nonce, signature }) => {
+  if (!walletAddress || !nonce || !signature) {
+    throw new BadRequestError("Wallet address, nonce and signature are required");
+  }
+
+  const challenge = await WalletChallenge.findOne({
+    wallet_address: walletAddress,
+    nonce,
+    used_at: null,
+    expires_at: { $gt: new Date() },
+  }).lean();
+
+  if (!challenge) {
+    throw new AuthenticationError("Sign-in challenge is invalid or has expired");
+  }
+
+  if (!verifyWalletSignature(challenge.message, signature, walletAddress)) {
+    logSecurityEvent("wallet_signature_invalid", { walletAddress });
+    throw new AuthenticationError("Invalid wallet signature");
+  }
+
+  // Marcado atómico: un nonce solo sirve para un login
+  const consumed = await WalletChallenge.findOneAndUpdate(
+    { _id: challenge._id, used_at: null },
+    { $set: { used_at: new Date() } }
+  );
+  if (!consumed) {
+    throw new AuthenticationError("Sign-in challenge is invalid or has expired");
+  }
+
+  // Se lee el documento anterior para saber si es la primera prueba de propiedad
+  const developer = await Developer.findOneAndUpdate(
+    { wallet_address: walletAddress },
+    { $set: { wallet_verified_at: new Date() } }
+  ).lean();
+  if (!developer) {
+    throw new AuthenticationError("No developer registered with this wallet");
+  }
+
+  // La wallet verificada cuenta en el factor `verification` de la puntuación de confianza
+  if (!developer.wallet_verified_at) {
+    await refreshTrustScore(developer._id);
+  }
+
+  const user = await User.findById(developer.user_id).lean();
+  if (!user) {
+    throw new AuthenticationError("Developer account has no user");
+  }
+
+  logSecurityEvent("wallet_sign_in", { userId: user._id, walletAddress });
+  return user;
+};
@@ -10,8 +10,8 @@ export default function authNS(nsp, socket) {
     // 1️⃣ Registro de usuario
     socket.on(events.USER_REGISTER, async (payload) => {
       try {
-        const { name, email, password, passwordConfirmed, role } = payload;
-        const userData = await registerUser(name, email, password, passwordConfirmed, role);
+        const { name, email, phone, password, passwordConfirmed } = payload;
+        const userData = await registerUser(name, email, phone, password, passwordConfirmed);
         
         // unimos el socket a su sala privada
         socket.join(`user_${userData._id}`);
@@ -54,11 +54,11 @@ export default function authNS(nsp, socket) {
     socket.on(events.USER_REFRESH, async (payload) => {
       try {
         const { refreshToken } = payload;
-        const newAccessToken = await refreshAccessToken(refreshToken);
+        const tokens = await refreshAccessToken(refreshToken);
         
         socket.emit(
           events.USER_REFRESH + events.SUCCESS,
-          { accessToken: newAccessToken }
+          tokens
         );
       } catch (err) {
         socket.emit(
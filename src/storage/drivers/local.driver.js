@@ -0,0 +1,65 @@
+import fs from "fs/promises";
+import path from "path";
+import { signKey } from "../signing.js";
+
+// Ruta desde la que `app.js` sirve los archivos locales
+export const LOCAL_URL_PREFIX = "/uploads";
+
+const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+/**
+ * Driver de disco local: guarda los archivos bajo `localDir`. Las URLs
+ * firmadas apuntan a la API, que comprueba la firma antes de servir el archivo.
+ * @param {Object} options - `config.storage`
+ * @returns {Object} Storage driver
+ */
+export default function createLocalDriver({ localDir, publicUrl }) {
+  const root = path.resolve(localDir);
+  const baseUrl = (publicUrl || LOCAL_URL_PREFIX).replace(/\/+$/, "");
+
+  // Impide que una clave salga del directorio raíz (`../`)
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    async put(key, body) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+        return true;
+      } catch (error) {
+        if (error.code === "ENOENT") return false;
+        throw error;
+      }
+    },
+
+    publicUrl(key) {
+      return `${baseUrl}/${encodeKey(key)}`;
+    },
+
+    async signedUrl(key, expiresIn) {
+      resolveKey(key);
+      const { expires, signature } = signKey(key, expiresIn);
+      return `${LOCAL_URL_PREFIX}/${encodeKey(key)}?expires=${expires}&signature=${signature}`;
+    },
+  };
+}
@@ -0,0 +1,74 @@
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+/**
+ * Driver para S3 o cualquier servicio compatible (MinIO, R2...). La lectura
+ * pública de los prefijos públicos (p. ej. `images/`) se concede con la
+ * política del bucket; el resto solo es accesible con URLs firmadas.
+ * @param {Object} options - `config.storage`
+ * @returns {Object} Storage driver
+ */
+export default function createS3Driver({ publicUrl, s3 }) {
+  const { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle } = s3;
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required by the s3 storage driver");
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+  });
+
+  const defaultUrl =
+    endpoint || forcePathStyle
+      ? `${(endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, "")}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`;
+  const baseUrl = (publicUrl || defaultUrl).replace(/\/+$/, "");
+
+  return {
+    async put(key, body, { contentType, cacheControl } = {}) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          CacheControl: cacheControl,
+        })
+      );
+    },
+
+    async get(key) {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await object.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === "NoSuchKey") return null;
+        throw error;
+      }
+    },
+
+    // S3 no indica si el objeto existía: el borrado siempre "tiene éxito"
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    },
+
+    publicUrl(key) {
+      return `${baseUrl}/${encodeKey(key)}`;
+    },
+
+    signedUrl(key, expiresIn) {
+      return getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    },
+  };
+}
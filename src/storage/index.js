@@ -0,0 +1,60 @@
+import { config } from "../config/env.js";
+import createLocalDriver from "./drivers/local.driver.js";
+import createS3Driver from "./drivers/s3.driver.js";
+
+const drivers = new Map([
+  ["local", createLocalDriver],
+  ["s3", createS3Driver],
+]);
+
+let storage = null;
+
+/**
+ * Registers a storage driver (e.g. another object store).
+ * A driver factory receives `config.storage` and returns an object with
+ * `put`, `get`, `remove`, `publicUrl` and `signedUrl` (see `Storage`).
+ * @param {string} name - Name used in `STORAGE_DRIVER`
+ * @param {Function} factory - Driver factory
+ */
+export const registerStorageDriver = (name, factory) => {
+  if (typeof factory !== "function") {
+    throw new Error(`Storage driver "${name}" must be a function`);
+  }
+  drivers.set(name, factory);
+  storage = null;
+};
+
+/**
+ * @typedef {Object} Storage
+ * @property {(key: string, body: Buffer, options?: {contentType?: string, cacheControl?: string}) => Promise<void>} put - Stores a file
+ * @property {(key: string) => Promise<Buffer|null>} get - Reads a file (null if it does not exist)
+ * @property {(key: string) => Promise<boolean>} remove - Deletes a file
+ * @property {(key: string) => string} publicUrl - Stable public URL of a public file
+ * @property {(key: string, expiresIn: number) => Promise<string>} signedUrl - Expiring URL of a private file
+ */
+
+/**
+ * Returns the storage driver selected by `config.storage.driver`.
+ * Keys are `/`-separated paths (e.g. `images/<uuid>.webp`).
+ * @returns {Storage}
+ * @throws {Error} If the configured driver is not registered
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const factory = drivers.get(config.storage.driver);
+    if (!factory) {
+      throw new Error(`Unknown storage driver "${config.storage.driver}"`);
+    }
+    storage = factory(config.storage);
+  }
+  return storage;
+};
+
+/**
+ * Creates an expiring URL for a private file.
+ * @param {string} key - Storage key of the file
+ * @param {number} [expiresIn=config.storage.signedUrlTtlSeconds] - Validity in seconds
+ * @returns {Promise<string>}
+ */
+export const createSignedUrl = (key, expiresIn = config.storage.signedUrlTtlSeconds) =>
+  getStorage().signedUrl(key, expiresIn);
@@ -0,0 +1,37 @@
+import crypto from "crypto";
+import { config } from "../config/env.js";
+
+const sign = (key, expires) =>
+  crypto
+    .createHmac("sha256", config.storage.signingSecret)
+    .update(`${key}:${expires}`)
+    .digest("base64url");
+
+/**
+ * Signs access to a stored file until `expires`.
+ * @param {string} key - Storage key of the file
+ * @param {number} expiresIn - Validity in seconds
+ * @returns {{expires: number, signature: string}} `expires` is a Unix timestamp in seconds
+ */
+export const signKey = (key, expiresIn) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return { expires, signature: sign(key, expires) };
+};
+
+/**
+ * Checks a signature created by `signKey`.
+ * @param {string} key - Storage key of the file
+ * @param {string|number} expires - Unix timestamp in seconds
+ * @param {string} signature - Signature to check
+ * @returns {boolean} Whether the signature is valid and has not expired
+ */
+export const verifyKeySignature = (key, expires, signature) => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000 || typeof signature !== "string") {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expiresAt));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
@@ -0,0 +1,6 @@
+/**
+ * Escapes a string so it can be used literally inside a regular expression.
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -16,7 +16,8 @@ export const generateUniqueAccessCode = async () => {
         .map((byte) => characters[byte % characters.length])
         .join("");
   
-      const exists = await User.exists({ access_code: code });
+      // Las cuentas eliminadas conservan su código en el índice único
+      const exists = await User.exists({ access_code: code }).setOptions({ withDeleted: true });
       if (!exists) return code;
     }
   
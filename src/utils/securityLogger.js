@@ -1,7 +1,49 @@
+import mongoose from "mongoose";
+import AuditEvent from "../models/auditEventModel.js";
+import { config } from "../config/env.js";
+
+const { Types } = mongoose;
+
+const toObjectId = (value) =>
+  value && Types.ObjectId.isValid(value) ? new Types.ObjectId(String(value)) : null;
+
+/**
+ * Extracts the audit fields of a request: authenticated actor, IP and user agent.
+ * @param {Object} req - Express request object
+ * @returns {{actorId: ObjectId|null, ip: string, userAgent: string}}
+ */
+export const getAuditContext = (req) => ({
+  actorId: req.user?._id ?? null,
+  ip: req.ip,
+  userAgent: req.get("user-agent"),
+});
+
+/**
+ * Logs a security event and stores it in the audit log.
+ * Never throws: a failure to persist the event must not break the request.
+ * @param {string} eventType - Event name (e.g. `login_failed`)
+ * @param {Object} [metadata] - Event data. These keys are stored as columns, the rest as metadata:
+ *   - actorId: user performing the action (defaults to `userId`)
+ *   - userId / targetId: affected user or resource (`targetType` describes it, defaults to "user")
+ *   - ip, userAgent: request context
+ */
 export const logSecurityEvent = (eventType, metadata = {}) => {
     console.log(`[SECURITY] ${eventType}`, {
       timestamp: new Date(),
       ...metadata
     });
-    // Add integration with your monitoring system here
-  };
\ No newline at end of file
+
+    const { actorId, userId, targetId, targetType, ip, userAgent, ...details } = metadata;
+    const target = targetId ?? userId;
+
+    AuditEvent.create({
+      event_type: eventType,
+      actor_id: toObjectId(actorId ?? userId),
+      target_id: toObjectId(target),
+      target_type: target ? targetType ?? "user" : null,
+      ip_address: ip ?? null,
+      user_agent: userAgent ?? null,
+      metadata: details,
+      expires_at: new Date(Date.now() + config.auditRetentionDays * 24 * 60 * 60 * 1000),
+    }).catch((error) => console.error("Failed to store audit event:", error.message));
+  };
@@ -0,0 +1,95 @@
+import crypto from "crypto";
+
+const BASE58_ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+
+// Cabecera DER (SubjectPublicKeyInfo) para una clave pública Ed25519 de 32 bytes
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+/**
+ * Decodes a base58 (Bitcoin alphabet) string.
+ * @param {string} input - Base58 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the string contains invalid characters
+ */
+export const decodeBase58 = (input) => {
+  let value = 0n;
+  for (const char of input) {
+    const index = BASE58_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base58 character");
+    }
+    value = value * 58n + BigInt(index);
+  }
+
+  const bytes = [];
+  while (value > 0n) {
+    bytes.unshift(Number(value % 256n));
+    value /= 256n;
+  }
+
+  // Cada '1' inicial representa un byte cero
+  for (const char of input) {
+    if (char !== "1") break;
+    bytes.unshift(0);
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Whether a string is a valid Solana address (base58-encoded 32-byte public key)
+ * @param {string} address - Wallet address
+ * @returns {boolean}
+ */
+export const isValidSolanaAddress = (address) => {
+  if (typeof address !== "string" || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
+    return false;
+  }
+  try {
+    return decodeBase58(address).length === 32;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Decodes a signature sent by a wallet. Accepts base58 (Solana convention)
+ * or base64 encodings of the 64-byte Ed25519 signature.
+ * @param {string} signature - Encoded signature
+ * @returns {Buffer|null} Signature bytes, or null if it cannot be decoded
+ */
+export const decodeSignature = (signature) => {
+  if (typeof signature !== "string" || !signature) return null;
+
+  try {
+    const fromBase58 = decodeBase58(signature);
+    if (fromBase58.length === 64) return fromBase58;
+  } catch {
+    // No es base58, se intenta base64
+  }
+
+  const fromBase64 = Buffer.from(signature, "base64");
+  return fromBase64.length === 64 ? fromBase64 : null;
+};
+
+/**
+ * Verifies an Ed25519 signature produced by a Solana wallet's `signMessage`.
+ * @param {string} message - Exact UTF-8 message that was signed
+ * @param {string} signature - Base58 or base64 signature
+ * @param {string} walletAddress - Base58 public key of the wallet
+ * @returns {boolean} Whether the signature is valid
+ */
+export const verifyWalletSignature = (message, signature, walletAddress) => {
+  if (!isValidSolanaAddress(walletAddress)) return false;
+
+  const signatureBytes = decodeSignature(signature);
+  if (!signatureBytes) return false;
+
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, decodeBase58(walletAddress)]),
+    format: "der",
+    type: "spki",
+  });
+
+  return crypto.verify(null, Buffer.from(message, "utf8"), publicKey, signatureBytes);
+};
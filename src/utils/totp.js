@@ -0,0 +1,137 @@
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encodes a buffer as RFC 4648 base32 (no padding).
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decodes an RFC 4648 base32 string (padding and case are ignored).
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ * @throws {Error} If the string contains invalid characters
+ */
+export const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a random TOTP secret.
+ * @returns {string} 160-bit secret encoded in base32
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Returns the RFC 6238 time step for a timestamp.
+ * @param {number} [timestamp=Date.now()] - Milliseconds since epoch
+ * @returns {number} Time step counter
+ */
+export const getTimeStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Computes the HOTP value (RFC 4226) for a counter.
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded 6-digit code
+ */
+export const generateHotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(buffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0");
+};
+
+/**
+ * Verifies a TOTP code allowing a small clock drift.
+ * @param {string} secret - Base32 secret
+ * @param {string} token - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Accepted steps before/after the current one
+ * @param {number} [options.timestamp=Date.now()] - Time to verify against
+ * @returns {number|null} The matching time step, or null if the code is invalid
+ */
+export const verifyTotp = (secret, token, { window = 1, timestamp = Date.now() } = {}) => {
+  if (typeof token !== "string" || !/^\d{6}$/.test(token)) return null;
+
+  const currentStep = getTimeStep(timestamp);
+  for (let drift = -window; drift <= window; drift++) {
+    const step = currentStep + drift;
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Builds the otpauth:// URI understood by authenticator apps.
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.label - Account label (usually the email)
+ * @param {string} params.issuer - Service name shown in the app
+ * @returns {string} otpauth URI
+ */
+export const buildOtpAuthUri = ({ secret, label, issuer }) => {
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(label)}?${query}`;
+};
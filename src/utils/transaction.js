@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Código de MongoDB cuando el servidor no admite transacciones (standalone)
+const ILLEGAL_OPERATION = 20;
+
+/**
+ * Runs `work` inside a MongoDB transaction. Standalone servers (local
+ * development) do not support transactions; there `work` runs without one.
+ * @template T
+ * @param {(session: mongoose.ClientSession|null) => Promise<T>} work - Operations to run; pass `session` to every query
+ * @returns {Promise<T>} Result of `work`
+ */
+export const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (error.code !== ILLEGAL_OPERATION) throw error;
+    console.warn("Transactions not supported by this MongoDB server, running without one");
+    return work(null);
+  } finally {
+    await session.endSession();
+  }
+};
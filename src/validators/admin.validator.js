@@ -0,0 +1,130 @@
+import { ACCOUNT_STATUS, ROLES } from "../models/userModel.js";
+import { VERIFICATION_STATUS } from "../models/verificationRequestModel.js";
+import { objectId, pagination } from "./common.validator.js";
+
+const allowed = (values, label) => ({
+  options: [values],
+  errorMessage: `${label} must be one of: ${values.join(", ")}`,
+});
+
+export const auditLogSchema = {
+  ...pagination(200),
+  user: {
+    in: ["query"],
+    optional: true,
+    isMongoId: { errorMessage: "Invalid user ID" },
+  },
+  type: {
+    in: ["query"],
+    optional: true,
+    isString: { errorMessage: "type must be a string" },
+  },
+  from: {
+    in: ["query"],
+    optional: true,
+    isISO8601: { errorMessage: "from must be a valid date" },
+  },
+  to: {
+    in: ["query"],
+    optional: true,
+    isISO8601: { errorMessage: "to must be a valid date" },
+  },
+};
+
+export const adminUserIdSchema = {
+  id: objectId("params", "user ID"),
+};
+
+export const adminDeveloperIdSchema = {
+  id: objectId("params", "developer ID"),
+};
+
+export const adminProjectIdSchema = {
+  id: objectId("params", "project ID"),
+};
+
+export const searchUsersSchema = {
+  ...pagination(),
+  search: {
+    in: ["query"],
+    optional: true,
+    isString: { errorMessage: "search must be a string", bail: true },
+    trim: true,
+    isLength: { options: { max: 100 }, errorMessage: "search cannot exceed 100 characters" },
+  },
+  role: {
+    in: ["query"],
+    optional: true,
+    toUpperCase: true,
+    isIn: allowed(Object.values(ROLES), "Role"),
+  },
+  status: {
+    in: ["query"],
+    optional: true,
+    toUpperCase: true,
+    isIn: allowed(Object.values(ACCOUNT_STATUS), "Status"),
+  },
+};
+
+export const changeRoleSchema = {
+  ...adminUserIdSchema,
+  role: {
+    in: ["body"],
+    isString: { errorMessage: "Role must be a string", bail: true },
+    toUpperCase: true,
+    isIn: allowed(Object.values(ROLES), "Role"),
+  },
+};
+
+export const changeStatusSchema = {
+  ...adminUserIdSchema,
+  status: {
+    in: ["body"],
+    isString: { errorMessage: "Status must be a string", bail: true },
+    toUpperCase: true,
+    isIn: allowed(Object.values(ACCOUNT_STATUS), "Status"),
+  },
+  reason: {
+    in: ["body"],
+    optional: { options: { values: "null" } },
+    isString: { errorMessage: "reason must be a string", bail: true },
+    trim: true,
+    isLength: { options: { max: 500 }, errorMessage: "reason cannot exceed 500 characters" },
+  },
+  until: {
+    in: ["body"],
+    optional: { options: { values: "null" } },
+    isISO8601: { errorMessage: "until must be a valid date" },
+  },
+};
+
+export const listVerificationRequestsSchema = {
+  ...pagination(),
+  status: {
+    in: ["query"],
+    optional: true,
+    toLowerCase: true,
+    isIn: allowed(Object.values(VERIFICATION_STATUS), "Status"),
+  },
+};
+
+export const verificationRequestIdSchema = {
+  id: objectId("params", "verification request ID"),
+};
+
+const reviewNotes = {
+  in: ["body"],
+  isString: { errorMessage: "Notes must be a string", bail: true },
+  trim: true,
+  isLength: { options: { max: 1000 }, errorMessage: "Notes cannot exceed 1000 characters" },
+};
+
+export const approveVerificationSchema = {
+  ...verificationRequestIdSchema,
+  notes: { ...reviewNotes, optional: true },
+};
+
+export const rejectVerificationSchema = {
+  ...verificationRequestIdSchema,
+  notes: { ...reviewNotes, notEmpty: { errorMessage: "Notes are required to reject a request" } },
+};
@@ -0,0 +1,139 @@
+import { API_KEY_SCOPES } from "../models/apiKeyModel.js";
+import {
+  email,
+  matchesField,
+  objectId,
+  oneOf,
+  phone,
+  requiredString,
+} from "./common.validator.js";
+
+const password = requiredString("Password");
+
+const totpCode = {
+  in: ["body"],
+  isString: { errorMessage: "Code must be a string", bail: true },
+  trim: true,
+  matches: { options: /^\d{6}$/, errorMessage: "Code must contain 6 digits" },
+};
+
+export const registerSchema = {
+  name: requiredString("Name"),
+  email: email(),
+  phone: phone(),
+  password,
+  passwordConfirmed: matchesField("password", "Passwords do not match"),
+};
+
+export const loginSchema = {
+  email: email(),
+  password,
+};
+
+export const phoneLoginSchema = {
+  phone: phone(),
+  credential: oneOf("access_code", "password"),
+};
+
+export const identifierSchema = {
+  email: email(true),
+  phone: phone(true),
+  identifier: oneOf("email", "phone"),
+};
+
+export const resetPasswordSchema = {
+  ...identifierSchema,
+  code: requiredString("Code"),
+  password,
+  passwordConfirmed: matchesField("password", "Passwords do not match"),
+};
+
+export const verifyEmailSchema = {
+  email: email(),
+  code: requiredString("Code"),
+};
+
+export const verifyPhoneSchema = {
+  phone: phone(),
+  code: requiredString("Code"),
+};
+
+export const resendEmailSchema = {
+  email: email(),
+};
+
+export const resendPhoneSchema = {
+  phone: phone(),
+};
+
+export const mfaTokenSchema = {
+  mfaToken: requiredString("MFA token"),
+};
+
+export const secondFactorSchema = {
+  code: { ...totpCode, optional: true },
+  recoveryCode: { in: ["body"], optional: true, isString: { errorMessage: "Recovery code must be a string" } },
+  factor: oneOf("code", "recoveryCode"),
+};
+
+export const mfaLoginSchema = {
+  ...mfaTokenSchema,
+  ...secondFactorSchema,
+};
+
+export const totpCodeSchema = {
+  code: totpCode,
+};
+
+export const mfaEnrollSchema = {
+  ...mfaTokenSchema,
+  code: totpCode,
+};
+
+export const walletNonceSchema = {
+  wallet_address: requiredString("Wallet address"),
+};
+
+export const walletVerifySchema = {
+  wallet_address: requiredString("Wallet address"),
+  nonce: requiredString("Nonce"),
+  signature: requiredString("Signature"),
+};
+
+export const sessionIdSchema = {
+  id: objectId("params", "session ID"),
+};
+
+export const createApiKeySchema = {
+  name: {
+    ...requiredString("Name"),
+    isLength: { options: { min: 3, max: 100 }, errorMessage: "Name must be between 3 and 100 characters" },
+  },
+  scopes: {
+    in: ["body"],
+    isArray: { options: { min: 1 }, errorMessage: "At least one scope is required" },
+  },
+  "scopes.*": {
+    in: ["body"],
+    isIn: {
+      options: [API_KEY_SCOPES],
+      errorMessage: `Scopes must be any of: ${API_KEY_SCOPES.join(", ")}`,
+    },
+  },
+  expires_in_days: {
+    in: ["body"],
+    optional: true,
+    isInt: { options: { min: 1, max: 365 }, errorMessage: "expires_in_days must be between 1 and 365" },
+    toInt: true,
+  },
+  rate_limit: {
+    in: ["body"],
+    optional: true,
+    isInt: { options: { min: 1, max: 1000 }, errorMessage: "rate_limit must be between 1 and 1000" },
+    toInt: true,
+  },
+};
+
+export const apiKeyIdSchema = {
+  id: objectId("params", "API key ID"),
+};
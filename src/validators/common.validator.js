@@ -0,0 +1,123 @@
+// Piezas reutilizables para los esquemas de validación de cada ruta
+
+/**
+ * A required MongoDB ObjectId in the given location.
+ * @param {string} [location="params"] - body | query | params
+ * @param {string} [label="ID"] - Name used in the error message
+ */
+export const objectId = (location = "params", label = "ID") => ({
+  in: [location],
+  isMongoId: { errorMessage: `Invalid ${label}` },
+});
+
+/**
+ * Optional `page` and `limit` query params coerced to integers.
+ * @param {number} [maxLimit=100] - Largest allowed page size
+ */
+export const pagination = (maxLimit = 100) => ({
+  page: {
+    in: ["query"],
+    optional: true,
+    isInt: { options: { min: 1 }, errorMessage: "page must be a positive integer" },
+    toInt: true,
+  },
+  limit: {
+    in: ["query"],
+    optional: true,
+    isInt: {
+      options: { min: 1, max: maxLimit },
+      errorMessage: `limit must be an integer between 1 and ${maxLimit}`,
+    },
+    toInt: true,
+  },
+});
+
+/**
+ * Optional boolean query param ("true"/"false"/"1"/"0") coerced to a boolean.
+ * @param {string} name - Query param name
+ */
+export const booleanQuery = (name) => ({
+  in: ["query"],
+  optional: true,
+  isBoolean: { errorMessage: `${name} must be true or false` },
+  toBoolean: true,
+});
+
+/**
+ * Optional `sortBy` (restricted to the given fields) and `sortOrder` query params.
+ * @param {Array<string>} fields - Sortable fields
+ */
+export const sorting = (fields) => ({
+  sortBy: {
+    in: ["query"],
+    optional: true,
+    isIn: {
+      options: [fields],
+      errorMessage: `sortBy must be one of: ${fields.join(", ")}`,
+    },
+  },
+  sortOrder: {
+    in: ["query"],
+    optional: true,
+    isIn: { options: [["asc", "desc"]], errorMessage: "sortOrder must be asc or desc" },
+  },
+});
+
+/**
+ * Required non-empty string in the request body.
+ * @param {string} label - Name used in the error message
+ */
+export const requiredString = (label) => ({
+  in: ["body"],
+  isString: { errorMessage: `${label} must be a string`, bail: true },
+  trim: true,
+  notEmpty: { errorMessage: `${label} is required` },
+});
+
+export const email = (optional = false) => ({
+  in: ["body"],
+  optional,
+  isString: { errorMessage: "Email must be a string", bail: true },
+  trim: true,
+  isEmail: { errorMessage: "Invalid email address" },
+});
+
+export const phone = (optional = false) => ({
+  in: ["body"],
+  optional,
+  isString: { errorMessage: "Phone must be a string", bail: true },
+  trim: true,
+  matches: { options: /^\d{8}$/, errorMessage: "Phone must contain exactly 8 digits" },
+});
+
+/**
+ * Requires at least one of the given body fields.
+ * @param {...string} fields - Body fields
+ */
+export const oneOf = (...fields) => {
+  const hasAnyField = (_, { req }) =>
+    fields.some((field) => req.body[field] != null && req.body[field] !== "");
+  // La documentación OpenAPI lo muestra como regla y no como campo
+  hasAnyField.oneOf = fields;
+
+  return {
+    in: ["body"],
+    custom: {
+      options: hasAnyField,
+      errorMessage: `One of ${fields.join(", ")} is required`,
+    },
+  };
+};
+
+/**
+ * Requires the field to be equal to another body field.
+ * @param {string} field - Body field to compare with
+ * @param {string} message - Error message
+ */
+export const matchesField = (field, message) => ({
+  in: ["body"],
+  custom: {
+    options: (value, { req }) => value === req.body[field],
+    errorMessage: message,
+  },
+});
@@ -0,0 +1,123 @@
+import {
+  DEVELOPER_PROFILE_SECTIONS,
+  DEVELOPER_SEARCH_SORT_FIELDS,
+  DEVELOPER_SORT_FIELDS,
+} from "../services/developer.service.js";
+import { booleanQuery, objectId, pagination, sorting } from "./common.validator.js";
+
+const socialLinks = {
+  in: ["body"],
+  optional: true,
+  isObject: { errorMessage: "Social links must be an object", bail: true },
+  custom: {
+    options: (links) => Object.values(links).every((url) => typeof url === "string"),
+    errorMessage: "Social links must be URLs",
+  },
+};
+
+const socialLinkUrl = {
+  in: ["body"],
+  optional: true,
+  isURL: {
+    options: { require_protocol: true },
+    errorMessage: "Invalid social link URL",
+  },
+};
+
+const bio = {
+  in: ["body"],
+  isString: { errorMessage: "Bio must be a string", bail: true },
+  trim: true,
+  isLength: {
+    options: { min: 3, max: 500 },
+    errorMessage: "Bio must be between 3 and 500 characters",
+  },
+};
+
+export const listDevelopersSchema = {
+  ...pagination(),
+  ...sorting(DEVELOPER_SORT_FIELDS),
+  verified: booleanQuery("verified"),
+};
+
+const countQuery = (name) => ({
+  in: ["query"],
+  optional: true,
+  isInt: { options: { min: 0 }, errorMessage: `${name} must be a non-negative integer` },
+  toInt: true,
+});
+
+export const searchDevelopersSchema = {
+  ...pagination(),
+  ...sorting(DEVELOPER_SEARCH_SORT_FIELDS),
+  q: {
+    in: ["query"],
+    optional: true,
+    isString: { errorMessage: "q must be a string", bail: true },
+    trim: true,
+    isLength: { options: { max: 100 }, errorMessage: "q cannot exceed 100 characters" },
+  },
+  verified: booleanQuery("verified"),
+  minRating: {
+    in: ["query"],
+    optional: true,
+    isFloat: { options: { min: 1, max: 5 }, errorMessage: "minRating must be a number between 1 and 5" },
+    toFloat: true,
+  },
+  minFollowers: countQuery("minFollowers"),
+  maxFollowers: countQuery("maxFollowers"),
+  hasScamReports: booleanQuery("hasScamReports"),
+  minActiveProjects: countQuery("minActiveProjects"),
+  maxActiveProjects: countQuery("maxActiveProjects"),
+};
+
+export const developerIdSchema = {
+  id: objectId("params", "developer ID"),
+};
+
+export const developerProfileSchema = {
+  ...developerIdSchema,
+  include: {
+    in: ["query"],
+    optional: true,
+    isString: { errorMessage: "include must be a string", bail: true },
+    customSanitizer: {
+      options: (value) => value.split(",").map((section) => section.trim()).filter(Boolean),
+    },
+    custom: {
+      options: (sections) => sections.every((section) => DEVELOPER_PROFILE_SECTIONS.includes(section)),
+      errorMessage: `include must be a comma-separated list of: ${DEVELOPER_PROFILE_SECTIONS.join(", ")}`,
+    },
+  },
+};
+
+export const createDeveloperSchema = {
+  user_id: objectId("body", "user ID"),
+  wallet_address: {
+    in: ["body"],
+    isString: { errorMessage: "Wallet address must be a string", bail: true },
+    trim: true,
+    notEmpty: { errorMessage: "Wallet address is required" },
+  },
+  bio,
+  social_links: socialLinks,
+  "social_links.*": socialLinkUrl,
+};
+
+export const updateDeveloperSchema = {
+  ...developerIdSchema,
+  bio: { ...bio, optional: true },
+  social_links: socialLinks,
+  "social_links.*": socialLinkUrl,
+};
+
+export const submitVerificationRequestSchema = {
+  ...developerIdSchema,
+  message: {
+    in: ["body"],
+    optional: true,
+    isString: { errorMessage: "Message must be a string", bail: true },
+    trim: true,
+    isLength: { options: { max: 1000 }, errorMessage: "Message cannot exceed 1000 characters" },
+  },
+};
@@ -0,0 +1,9 @@
+import { objectId } from "./common.validator.js";
+
+export const developerFollowersSchema = {
+  id: objectId("params", "developer ID"),
+};
+
+export const createFollowSchema = {
+  developerId: objectId("body", "developer ID"),
+};
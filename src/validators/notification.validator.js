@@ -0,0 +1,25 @@
+import { booleanQuery, objectId, pagination } from "./common.validator.js";
+
+export const notificationIdSchema = {
+  id: objectId("params", "notification ID"),
+};
+
+export const userNotificationsSchema = {
+  id: objectId("params", "user ID"),
+  ...pagination(),
+  unreadOnly: booleanQuery("unreadOnly"),
+};
+
+export const userIdSchema = {
+  id: objectId("params", "user ID"),
+};
+
+export const createNotificationSchema = {
+  developerId: objectId("body", "developer ID"),
+  message: {
+    in: ["body"],
+    isString: { errorMessage: "Message must be a string", bail: true },
+    trim: true,
+    isLength: { options: { min: 5 }, errorMessage: "Message must be at least 5 characters" },
+  },
+};
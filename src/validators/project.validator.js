@@ -0,0 +1,78 @@
+import { statusEnum } from "../models/projectModel.js";
+import { PROJECT_SORT_FIELDS } from "../services/project.service.js";
+import { objectId, pagination, sorting } from "./common.validator.js";
+
+const name = {
+  in: ["body"],
+  isString: { errorMessage: "Project name must be a string", bail: true },
+  trim: true,
+  isLength: {
+    options: { min: 3, max: 100 },
+    errorMessage: "Project name must be between 3 and 100 characters",
+  },
+};
+
+const launchDate = {
+  in: ["body"],
+  isISO8601: { errorMessage: "Launch date must be a valid date" },
+};
+
+const status = (location) => ({
+  in: [location],
+  optional: true,
+  isIn: {
+    options: [statusEnum],
+    errorMessage: `Status must be one of: ${statusEnum.join(", ")}`,
+  },
+});
+
+const metric = {
+  in: ["body"],
+  optional: true,
+  isFloat: { options: { min: 0 }, errorMessage: "Performance metrics must be non-negative numbers" },
+};
+
+const performance = {
+  performance: {
+    in: ["body"],
+    optional: true,
+    isObject: { errorMessage: "Performance must be an object" },
+  },
+  "performance.daily_users": metric,
+  "performance.transactions": metric,
+  "performance.volume": metric,
+};
+
+export const listProjectsSchema = {
+  ...pagination(),
+  ...sorting(PROJECT_SORT_FIELDS),
+  status: status("query"),
+};
+
+export const projectIdSchema = {
+  id: objectId("params", "project ID"),
+};
+
+export const createProjectSchema = {
+  developer_id: objectId("body", "developer ID"),
+  name,
+  launch_date: launchDate,
+  status: status("body"),
+  ...performance,
+  explorer_link: {
+    in: ["body"],
+    optional: true,
+    isURL: {
+      options: { protocols: ["http", "https"], require_protocol: true },
+      errorMessage: "Explorer link must be a valid URL",
+    },
+  },
+};
+
+export const updateProjectSchema = {
+  ...projectIdSchema,
+  name: { ...name, optional: true },
+  launch_date: { ...launchDate, optional: true },
+  status: status("body"),
+  ...performance,
+};
@@ -0,0 +1,38 @@
+import { objectId } from "./common.validator.js";
+
+const score = {
+  in: ["body"],
+  isInt: { options: { min: 1, max: 5 }, errorMessage: "Score must be a number between 1 and 5" },
+  toInt: true,
+};
+
+const comment = {
+  in: ["body"],
+  optional: { options: { values: "null" } },
+  isString: { errorMessage: "Comment must be a string", bail: true },
+  isLength: { options: { max: 500 }, errorMessage: "Comment cannot exceed 500 characters" },
+};
+
+export const ratingIdSchema = {
+  id: objectId("params", "rating ID"),
+};
+
+export const developerRatingsSchema = {
+  id: objectId("params", "developer ID"),
+};
+
+export const createRatingSchema = {
+  developerId: objectId("body", "developer ID"),
+  score,
+  comment,
+};
+
+export const updateScoreSchema = {
+  ...ratingIdSchema,
+  score,
+};
+
+export const updateCommentSchema = {
+  ...ratingIdSchema,
+  comment,
+};
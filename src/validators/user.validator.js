@@ -0,0 +1,70 @@
+import {
+  email,
+  matchesField,
+  objectId,
+  pagination,
+  requiredString,
+} from "./common.validator.js";
+
+// Las cuentas creadas con Google no tienen contraseña: el servicio decide si es obligatoria
+const currentPassword = {
+  in: ["body"],
+  optional: true,
+  isString: { errorMessage: "Password must be a string" },
+};
+
+export const listUsersSchema = {
+  ...pagination(),
+};
+
+export const userIdSchema = {
+  id: objectId("params", "user ID"),
+};
+
+const name = {
+  in: ["body"],
+  optional: true,
+  isString: { errorMessage: "Name must be a string", bail: true },
+  trim: true,
+  notEmpty: { errorMessage: "Name cannot be empty" },
+};
+
+export const updateUserSchema = {
+  ...userIdSchema,
+  name,
+};
+
+export const updateMeSchema = {
+  name: { ...name, optional: false },
+};
+
+export const changePasswordSchema = {
+  currentPassword,
+  password: requiredString("Password"),
+  passwordConfirmed: matchesField("password", "Passwords do not match"),
+};
+
+export const changeEmailSchema = {
+  email: email(),
+  password: currentPassword,
+};
+
+export const confirmEmailSchema = {
+  code: requiredString("Code"),
+};
+
+export const closeAccountSchema = {
+  password: currentPassword,
+};
+
+export const exportDataSchema = {
+  format: {
+    in: ["query"],
+    optional: true,
+    isIn: { options: [["json", "zip"]], errorMessage: "format must be json or zip" },
+  },
+};
+
+export const requestErasureSchema = {
+  password: currentPassword,
+};
@@ -0,0 +1,13 @@
+import { objectId } from "./common.validator.js";
+
+export const developerVisitsSchema = {
+  id: objectId("params", "developer ID"),
+};
+
+export const createVisitSchema = {
+  developerId: objectId("body", "developer ID"),
+  ipAddress: {
+    in: ["body"],
+    isIP: { errorMessage: "Invalid IP address" },
+  },
+};
@@ -0,0 +1,41 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { isImageKey, sniffImageType } from "../../src/services/image.service.js";
+
+// Cabecera seguida de relleno hasta el mínimo de 12 bytes
+const withHeader = (...header) => Buffer.concat([Buffer.from(header.flat()), Buffer.alloc(16)]);
+
+describe("sniffImageType", () => {
+  it("detects JPEG, PNG, GIF and WebP from the magic bytes", () => {
+    assert.equal(sniffImageType(withHeader([0xff, 0xd8, 0xff, 0xe0])), "image/jpeg");
+    assert.equal(sniffImageType(withHeader([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), "image/png");
+    assert.equal(sniffImageType(withHeader([...Buffer.from("GIF87a")])), "image/gif");
+    assert.equal(sniffImageType(withHeader([...Buffer.from("GIF89a")])), "image/gif");
+    assert.equal(
+      sniffImageType(withHeader([...Buffer.from("RIFF"), 0x24, 0, 0, 0, ...Buffer.from("WEBP")])),
+      "image/webp"
+    );
+  });
+
+  it("rejects other formats", () => {
+    assert.equal(sniffImageType(withHeader([...Buffer.from("%PDF-1.7")])), null);
+    assert.equal(sniffImageType(withHeader([...Buffer.from("<svg xmlns")])), null);
+    // RIFF que no es WebP (p. ej. WAV)
+    assert.equal(sniffImageType(withHeader([...Buffer.from("RIFF"), 0x24, 0, 0, 0, ...Buffer.from("WAVE")])), null);
+  });
+
+  it("rejects buffers shorter than 12 bytes", () => {
+    assert.equal(sniffImageType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), null);
+    assert.equal(sniffImageType(Buffer.alloc(0)), null);
+  });
+});
+
+describe("isImageKey", () => {
+  it("accepts only keys generated by saveImage", () => {
+    assert.equal(isImageKey("images/3f2b8c1e-9a4d-4e6f-8b2a-1c3d5e7f9a0b.webp"), true);
+    assert.equal(isImageKey("images/3f2b8c1e-9a4d-4e6f-8b2a-1c3d5e7f9a0b_64.webp"), false);
+    assert.equal(isImageKey("images/../documents/3f2b8c1e-9a4d-4e6f-8b2a-1c3d5e7f9a0b.webp"), false);
+    assert.equal(isImageKey("documents/3f2b8c1e-9a4d-4e6f-8b2a-1c3d5e7f9a0b.webp"), false);
+    assert.equal(isImageKey(undefined), false);
+  });
+});
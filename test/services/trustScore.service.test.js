@@ -0,0 +1,121 @@
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../../src/models/userModel.js";
+import Project from "../../src/models/projectModel.js";
+import Follow from "../../src/models/followModel.js";
+import Rating from "../../src/models/ratingModel.js";
+import { TRUST_SCORE_WEIGHTS, computeTrustScore } from "../../src/services/trustScore.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+// Sustituye las consultas de `computeTrustScore` por los datos indicados
+const stubSignals = ({ ratings = null, projects = [], newFollowers = 0, userCreatedAt = new Date() } = {}) => {
+  mock.method(Rating, "aggregate", async () => (ratings ? [{ _id: null, ...ratings }] : []));
+  mock.method(Project, "find", () => ({ select: () => ({ lean: async () => projects }) }));
+  mock.method(Follow, "countDocuments", async () => newFollowers);
+  mock.method(User, "findById", () => ({ select: () => ({ lean: async () => ({ createdAt: userCreatedAt }) }) }));
+};
+
+const developer = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user_id: new mongoose.Types.ObjectId(),
+  verified: false,
+  wallet_verified_at: null,
+  createdAt: new Date(),
+  ...overrides,
+});
+
+const pointsOf = ({ factors }) => Object.fromEntries(factors.map(({ factor, points }) => [factor, points]));
+
+describe("computeTrustScore", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("weights add up to 100", () => {
+    assert.equal(Object.values(TRUST_SCORE_WEIGHTS).reduce((sum, weight) => sum + weight, 0), 100);
+  });
+
+  it("gives a new developer a neutral rating and no other credit", async () => {
+    stubSignals();
+
+    const result = await computeTrustScore(developer());
+
+    assert.deepEqual(pointsOf(result), {
+      verification: 0,
+      rating: 15,
+      scamReports: 25,
+      projectLongevity: 0,
+      followerGrowth: 0,
+      accountAge: 0,
+    });
+    assert.equal(result.score, 40);
+    assert.ok(result.calculated_at instanceof Date);
+  });
+
+  it("reaches the maximum of every factor for an established developer", async () => {
+    stubSignals({
+      ratings: { count: 20, sum: 100 },
+      projects: [
+        { status: "active", launch_date: daysAgo(400) },
+        { status: "active", launch_date: daysAgo(500) },
+      ],
+      newFollowers: 50,
+      userCreatedAt: daysAgo(400),
+    });
+
+    const result = await computeTrustScore(developer({ verified: true }));
+
+    assert.deepEqual(pointsOf(result), {
+      verification: 15,
+      // Media bayesiana: (3 * 5 + 100) / 25 = 4.6
+      rating: 27,
+      scamReports: 25,
+      projectLongevity: 10,
+      followerGrowth: 10,
+      accountAge: 10,
+    });
+    assert.equal(result.score, 97);
+  });
+
+  it("gives half the verification points for a proven wallet", async () => {
+    stubSignals();
+
+    const result = await computeTrustScore(developer({ wallet_verified_at: new Date() }));
+
+    assert.equal(pointsOf(result).verification, 7.5);
+  });
+
+  it("halves the scam factor per report and caps the score", async () => {
+    stubSignals({
+      ratings: { count: 20, sum: 100 },
+      projects: [
+        { status: "active", launch_date: daysAgo(400) },
+        { status: "scam_reported", launch_date: daysAgo(400) },
+      ],
+      newFollowers: 50,
+      userCreatedAt: daysAgo(400),
+    });
+
+    const result = await computeTrustScore(developer({ verified: true }));
+    const scamFactor = result.factors.find(({ factor }) => factor === "scamReports");
+
+    assert.equal(scamFactor.value, 0.5);
+    assert.deepEqual(scamFactor.details, { scamReportedProjects: 1 });
+    // Los proyectos denunciados no cuentan para la longevidad
+    assert.deepEqual(result.factors.find(({ factor }) => factor === "projectLongevity").details, {
+      projects: 1,
+      averageDays: 400,
+    });
+    assert.equal(result.score, 40);
+  });
+
+  it("falls back to the developer creation date when the user is missing", async () => {
+    stubSignals();
+    mock.method(User, "findById", () => ({ select: () => ({ lean: async () => null }) }));
+
+    const result = await computeTrustScore(developer({ createdAt: daysAgo(365) }));
+
+    assert.equal(pointsOf(result).accountAge, 10);
+  });
+});
@@ -0,0 +1,51 @@
+import { before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { config } from "../../src/config/env.js";
+import { signKey, verifyKeySignature } from "../../src/storage/signing.js";
+
+describe("storage signing", () => {
+  before(() => {
+    config.storage.signingSecret = "test-signing-secret";
+  });
+
+  it("verifies its own signatures", () => {
+    const { expires, signature } = signKey("documents/a.pdf", 60);
+
+    assert.ok(expires > Date.now() / 1000);
+    assert.equal(verifyKeySignature("documents/a.pdf", expires, signature), true);
+    // Los parámetros de la URL llegan como texto
+    assert.equal(verifyKeySignature("documents/a.pdf", String(expires), signature), true);
+  });
+
+  it("rejects signatures for another key or expiry", () => {
+    const { expires, signature } = signKey("documents/a.pdf", 60);
+
+    assert.equal(verifyKeySignature("documents/b.pdf", expires, signature), false);
+    assert.equal(verifyKeySignature("documents/a.pdf", expires + 1, signature), false);
+  });
+
+  it("rejects expired signatures", () => {
+    const { expires, signature } = signKey("documents/a.pdf", -1);
+
+    assert.equal(verifyKeySignature("documents/a.pdf", expires, signature), false);
+  });
+
+  it("rejects tampered or malformed input", () => {
+    const { expires, signature } = signKey("documents/a.pdf", 60);
+
+    assert.equal(verifyKeySignature("documents/a.pdf", expires, `${signature.slice(0, -1)}A`), false);
+    assert.equal(verifyKeySignature("documents/a.pdf", expires, signature.slice(1)), false);
+    assert.equal(verifyKeySignature("documents/a.pdf", expires, undefined), false);
+    assert.equal(verifyKeySignature("documents/a.pdf", "soon", signature), false);
+  });
+
+  it("rejects signatures made with another secret", () => {
+    const { expires, signature } = signKey("documents/a.pdf", 60);
+    config.storage.signingSecret = "rotated-secret";
+    try {
+      assert.equal(verifyKeySignature("documents/a.pdf", expires, signature), false);
+    } finally {
+      config.storage.signingSecret = "test-signing-secret";
+    }
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpAuthUri,
+  generateHotp,
+  generateTotpSecret,
+  getTimeStep,
+  verifyTotp,
+} from "../../src/utils/totp.js";
+
+// Secreto de los vectores de prueba de RFC 4226 y RFC 6238 ("12345678901234567890")
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+describe("base32", () => {
+  it("encodes RFC 4648 test vectors without padding", () => {
+    assert.equal(base32Encode(Buffer.from("f")), "MY");
+    assert.equal(base32Encode(Buffer.from("foobar")), "MZXW6YTBOI");
+    assert.equal(base32Encode(Buffer.from("12345678901234567890")), RFC_SECRET);
+  });
+
+  it("decodes ignoring case and padding", () => {
+    assert.equal(base32Decode("mzxw6ytboi").toString(), "foobar");
+    assert.equal(base32Decode("MY======").toString(), "f");
+  });
+
+  it("rejects invalid characters", () => {
+    assert.throws(() => base32Decode("MZ1W"), /Invalid base32 character/);
+  });
+
+  it("generates 160-bit secrets", () => {
+    const secret = generateTotpSecret();
+    assert.equal(base32Decode(secret).length, 20);
+    assert.notEqual(secret, generateTotpSecret());
+  });
+});
+
+describe("generateHotp", () => {
+  it("matches the RFC 4226 test vectors", () => {
+    const expected = ["755224", "287082", "359152", "969429", "338314", "254676", "287922", "162583", "399871", "520489"];
+    expected.forEach((code, counter) => assert.equal(generateHotp(RFC_SECRET, counter), code));
+  });
+});
+
+describe("verifyTotp", () => {
+  // Últimos 6 dígitos de los vectores SHA1 de RFC 6238
+  const vectors = [
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+  ];
+
+  it("accepts the RFC 6238 test vectors and returns the matching step", () => {
+    for (const [seconds, code] of vectors) {
+      const timestamp = seconds * 1000;
+      assert.equal(verifyTotp(RFC_SECRET, code, { timestamp }), getTimeStep(timestamp));
+    }
+  });
+
+  it("accepts codes within the drift window only", () => {
+    const timestamp = 1234567890 * 1000;
+    const step = getTimeStep(timestamp);
+
+    assert.equal(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step - 1), { timestamp }), step - 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step + 1), { timestamp }), step + 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step + 2), { timestamp }), null);
+    assert.equal(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step - 1), { timestamp, window: 0 }), null);
+  });
+
+  it("rejects malformed codes", () => {
+    for (const token of [undefined, 123456, "", "12345", "1234567", "12a456"]) {
+      assert.equal(verifyTotp(RFC_SECRET, token), null);
+    }
+  });
+});
+
+describe("buildOtpAuthUri", () => {
+  it("builds an otpauth URI with the issuer and label encoded", () => {
+    const uri = new URL(buildOtpAuthUri({ secret: RFC_SECRET, label: "dev@example.com", issuer: "Meme Coins" }));
+
+    assert.equal(uri.protocol, "otpauth:");
+    assert.equal(uri.host, "totp");
+    assert.equal(decodeURIComponent(uri.pathname), "/Meme Coins:dev@example.com");
+    assert.equal(uri.searchParams.get("secret"), RFC_SECRET);
+    assert.equal(uri.searchParams.get("issuer"), "Meme Coins");
+    assert.equal(uri.searchParams.get("digits"), "6");
+    assert.equal(uri.searchParams.get("period"), "30");
+  });
+});